@@ -0,0 +1,396 @@
+// lib/auth.js
+// Autenticazione e ruoli per console, WebSocket e API REST.
+// Utenti nella tabella users (AUTH_SOURCE=db) oppure in un file JSON (AUTH_SOURCE=file, USERS_FILE).
+// Token firmati HMAC (stateless, validi su tutte le istanze con lo stesso SESSION_SECRET), inviati
+// come cookie di sessione dal browser oppure come "Authorization: Bearer <token>" / ?token= dalle integrazioni.
+// Ruoli: viewer (sola lettura) < operator (acknowledge) < admin (modifica MIB OID, token API).
+const crypto = require('crypto');
+const fs = require('fs');
+const util = require('util');
+const express = require('express');
+
+const scrypt = util.promisify(crypto.scrypt);
+
+const ROLES = ['viewer', 'operator', 'admin'];
+const COOKIE_NAME = 'synack_session';
+const USER_CACHE_TTL_MS = 30 * 1000;
+const SCRYPT_KEYLEN = 64;
+// Limite dei tentativi di login nella finestra, per IP e per username: oltre si risponde 429 senza
+// calcolare scrypt. Un login riuscito azzera i contatori.
+const LOGIN_WINDOW_MS = 15 * 60 * 1000;
+const LOGIN_MAX_PER_IP = 20;
+const LOGIN_MAX_PER_USER = 10;
+const LOGIN_PRUNE_SIZE = 10000;
+
+// Pagine e risorse raggiungibili senza login
+const PUBLIC_PATHS = ['/login.html', '/login', '/logout', '/favicon.ico'];
+const PUBLIC_PREFIXES = ['/img/'];
+
+function roleLevel(role) {
+  return ROLES.indexOf(role);
+}
+
+function hasRole(user, role) {
+  return !!user && roleLevel(user.role) >= roleLevel(role);
+}
+
+// ------------------------------------------------------------------ password
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(String(password), salt, SCRYPT_KEYLEN);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+// Asincrona: scrypt gira nel threadpool e non blocca l'event loop (poll, WebSocket, trap)
+async function verifyPassword(password, stored) {
+  const parts = String(stored || '').split('$');
+  if (parts.length !== 3 || parts[0] !== 'scrypt') return false;
+  const salt = Buffer.from(parts[1], 'hex');
+  const expected = Buffer.from(parts[2], 'hex');
+  if (expected.length === 0) return false;
+  const actual = await scrypt(String(password), salt, expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+const DUMMY_HASH = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+// ------------------------------------------------------------------ tentativi di login
+
+// Tentativi per chiave (ip:..., user:...) nella finestra scorrevole
+function createLoginThrottle({ windowMs = LOGIN_WINDOW_MS, maxPerIp = LOGIN_MAX_PER_IP, maxPerUser = LOGIN_MAX_PER_USER } = {}) {
+  const attempts = new Map(); // chiave → { count, start }
+
+  function entry(key, now) {
+    const e = attempts.get(key);
+    if (!e || now - e.start >= windowMs) return null;
+    return e;
+  }
+
+  function prune(now) {
+    if (attempts.size < LOGIN_PRUNE_SIZE) return;
+    for (const [key, e] of attempts) {
+      if (now - e.start >= windowMs) attempts.delete(key);
+    }
+  }
+
+  // Registra un tentativo; ritorna i secondi di attesa se il limite e' superato, altrimenti 0
+  function take(ip, username, now = Date.now()) {
+    prune(now);
+    const limits = [[`ip:${ip}`, maxPerIp], [`user:${username}`, maxPerUser]];
+    for (const [key, max] of limits) {
+      const e = entry(key, now);
+      if (e && e.count >= max) return Math.ceil((e.start + windowMs - now) / 1000);
+    }
+    limits.forEach(([key]) => {
+      const e = entry(key, now);
+      if (e) e.count++;
+      else attempts.set(key, { count: 1, start: now });
+    });
+    return 0;
+  }
+
+  function reset(ip, username) {
+    attempts.delete(`ip:${ip}`);
+    attempts.delete(`user:${username}`);
+  }
+
+  return { take, reset };
+}
+
+// ------------------------------------------------------------------ token
+
+function base64url(buf) {
+  return Buffer.from(buf).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+function fromBase64url(s) {
+  return Buffer.from(s.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+function createTokenSigner(secret) {
+  function sign(payload) {
+    const body = base64url(JSON.stringify(payload));
+    const mac = base64url(crypto.createHmac('sha256', secret).update(body).digest());
+    return `${body}.${mac}`;
+  }
+
+  // Ritorna il payload se firma e scadenza sono valide, altrimenti null
+  function verify(token) {
+    if (typeof token !== 'string') return null;
+    const [body, mac] = token.split('.');
+    if (!body || !mac) return null;
+    const expected = crypto.createHmac('sha256', secret).update(body).digest();
+    const actual = fromBase64url(mac);
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+    let payload;
+    try {
+      payload = JSON.parse(fromBase64url(body).toString('utf8'));
+    } catch (err) {
+      return null;
+    }
+    if (!payload || typeof payload.exp !== 'number' || payload.exp * 1000 < Date.now()) return null;
+    return payload;
+  }
+
+  return { sign, verify };
+}
+
+// ------------------------------------------------------------------ utenti
+
+function createDbUserStore(pool) {
+  return {
+    async find(username) {
+      const [rows] = await pool.query(
+        'SELECT username, password_hash, role, enabled FROM users WHERE username = ?',
+        [username]
+      );
+      return rows[0] || null;
+    }
+  };
+}
+
+// File JSON: [{ "username": "...", "password_hash": "scrypt$...", "role": "operator", "enabled": true }]
+function createFileUserStore(file) {
+  let cache = null;
+  let mtime = 0;
+
+  function load() {
+    const stat = fs.statSync(file);
+    if (!cache || stat.mtimeMs !== mtime) {
+      const users = JSON.parse(fs.readFileSync(file, 'utf8'));
+      if (!Array.isArray(users)) throw new Error(`${file}: atteso un array di utenti`);
+      cache = new Map(users.map(u => [u.username, u]));
+      mtime = stat.mtimeMs;
+    }
+    return cache;
+  }
+
+  return {
+    async find(username) {
+      return load().get(username) || null;
+    }
+  };
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  String(header || '').split(';').forEach(part => {
+    const i = part.indexOf('=');
+    if (i < 0) return;
+    const key = part.slice(0, i).trim();
+    try {
+      cookies[key] = decodeURIComponent(part.slice(i + 1).trim());
+    } catch (err) {
+      cookies[key] = part.slice(i + 1).trim();
+    }
+  });
+  return cookies;
+}
+
+// Token dalla richiesta HTTP (anche upgrade WebSocket): header Authorization, cookie o ?token=
+function extractToken(req) {
+  const header = req.headers && req.headers.authorization;
+  if (header && /^Bearer\s+/i.test(header)) return header.replace(/^Bearer\s+/i, '').trim();
+  const cookies = parseCookies(req.headers && req.headers.cookie);
+  if (cookies[COOKIE_NAME]) return cookies[COOKIE_NAME];
+  const url = new URL(req.url || '/', 'http://localhost');
+  return url.searchParams.get('token');
+}
+
+// options:
+//   pool          pool mysql2/promise (AUTH_SOURCE=db)
+//   source        'db' | 'file'
+//   usersFile     percorso del file utenti (source 'file')
+//   secret        chiave HMAC dei token (SESSION_SECRET)
+//   sessionTtlHours durata dei token di login
+//   allowedOrigins  Origin ammessi per il WebSocket oltre a quello del server (es. dietro un proxy)
+function createAuth({ pool, source = 'db', usersFile = null, secret, sessionTtlHours = 12, allowedOrigins = [] }) {
+  if (!secret) {
+    secret = crypto.randomBytes(32).toString('hex');
+    console.warn('[AUTH] SESSION_SECRET non impostata: chiave casuale, le sessioni non sopravvivono al riavvio');
+  }
+  if (source === 'file' && !usersFile) throw new Error('AUTH_SOURCE=file richiede USERS_FILE');
+
+  const store = source === 'file' ? createFileUserStore(usersFile) : createDbUserStore(pool);
+  const signer = createTokenSigner(secret);
+  const userCache = new Map(); // username → { user, expires }
+  const loginThrottle = createLoginThrottle();
+
+  async function findUser(username) {
+    const cached = userCache.get(username);
+    if (cached && cached.expires > Date.now()) return cached.user;
+    const user = await store.find(username);
+    userCache.set(username, { user, expires: Date.now() + USER_CACHE_TTL_MS });
+    return user;
+  }
+
+  function isEnabled(user) {
+    return !!user && user.enabled !== false && user.enabled !== 0 && ROLES.includes(user.role);
+  }
+
+  async function login(username, password) {
+    const user = await store.find(String(username || ''));
+    // hash fittizio per utenti inesistenti: stesso tempo di risposta, nessun indizio sugli username
+    const valid = await verifyPassword(password, user ? user.password_hash : DUMMY_HASH);
+    if (!isEnabled(user) || !valid) return null;
+    return issueToken(user, sessionTtlHours * 3600);
+  }
+
+  function issueToken(user, ttlSeconds) {
+    const exp = Math.floor(Date.now() / 1000) + ttlSeconds;
+    return { token: signer.sign({ u: user.username, r: user.role, exp }), username: user.username, role: user.role, exp };
+  }
+
+  // Utente della richiesta ({ username, role }) o null. Il ruolo e' quello attuale dell'utente,
+  // cosi' un utente disabilitato o declassato perde i permessi entro USER_CACHE_TTL_MS.
+  async function authenticate(req) {
+    const payload = signer.verify(extractToken(req));
+    if (!payload) return null;
+    const user = await findUser(payload.u);
+    if (!isEnabled(user)) return null;
+    return { username: user.username, role: user.role };
+  }
+
+  function isPublic(path) {
+    return PUBLIC_PATHS.includes(path) || PUBLIC_PREFIXES.some(p => path.startsWith(p));
+  }
+
+  // Richiede un utente autenticato; le pagine HTML senza sessione vengono rediratte al login
+  function requireAuth() {
+    return async (req, res, next) => {
+      if (isPublic(req.path)) return next();
+      try {
+        req.user = await authenticate(req);
+      } catch (err) {
+        console.error('[AUTH] Errore verifica utente:', err);
+        return res.status(500).json({ detail: 'Errore interno del server' });
+      }
+      if (req.user) return next();
+      if (req.method === 'GET' && (req.path === '/' || req.path.endsWith('.html'))) {
+        return res.redirect(`/login.html?next=${encodeURIComponent(req.originalUrl)}`);
+      }
+      return res.status(401).json({ detail: 'Autenticazione richiesta' });
+    };
+  }
+
+  function requireRole(role) {
+    return (req, res, next) => {
+      if (!req.user) return res.status(401).json({ detail: 'Autenticazione richiesta' });
+      if (!hasRole(req.user, role)) {
+        return res.status(403).json({ detail: `Permesso negato: richiesto ruolo ${role}` });
+      }
+      next();
+    };
+  }
+
+  // Il browser invia il cookie di sessione anche negli upgrade aperti da altri siti: si accettano
+  // solo l'Origin del server e quelli configurati. Senza Origin (client non browser) serve comunque il token.
+  function isAllowedOrigin(req) {
+    const origin = req.headers.origin;
+    if (!origin) return true;
+    if (allowedOrigins.includes(origin)) return true;
+    try {
+      return new URL(origin).host === req.headers.host;
+    } catch (err) {
+      return false;
+    }
+  }
+
+  // verifyClient per WebSocket.Server: rifiuta l'upgrade senza token valido o da un altro sito
+  function verifyClient(info, cb) {
+    if (!isAllowedOrigin(info.req)) {
+      console.warn(`[AUTH] Upgrade WebSocket rifiutato da Origin ${info.req.headers.origin}`);
+      return cb(false, 403, 'Forbidden');
+    }
+    authenticate(info.req)
+      .then(user => {
+        if (!user) return cb(false, 401, 'Unauthorized');
+        info.req.user = user;
+        cb(true);
+      })
+      .catch(err => {
+        console.error('[AUTH] Errore verifica WebSocket:', err);
+        cb(false, 500, 'Internal Server Error');
+      });
+  }
+
+  function setSessionCookie(req, res, session) {
+    const secure = req.secure ? '; Secure' : '';
+    res.setHeader('Set-Cookie',
+      `${COOKIE_NAME}=${encodeURIComponent(session.token)}; HttpOnly; SameSite=Lax; Path=/; Max-Age=${session.exp - Math.floor(Date.now() / 1000)}${secure}`);
+  }
+
+  const router = express.Router();
+  router.use(['/login', '/api/tokens'], express.json(), express.urlencoded({ extended: false }));
+
+  router.post('/login', async (req, res) => {
+    try {
+      const { username, password } = req.body || {};
+      const retryAfter = loginThrottle.take(req.ip, String(username || ''));
+      if (retryAfter > 0) {
+        console.warn(`[AUTH] Troppi tentativi di login da ${req.ip} per ${username}`);
+        res.setHeader('Retry-After', String(retryAfter));
+        return res.status(429).json({ detail: 'Troppi tentativi di login, riprovare piu\' tardi' });
+      }
+      const session = await login(username, password);
+      if (!session) {
+        console.warn(`[AUTH] Login fallito per ${username}`);
+        return res.status(401).json({ detail: 'Credenziali non valide' });
+      }
+      loginThrottle.reset(req.ip, session.username);
+      console.log(`[AUTH] Login ${session.username} (${session.role})`);
+      setSessionCookie(req, res, session);
+      res.json({ token: session.token, username: session.username, role: session.role, expiresAt: new Date(session.exp * 1000).toISOString() });
+    } catch (err) {
+      console.error('[AUTH] Errore login:', err);
+      res.status(500).json({ detail: 'Errore interno del server' });
+    }
+  });
+
+  router.post('/logout', (req, res) => {
+    res.setHeader('Set-Cookie', `${COOKIE_NAME}=; HttpOnly; SameSite=Lax; Path=/; Max-Age=0`);
+    if (req.accepts(['html', 'json']) === 'html') return res.redirect('/login.html');
+    res.sendStatus(204);
+  });
+
+  router.get('/api/me', requireAuth(), (req, res) => {
+    res.json(req.user);
+  });
+
+  // Token a lunga durata per integrazioni (es. webhook NetBox, script): solo admin
+  router.post('/api/tokens', requireAuth(), requireRole('admin'), async (req, res) => {
+    try {
+      const username = (req.body && req.body.username) || req.user.username;
+      const days = parseInt((req.body && req.body.ttlDays) || '365', 10);
+      if (isNaN(days) || days < 1 || days > 3650) {
+        return res.status(400).json({ detail: 'ttlDays deve essere tra 1 e 3650' });
+      }
+      const user = await store.find(String(username));
+      if (!isEnabled(user)) return res.status(404).json({ detail: `Utente ${username} non trovato o disabilitato` });
+      const session = issueToken(user, days * 86400);
+      console.log(`[AUTH] Token API emesso da ${req.user.username} per ${session.username} (${days} giorni)`);
+      res.status(201).json({ token: session.token, username: session.username, role: session.role, expiresAt: new Date(session.exp * 1000).toISOString() });
+    } catch (err) {
+      console.error('[AUTH] Errore emissione token:', err);
+      res.status(500).json({ detail: 'Errore interno del server' });
+    }
+  });
+
+  return {
+    router,
+    requireAuth,
+    requireRole,
+    verifyClient,
+    authenticate
+  };
+}
+
+module.exports = {
+  createAuth,
+  hashPassword,
+  verifyPassword,
+  createLoginThrottle,
+  hasRole,
+  ROLES
+};
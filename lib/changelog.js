@@ -0,0 +1,131 @@
+// lib/changelog.js
+// Lettura del change log di rcv_log (tabella rcv_log_change, alimentata da trigger).
+// Ogni istanza tiene il proprio cursore sulla sequenza: nessuno stato condiviso da "consumare",
+// quindi piu' istanze del server possono girare in parallelo sullo stesso database.
+
+// Un buco nella sequenza puo' essere una transazione non ancora committata (AUTO_INCREMENT
+// assegnato ma riga non visibile) oppure un rollback: lo si attende per GAP_TIMEOUT_MS,
+// poi si considera definitivo e il cursore lo supera.
+const GAP_TIMEOUT_MS = 10 * 1000;
+
+// options:
+//   pool       pool mysql2/promise
+//   columns    colonne di rcv_log da selezionare (alias r), stesse di fetchPage
+//   batchSize  massimo di change letti per ciclo di polling
+function createChangeLog({ pool, columns, batchSize = 5000 }) {
+  let cursor = 0;
+  // false finche' init non riesce (database non raggiungibile all'avvio): poll lo riprova
+  let ready = false;
+  const gaps = new Map(); // seq mancante → timestamp della prima volta che e' stato visto
+
+  async function init() {
+    const [rows] = await pool.query('SELECT COALESCE(MAX(seq), 0) AS maxSeq FROM rcv_log_change');
+    cursor = Number(rows[0].maxSeq) || 0;
+    ready = true;
+    console.log('Init change log cursor:', cursor);
+    return cursor;
+  }
+
+  async function query(fromSeq, limit) {
+    const [rows] = await pool.query(
+      `SELECT c.seq, c.change_type, ${columns}
+       FROM rcv_log_change c
+       LEFT JOIN rcv_log r ON r.id = c.rcv_id
+       WHERE c.seq > ?
+       ORDER BY c.seq ASC
+       LIMIT ?`,
+      [fromSeq, limit]
+    );
+    return rows;
+  }
+
+  // Riduce una lista di change a una riga per id (la piu' recente); newIds = righe inserite nel range
+  function collapse(changes) {
+    const byId = new Map();
+    const newIds = new Set();
+    changes.forEach(c => {
+      if (c.id === null || c.id === undefined) return; // riga cancellata dopo il change
+      if (c.change_type === 'insert') newIds.add(c.id);
+      const { seq, change_type, ...row } = c;
+      byId.delete(c.id);
+      byId.set(c.id, row);
+    });
+    return { rows: Array.from(byId.values()), newIds };
+  }
+
+  // Nuovi change dall'ultimo poll di questa istanza; avanza il cursore fino al primo buco recente
+  async function poll() {
+    // senza cursore iniziale si ripeterebbe tutto il change log
+    if (!ready) {
+      await init();
+      return { rows: [], newIds: new Set(), seq: cursor };
+    }
+    const changes = await query(cursor, batchSize);
+    const now = Date.now();
+    const accepted = [];
+    let next = cursor;
+
+    for (const c of changes) {
+      const seq = Number(c.seq);
+      if (seq !== next + 1) {
+        const missing = next + 1;
+        if (!gaps.has(missing)) gaps.set(missing, now);
+        if (now - gaps.get(missing) < GAP_TIMEOUT_MS) break;
+        console.warn(`[CHANGELOG] Sequenze ${missing}-${seq - 1} mancanti da ${GAP_TIMEOUT_MS} ms, considerate perse`);
+        gaps.delete(missing);
+      }
+      accepted.push(c);
+      next = seq;
+    }
+
+    if (next !== cursor) {
+      cursor = next;
+      for (const seq of gaps.keys()) {
+        if (seq <= cursor) gaps.delete(seq);
+      }
+    }
+    return { ...collapse(accepted), seq: cursor };
+  }
+
+  // Change successivi a lastSeq e gia' letti da questa istanza (per il resume dei client).
+  // null se il change log non copre piu' il gap (righe eliminate da prune) o se sono troppi.
+  async function since(lastSeq, maxRows) {
+    const n = Number(lastSeq);
+    if (!ready || !Number.isInteger(n) || n < 0) return null;
+    // client che arriva da un'istanza piu' avanti: i change mancanti arriveranno con il polling
+    if (n >= cursor) return { rows: [], newIds: new Set(), seq: cursor };
+
+    const [minRows] = await pool.query('SELECT MIN(seq) AS minSeq FROM rcv_log_change');
+    const minSeq = minRows[0].minSeq === null ? cursor + 1 : Number(minRows[0].minSeq);
+    if (n < minSeq - 1) return null;
+
+    const upTo = cursor;
+    const changes = (await query(n, maxRows + 1)).filter(c => Number(c.seq) <= upTo);
+    if (changes.length > maxRows) return null;
+    return { ...collapse(changes), seq: upTo };
+  }
+
+  // Elimina i change piu' vecchi di retentionHours (a blocchi, per non bloccare i trigger)
+  async function prune(retentionHours, limit = 10000) {
+    let total = 0;
+    for (;;) {
+      const [result] = await pool.query(
+        'DELETE FROM rcv_log_change WHERE changed_at < NOW() - INTERVAL ? HOUR LIMIT ?',
+        [retentionHours, limit]
+      );
+      total += result.affectedRows;
+      if (result.affectedRows < limit) break;
+    }
+    return total;
+  }
+
+  return {
+    init,
+    poll,
+    since,
+    prune,
+    currentSeq: () => cursor
+  };
+}
+
+module.exports = { createChangeLog };
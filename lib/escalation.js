@@ -0,0 +1,354 @@
+// lib/escalation.js
+// Escalation degli eventi rimasti attivi e non acknowledged (tabella escalation_policy, sql/012).
+// A intervalli ogni policy abilitata cerca gli eventi attivi, non soppressi e non ancora scalati
+// arrivati da piu' di after_minutes, filtrati per severity e per site / tipologia del nodo
+// (dalla cache dell'inventario). Gli eventi trovati vengono marcati (escalated, escalation_id,
+// escalated_at), la severity viene alzata a raise_to se meno grave, e l'azione viene registrata
+// nello storico: il trigger del change log porta le righe alla console con il normale flusso update.
+// Se la policy ha un'azione (webhook, email, syslog) gli eventi scalati vengono notificati.
+// API REST: /api/escalation/policies (CRUD), GET /api/escalation (stato), POST /api/escalation/run.
+const express = require('express');
+const { ValidationError, sendError, parseId, optionalText } = require('./validation');
+const { parseSeverity, SEVERITY_LABELS } = require('./miboid');
+const { parseSeverities, validateActionTarget, ACTION_TYPES } = require('./notifications');
+const { buildNotification } = require('./notifyactions');
+const { SEVERITY_RANK } = require('./nodestatus');
+
+const MAX_MINUTES = 30 * 24 * 60;
+// un'istanza alla volta esegue l'escalation
+const LOCK_NAME = 'synack_escalation';
+// eventi per transazione
+const BATCH_SIZE = 500;
+const HISTORY_USER = 'escalation';
+// severity in ordine di gravita' per FIELD(): posizione minore = piu' grave
+const RANK_LIST = SEVERITY_RANK.join(',');
+
+// ------------------------------------------------------------------ validazione
+
+// Valida e normalizza il body di una policy di escalation
+function validatePolicy(body = {}) {
+  const name = optionalText(body.name, 'Nome');
+  if (name === null) throw new ValidationError('Nome obbligatorio');
+
+  const after = Number(body.after_minutes);
+  if (!Number.isInteger(after) || after < 1 || after > MAX_MINUTES) {
+    throw new ValidationError(`Minuti non validi: ${body.after_minutes} (1-${MAX_MINUTES})`);
+  }
+
+  const raise = body.raise_to === undefined || body.raise_to === null || body.raise_to === '' ? null : parseSeverity(body.raise_to);
+
+  const actionType = optionalText(body.action_type, 'Azione');
+  const action_type = actionType === null ? null : actionType.toLowerCase();
+  if (action_type !== null && !ACTION_TYPES.includes(action_type)) {
+    throw new ValidationError(`Azione non valida: ${body.action_type} (${ACTION_TYPES.join(' | ')} o vuota)`);
+  }
+
+  return {
+    name,
+    enabled: body.enabled === undefined || body.enabled === null ? 1 : (Number(body.enabled) ? 1 : 0),
+    severities: parseSeverities(body.severities),
+    site: optionalText(body.site, 'Site'),
+    node_type: optionalText(body.node_type, 'Tipologia nodo'),
+    after_minutes: after,
+    raise_to: raise,
+    action_type,
+    action_target: action_type === null ? null : validateActionTarget(action_type, body.action_target)
+  };
+}
+
+// Severity dopo l'escalation: raise_to solo se piu' grave di quella attuale
+function escalatedSeverity(severity, raiseTo) {
+  if (raiseTo === null || raiseTo === undefined) return Number(severity);
+  return SEVERITY_RANK.indexOf(Number(raiseTo)) < SEVERITY_RANK.indexOf(Number(severity)) ? Number(raiseTo) : Number(severity);
+}
+
+// ------------------------------------------------------------------ store
+
+function createPolicyStore(pool) {
+  async function list() {
+    const [rows] = await pool.query('SELECT * FROM escalation_policy ORDER BY after_minutes, id');
+    return rows;
+  }
+
+  async function get(id) {
+    const [rows] = await pool.query('SELECT * FROM escalation_policy WHERE id = ?', [id]);
+    if (rows.length === 0) throw new ValidationError(`Policy di escalation ${id} non trovata`, 404);
+    return rows[0];
+  }
+
+  const COLUMNS = ['name', 'enabled', 'severities', 'site', 'node_type', 'after_minutes', 'raise_to', 'action_type', 'action_target'];
+
+  async function create(body) {
+    const policy = validatePolicy(body);
+    const [result] = await pool.query(
+      `INSERT INTO escalation_policy (${COLUMNS.join(', ')}) VALUES (${COLUMNS.map(() => '?').join(', ')})`,
+      COLUMNS.map(c => policy[c])
+    );
+    return get(result.insertId);
+  }
+
+  async function update(id, body) {
+    const policy = validatePolicy(body);
+    await get(id);
+    await pool.query(
+      `UPDATE escalation_policy SET ${COLUMNS.map(c => `${c} = ?`).join(', ')} WHERE id = ?`,
+      [...COLUMNS.map(c => policy[c]), id]
+    );
+    return get(id);
+  }
+
+  async function remove(id) {
+    const [result] = await pool.query('DELETE FROM escalation_policy WHERE id = ?', [id]);
+    if (result.affectedRows === 0) throw new ValidationError(`Policy di escalation ${id} non trovata`, 404);
+  }
+
+  return { list, get, create, update, remove };
+}
+
+// ------------------------------------------------------------------ motore
+
+// options:
+//   pool         pool mysql2/promise
+//   nodeCache    cache nodi dell'inventario (site, node_type)
+//   actions      createActions() di lib/notifyactions.js
+//   onEscalated  (rowIds) → chiamata dopo ogni blocco di eventi scalati (storico live, metriche)
+function createEscalation({ pool, nodeCache, actions, onEscalated = () => {} }) {
+  const store = createPolicyStore(pool);
+  let enabled = false;
+  let running = false;
+  let lastRun = null;
+
+  // La tabella escalation_policy deve esistere (sql/012_escalation.sql)
+  async function init() {
+    await pool.query('SELECT 1 FROM escalation_policy LIMIT 1');
+    enabled = true;
+  }
+
+  // Nodi di site / node_type della policy; null = nessun filtro sul nodo
+  function policyNodes(policy) {
+    if (!policy.site && !policy.node_type) return null;
+    const site = policy.site ? policy.site.toLowerCase() : null;
+    const type = policy.node_type ? policy.node_type.toLowerCase() : null;
+    return nodeCache.list()
+      .filter(n => (!site || String(n.site || '').toLowerCase() === site) &&
+        (!type || String(n.node_type || '').toLowerCase() === type))
+      .map(n => n.id);
+  }
+
+  function candidatesWhere(policy, nodeIds) {
+    const conditions = [
+      'active = 1',
+      'escalated = 0',
+      'suppressed = 0',
+      'COALESCE(first_seen, traptime) < NOW() - INTERVAL ? MINUTE'
+    ];
+    const params = [policy.after_minutes];
+    if (policy.severities) {
+      const list = String(policy.severities).split(',').map(Number);
+      conditions.push(`severity IN (${list.map(() => '?').join(',')})`);
+      params.push(...list);
+    }
+    if (nodeIds) {
+      conditions.push(`node_id IN (${nodeIds.map(() => '?').join(',')})`);
+      params.push(...nodeIds);
+    }
+    return { where: conditions.join(' AND '), params };
+  }
+
+  // Un blocco di eventi: lock delle righe, marcatura e storico nella stessa transazione
+  async function escalateBatch(conn, policy, where, params) {
+    await conn.beginTransaction();
+    try {
+      const [rows] = await conn.query(
+        `SELECT id, node_id, severity, eventname, hostname, agentip, formatline, traptime
+         FROM rcv_log WHERE ${where} ORDER BY id LIMIT ? FOR UPDATE`,
+        [...params, BATCH_SIZE]
+      );
+      if (rows.length > 0) {
+        const ids = rows.map(r => r.id);
+        const placeholders = ids.map(() => '?').join(',');
+        const raise = policy.raise_to === null ? 'severity' : `IF(FIELD(severity, ${RANK_LIST}) > FIELD(?, ${RANK_LIST}), ?, severity)`;
+        // severity_before prima di severity: MySQL assegna da sinistra a destra
+        await conn.query(
+          `UPDATE rcv_log
+           SET severity_before = severity, severity = ${raise}, escalated = 1, escalation_id = ?, escalated_at = NOW()
+           WHERE id IN (${placeholders})`,
+          [...(policy.raise_to === null ? [] : [policy.raise_to, policy.raise_to]), policy.id, ...ids]
+        );
+        await conn.query(
+          'INSERT INTO rcv_log_history (rcv_id, action, username, comment) VALUES ?',
+          [rows.map(r => {
+            const to = escalatedSeverity(r.severity, policy.raise_to);
+            const change = to === Number(r.severity) ? '' : ` (${SEVERITY_LABELS[r.severity]} → ${SEVERITY_LABELS[to]})`;
+            return [r.id, 'escalate', HISTORY_USER, `Policy "${policy.name}": attivo da oltre ${policy.after_minutes} minuti${change}`];
+          })]
+        );
+      }
+      await conn.commit();
+      return rows;
+    } catch (err) {
+      await conn.rollback().catch(() => {});
+      throw err;
+    }
+  }
+
+  async function notify(policy, rows) {
+    if (!policy.action_type || rows.length === 0) return;
+    const rule = { name: `Escalation "${policy.name}"`, action_type: policy.action_type, action_target: policy.action_target };
+    const events = rows.map(r => {
+      const node = nodeCache.get(r.node_id);
+      return { ...r, severity: escalatedSeverity(r.severity, policy.raise_to), site: node ? node.site : null };
+    });
+    const notification = buildNotification(rule, events);
+    try {
+      await actions.send(rule, { ...notification, subject: `[ESCALATION] ${notification.subject}` });
+      console.log(`[ESCALATION] Policy "${policy.name}": ${policy.action_type} → ${policy.action_target} (${rows.length} eventi)`);
+    } catch (err) {
+      console.error(`[ESCALATION] Policy "${policy.name}": invio ${policy.action_type} fallito:`, err.message);
+    }
+  }
+
+  async function run(trigger = 'schedule') {
+    if (!enabled) throw new ValidationError('Escalation non disponibile (tabella escalation_policy mancante)');
+    if (running) throw new ValidationError('Escalation gia\' in esecuzione', 409);
+    running = true;
+    const result = {
+      trigger,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      escalated: 0,
+      byPolicy: [],
+      skipped: null,
+      error: null
+    };
+    let conn = null;
+    try {
+      conn = await pool.getConnection();
+      const [lock] = await conn.query('SELECT GET_LOCK(?, 0) AS ok', [LOCK_NAME]);
+      // con piu' istanze e' la norma: nessun errore
+      if (lock[0].ok !== 1) {
+        result.skipped = 'Escalation in esecuzione su un\'altra istanza';
+        return result;
+      }
+      try {
+        const [policies] = await conn.query('SELECT * FROM escalation_policy WHERE enabled = 1 ORDER BY after_minutes, id');
+        for (const policy of policies) {
+          const stat = { policy: policy.name, id: policy.id, escalated: 0 };
+          result.byPolicy.push(stat);
+          const nodeIds = policyNodes(policy);
+          if (nodeIds && nodeIds.length === 0) continue;
+          const { where, params } = candidatesWhere(policy, nodeIds);
+          for (;;) {
+            const rows = await escalateBatch(conn, policy, where, params);
+            if (rows.length === 0) break;
+            stat.escalated += rows.length;
+            result.escalated += rows.length;
+            onEscalated(rows.map(r => r.id));
+            await notify(policy, rows);
+            if (rows.length < BATCH_SIZE) break;
+          }
+        }
+      } finally {
+        await conn.query('SELECT RELEASE_LOCK(?)', [LOCK_NAME]).catch(() => {});
+      }
+    } catch (err) {
+      result.error = err.message;
+      console.error('[ESCALATION] Errore:', err);
+    } finally {
+      if (conn) conn.release();
+      result.finishedAt = new Date().toISOString();
+      lastRun = result;
+      running = false;
+    }
+    if (result.escalated > 0 || result.error) {
+      console.log(`[ESCALATION] ${result.escalated} eventi scalati` + (result.error ? ` (errore: ${result.error})` : ''));
+    }
+    return result;
+  }
+
+  return {
+    store,
+    init,
+    run,
+    status: () => ({ enabled, running, lastRun })
+  };
+}
+
+// ------------------------------------------------------------------ API REST
+
+// canEdit: middleware che autorizza modifiche ed esecuzione manuale (es. auth.requireRole('admin'))
+function createEscalationRouter(escalation, { canEdit = (req, res, next) => next() } = {}) {
+  const store = escalation.store;
+  const router = express.Router();
+  router.use('/api/escalation', express.json());
+
+  router.get('/api/escalation', (req, res) => {
+    res.json(escalation.status());
+  });
+
+  router.post('/api/escalation/run', canEdit, async (req, res) => {
+    try {
+      const username = req.user ? req.user.username : '-';
+      console.log(`[ESCALATION] ${username}: esecuzione manuale`);
+      res.json(await escalation.run(`manual:${username}`));
+    } catch (err) {
+      sendError(res, err, 'POST /api/escalation/run');
+    }
+  });
+
+  router.get('/api/escalation/policies', async (req, res) => {
+    try {
+      res.json(await store.list());
+    } catch (err) {
+      sendError(res, err, 'GET /api/escalation/policies');
+    }
+  });
+
+  router.get('/api/escalation/policies/:id', async (req, res) => {
+    try {
+      res.json(await store.get(parseId(req.params.id)));
+    } catch (err) {
+      sendError(res, err, 'GET /api/escalation/policies/:id');
+    }
+  });
+
+  router.post('/api/escalation/policies', canEdit, async (req, res) => {
+    try {
+      const policy = await store.create(req.body);
+      console.log(`[ESCALATION] Aggiunta policy id=${policy.id} "${policy.name}" (${policy.after_minutes} minuti)`);
+      res.status(201).json(policy);
+    } catch (err) {
+      sendError(res, err, 'POST /api/escalation/policies');
+    }
+  });
+
+  router.put('/api/escalation/policies/:id', canEdit, async (req, res) => {
+    try {
+      const policy = await store.update(parseId(req.params.id), req.body);
+      console.log(`[ESCALATION] Modificata policy id=${policy.id} "${policy.name}"`);
+      res.json(policy);
+    } catch (err) {
+      sendError(res, err, 'PUT /api/escalation/policies/:id');
+    }
+  });
+
+  router.delete('/api/escalation/policies/:id', canEdit, async (req, res) => {
+    try {
+      const id = parseId(req.params.id);
+      await store.remove(id);
+      console.log(`[ESCALATION] Cancellata policy id=${id}`);
+      res.sendStatus(204);
+    } catch (err) {
+      sendError(res, err, 'DELETE /api/escalation/policies/:id');
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createEscalation,
+  createEscalationRouter,
+  validatePolicy,
+  escalatedSeverity
+};
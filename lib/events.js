@@ -0,0 +1,253 @@
+// lib/events.js
+// API REST degli eventi di rcv_log per script e integrazioni che non usano /ws:
+//   GET  /api/events?beforeId=&pageSize=&active=1&severity=1,2&q=...   pagine come getPage
+//        → { rows, hasMore, nextBeforeId, total?, totalEstimated? } (total solo senza beforeId)
+//   GET  /api/events/:id                     evento con lo storico (anche dall'archivio, se c'e')
+//   POST /api/events/ack { rowIds, nodeIds, comment }   come 'acknowledge' (ruolo operator)
+//   GET  /api/events/stream?filtri           Server-Sent Events con il flusso 'update' di /ws
+// I filtri sono quelli dell'export (lib/export.js). Le date sono ISO 8601 in UTC
+// ("2024-05-01T10:15:00.000Z"), non 'DD-MM-YYYY HH:MM:SS' come sul WebSocket.
+//
+// Stream SSE: ogni evento 'update' ha come id il seq del change log; riconnettendosi con
+// Last-Event-ID (lo fa EventSource da solo) si ricevono gli update persi ('replay') oppure
+// 'resync' se non sono piu' disponibili. Il primo evento e' 'ready' { seq }. Un client che non
+// legge abbastanza in fretta viene disconnesso e recupera con Last-Event-ID.
+const express = require('express');
+const { ValidationError, sendError, parseId } = require('./validation');
+const { SEVERITY_LABELS } = require('./miboid');
+const { HistoryError, parseRowIds } = require('./history');
+const { parseExportQuery } = require('./export');
+const { matchesSubscription } = require('./subscription');
+
+// Date dell'API come istanti calcolati da MySQL (colonne <campo>_ts, secondi dal 1970): traptime,
+// first_seen, ... sono DATETIME nel fuso della sessione MySQL e UNIX_TIMESTAMP li converte; utctime e' gia' UTC.
+// Il fuso del processo Node non entra nel calcolo.
+const LOCAL_TIME_FIELDS = ['traptime', 'first_seen', 'last_seen', 'escalated_at'];
+const TIME_FIELDS = ['utctime', ...LOCAL_TIME_FIELDS, 'created_at'];
+const MAX_ACK_IDS = 5000;
+const STREAM_BATCH = 250;
+
+// Colonne <campo>_ts di rcv_log da aggiungere alle SELECT usate dall'API (prefix: alias della tabella)
+function timestampColumns(prefix = '') {
+  return [
+    `TIMESTAMPDIFF(SECOND, '1970-01-01 00:00:00', ${prefix}utctime) AS utctime_ts`,
+    ...LOCAL_TIME_FIELDS.map(f => `UNIX_TIMESTAMP(${prefix}${f}) AS ${f}_ts`)
+  ].join(',\n  ');
+}
+
+// Secondi dal 1970 → ISO 8601
+function isoTime(seconds) {
+  if (seconds === null || seconds === undefined) return null;
+  const date = new Date(Number(seconds) * 1000);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+// Riga di rcv_log (o voce di storico) per l'API: date ISO (da <campo>_ts) e nome della severity
+function toApiRow(row) {
+  const out = { ...row };
+  TIME_FIELDS.forEach(f => {
+    const ts = `${f}_ts`;
+    if (!(ts in out)) return;
+    out[f] = isoTime(out[ts]);
+    delete out[ts];
+  });
+  if ('severity' in out) out.severity_name = SEVERITY_LABELS[out.severity] || null;
+  if (out.severity_before !== null && out.severity_before !== undefined) out.severity_before_name = SEVERITY_LABELS[out.severity_before] || null;
+  return out;
+}
+
+function parseOptionalId(value, label) {
+  if (value === undefined || value === '') return null;
+  const id = parseInt(value, 10);
+  if (isNaN(id) || id <= 0 || String(id) !== String(value).trim()) throw new ValidationError(`${label} non valido: ${value}`);
+  return id;
+}
+
+function parseIdList(value, label) {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value)) throw new ValidationError(`${label}: array atteso`);
+  if (value.length > MAX_ACK_IDS) throw new ValidationError(`${label}: troppi elementi (max ${MAX_ACK_IDS})`);
+  const ids = parseRowIds(value);
+  if (ids.length !== new Set(value.map(String)).size) throw new ValidationError(`${label}: id non validi`);
+  return ids;
+}
+
+function sseMessage(event, data, id = null) {
+  return `${id === null ? '' : `id: ${id}\n`}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+// Client dello stream SSE con la loro sottoscrizione.
+// options:
+//   replay          async (lastSeq) → { rows, newIds, seq } | null (changeLog.since)
+//   currentSeq      () → seq corrente del change log
+//   heartbeatMs     commento ": ping" per tenere aperta la connessione attraverso i proxy
+//   highWaterBytes  byte non ancora scritti sul socket oltre i quali il client viene disconnesso
+//   onEvict         (motivo) → metriche
+function createEventStream({ replay, currentSeq, heartbeatMs, highWaterBytes, onEvict = () => {} }) {
+  const clients = new Set();
+
+  function write(client, text) {
+    if (client.res.writableLength > highWaterBytes) {
+      console.warn(`[SSE] ${client.username}: client troppo lento, stream chiuso`);
+      onEvict('sse_lagging');
+      close(client);
+      return;
+    }
+    client.res.write(text);
+  }
+
+  function close(client) {
+    if (!clients.delete(client)) return;
+    clearInterval(client.timer);
+    client.res.end();
+  }
+
+  function sendRows(client, event, rows, newIds, seq) {
+    const visible = rows.filter(r => matchesSubscription(r, client.subscription, newIds.has(r.id)));
+    for (let i = 0; i < visible.length && clients.has(client); i += STREAM_BATCH) {
+      const chunk = visible.slice(i, i + STREAM_BATCH).map(toApiRow);
+      write(client, sseMessage(event, { rows: chunk, seq }, seq));
+    }
+  }
+
+  async function open(req, res, subscription, lastEventId) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      // nginx: niente buffering delle risposte
+      'X-Accel-Buffering': 'no'
+    });
+    const client = {
+      res,
+      subscription,
+      username: req.user ? req.user.username : '-',
+      // update arrivati durante il replay, inviati subito dopo
+      pending: lastEventId === null ? null : [],
+      timer: setInterval(() => write(client, ': ping\n\n'), heartbeatMs)
+    };
+    clients.add(client);
+    req.on('close', () => close(client));
+    console.log(`[SSE] ${client.username}: stream aperto${lastEventId === null ? '' : ` (Last-Event-ID ${lastEventId})`}`);
+
+    if (lastEventId === null) {
+      write(client, `retry: 5000\n${sseMessage('ready', { seq: currentSeq() }, currentSeq())}`);
+      return;
+    }
+    let missed = null;
+    try {
+      missed = await replay(lastEventId);
+    } catch (err) {
+      console.error('[SSE] Errore replay:', err);
+    }
+    if (!clients.has(client)) return;
+    const pending = client.pending;
+    client.pending = null;
+    if (missed === null) {
+      write(client, sseMessage('resync', { seq: currentSeq() }, currentSeq()));
+    } else {
+      sendRows(client, 'replay', missed.rows, missed.newIds, missed.seq);
+      pending.forEach(p => sendRows(client, 'update', p.rows, p.newIds, p.seq));
+    }
+  }
+
+  // Righe del polling (stessi argomenti di sendChunksToAllClients)
+  function publish(rows, newIds, seq) {
+    if (rows.length === 0) return;
+    clients.forEach(client => {
+      if (client.pending) client.pending.push({ rows, newIds, seq });
+      else sendRows(client, 'update', rows, newIds, seq);
+    });
+  }
+
+  return { open, publish, size: () => clients.size };
+}
+
+// options:
+//   fetchPage, fetchFirstPage, parsePageSize   paginazione di server.js (stessa di getPage)
+//   getEvent        async (id) → riga di rcv_log o dell'archivio (archived: true), null se non esiste
+//   listHistory     async (id) → voci di storico dell'evento
+//   acknowledge     async ({ rowIds, nodeIds, comment }, username) → id di rcv_log acknowledged
+//   stream          createEventStream
+//   searchOptions   { nodeCache, fullText } per q
+//   archiveTable    () → tabella dell'archivio (archive=1), null se non disponibile
+//   canAck          middleware per l'acknowledge (es. auth.requireRole('operator'))
+function createEventsRouter({
+  fetchPage, fetchFirstPage, parsePageSize, getEvent, listHistory, acknowledge, stream,
+  searchOptions = {}, archiveTable = () => null, canAck = (req, res, next) => next()
+}) {
+  const router = express.Router();
+  router.use('/api/events', express.json());
+
+  function parseFilters(query) {
+    const sub = parseExportQuery(query, searchOptions);
+    if (sub.archive && !archiveTable()) throw new ValidationError('Archivio non consultabile (RETENTION_MODE=table richiesto)');
+    return sub;
+  }
+
+  router.get('/api/events', async (req, res) => {
+    try {
+      const sub = parseFilters(req.query);
+      const beforeId = parseOptionalId(req.query.beforeId, 'beforeId');
+      const pageSize = parsePageSize(req.query.pageSize);
+      const page = beforeId === null ? await fetchFirstPage(pageSize, sub) : await fetchPage(beforeId, pageSize, sub);
+      res.json({ ...page, rows: page.rows.map(toApiRow) });
+    } catch (err) {
+      sendError(res, err, 'GET /api/events');
+    }
+  });
+
+  // prima di /:id
+  router.get('/api/events/stream', (req, res) => {
+    let sub;
+    let lastEventId;
+    try {
+      sub = parseFilters(req.query);
+      if (sub.archive) throw new ValidationError('Lo stream non e\' disponibile per l\'archivio');
+      const last = req.get('last-event-id') || req.query.lastEventId;
+      lastEventId = last === undefined || last === '' ? null : parseOptionalId(String(last).trim(), 'Last-Event-ID');
+    } catch (err) {
+      return sendError(res, err, 'GET /api/events/stream');
+    }
+    stream.open(req, res, sub, lastEventId);
+  });
+
+  router.get('/api/events/:id', async (req, res) => {
+    try {
+      const id = parseId(req.params.id);
+      const event = await getEvent(id);
+      if (!event) throw new ValidationError(`Evento ${id} non trovato`, 404);
+      const history = await listHistory(id);
+      res.json({ ...toApiRow(event), history: history.map(toApiRow) });
+    } catch (err) {
+      sendError(res, err, 'GET /api/events/:id');
+    }
+  });
+
+  router.post('/api/events/ack', canAck, async (req, res) => {
+    try {
+      const body = req.body || {};
+      const rowIds = parseIdList(body.rowIds, 'rowIds');
+      const nodeIds = parseIdList(body.nodeIds, 'nodeIds');
+      if (rowIds.length === 0 && nodeIds.length === 0) throw new ValidationError('rowIds o nodeIds obbligatori');
+      const comment = body.comment === undefined || body.comment === null ? null : String(body.comment);
+      const acked = await acknowledge({ rowIds, nodeIds, comment }, req.user ? req.user.username : null);
+      res.json({ rowIds, nodeIds, acknowledged: acked });
+    } catch (err) {
+      if (err instanceof HistoryError) {
+        return res.status(err.notFound ? 404 : 400).json({ detail: err.message });
+      }
+      sendError(res, err, 'POST /api/events/ack');
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createEventsRouter,
+  createEventStream,
+  toApiRow,
+  isoTime,
+  timestampColumns
+};
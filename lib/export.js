@@ -0,0 +1,180 @@
+// lib/export.js
+// Export di rcv_log in CSV, JSON o NDJSON con gli stessi filtri di fetchPage:
+//   GET /api/export?format=csv&active=1&suppressed=1&archive=1&severity=1,2&hostname=rtr&agentip=10.0.0.1&timeFrom=...&timeTo=...&q=...
+// q e' la ricerca della console (lib/search.js).
+// Le righe arrivano da MySQL in streaming (nessun caricamento completo in memoria) e vengono
+// arricchite con i dati del nodo (cache inventario) e della definizione MIB (mib_oid).
+const express = require('express');
+const { Transform, pipeline } = require('stream');
+const { parseSubscription, buildEventWhere } = require('./subscription');
+const { ValidationError, sendError, parseDateTime } = require('./validation');
+const { SEVERITY_LABELS } = require('./miboid');
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' }
+};
+
+const EXPORT_FIELDS = [
+  'id', 'traptime', 'utctime', 'severity', 'severity_name', 'active', 'eventname',
+  'hostname', 'agentip', 'node_id', 'node_name', 'site', 'node_type', 'node_model',
+  'mib_trapoid', 'mib_enterprise', 'mib_severity',
+  'occurrences', 'first_seen', 'last_seen', 'suppressed', 'maintenance_id',
+  'escalated', 'escalation_id', 'escalated_at', 'severity_before', 'formatline'
+];
+
+// Campo CSV (RFC 4180); i valori che iniziano con = + - @ vengono prefissati con '
+// per non essere interpretati come formule da Excel/LibreOffice
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  let s = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// Filtri dalla query string, nello stesso formato dei messaggi getPage.
+// timeFrom/timeTo validati e normalizzati a 'YYYY-MM-DD HH:MM:SS' (confronto lessicografico con traptime)
+function parseExportQuery(query, options) {
+  const timeFrom = parseDateTime(query.timeFrom, 'timeFrom');
+  const timeTo = parseDateTime(query.timeTo, 'timeTo');
+  if (timeFrom && timeTo && timeFrom > timeTo) throw new ValidationError('timeFrom successivo a timeTo');
+  return parseSubscription({
+    active: query.active === '1' || query.active === 'true' ? 1 : null,
+    suppressed: query.suppressed === '1' || query.suppressed === 'true' ? 1 : null,
+    archive: query.archive === '1' || query.archive === 'true' ? 1 : null,
+    severity: query.severity,
+    hostname: query.hostname,
+    agentip: query.agentip,
+    timeFrom,
+    timeTo,
+    q: query.q
+  }, options);
+}
+
+// Definizione MIB per eventname: preferita quella con enterprise uguale al tipo del nodo
+function createMibIndex(definitions) {
+  const byEvent = new Map();
+  definitions.forEach(d => {
+    if (!byEvent.has(d.category)) byEvent.set(d.category, []);
+    byEvent.get(d.category).push(d);
+  });
+  return (eventname, nodeType) => {
+    const list = byEvent.get(eventname);
+    if (!list) return null;
+    return list.find(d => nodeType && d.enterprise === nodeType) || list[0];
+  };
+}
+
+function createFormatter(format) {
+  let first = true;
+  return new Transform({
+    writableObjectMode: true,
+    transform(record, encoding, callback) {
+      let out = '';
+      if (format === 'csv') {
+        if (first) out += EXPORT_FIELDS.join(',') + '\r\n';
+        out += EXPORT_FIELDS.map(f => csvField(record[f])).join(',') + '\r\n';
+      } else if (format === 'json') {
+        out += (first ? '[\n' : ',\n') + JSON.stringify(record);
+      } else {
+        out += JSON.stringify(record) + '\n';
+      }
+      first = false;
+      callback(null, out);
+    },
+    flush(callback) {
+      if (format === 'csv' && first) return callback(null, EXPORT_FIELDS.join(',') + '\r\n');
+      if (format === 'json') return callback(null, first ? '[]\n' : '\n]\n');
+      callback();
+    }
+  });
+}
+
+// options:
+//   pool       pool mysql2/promise
+//   nodeCache  cache nodi dell'inventario (site, node_type, node_model)
+//   columns       colonne di rcv_log da esportare (stesse di fetchPage)
+//   archiveTable  () → tabella dell'archivio della retention (archive=1), null se non disponibile
+//   fullText      testo della ricerca q con l'indice FULLTEXT (SEARCH_FULLTEXT)
+function createExportRouter({ pool, nodeCache, columns, archiveTable = () => null, fullText = false }) {
+  const router = express.Router();
+
+  router.get('/api/export', async (req, res) => {
+    const format = String(req.query.format || 'csv').toLowerCase();
+    if (!FORMATS[format]) {
+      return res.status(400).json({ detail: `Formato non supportato: ${format} (csv | json | ndjson)` });
+    }
+    let conn;
+    try {
+      const sub = parseExportQuery(req.query, { nodeCache, fullText });
+      const table = sub.archive ? archiveTable() : 'rcv_log';
+      if (!table) throw new ValidationError('Archivio non consultabile (RETENTION_MODE=table richiesto)');
+      const { where, params } = buildEventWhere(sub);
+
+      const [definitions] = await pool.query('SELECT trapoid, category, enterprise, severity FROM mib_oid');
+      const findMib = createMibIndex(definitions);
+      // connessione dedicata: se il client interrompe il download la query va chiusa con la connessione
+      conn = await pool.getConnection();
+
+      const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+      res.setHeader('Content-Type', FORMATS[format].contentType);
+      res.setHeader('Content-Disposition', `attachment; filename="rcv_log_${stamp}.${FORMATS[format].extension}"`);
+      console.log(`[EXPORT] ${req.user ? req.user.username : '-'}: export ${format} ${JSON.stringify(sub)}`);
+
+      const source = conn.connection
+        .query(`SELECT ${columns} FROM ${table} ${where} ORDER BY id DESC`, params)
+        .stream({ highWaterMark: 500 });
+
+      let count = 0;
+      const enrich = new Transform({
+        objectMode: true,
+        transform(row, encoding, callback) {
+          const node = nodeCache.get(row.node_id);
+          const mib = findMib(row.eventname, node ? node.node_type : null);
+          count++;
+          const full = {
+            ...row,
+            severity_name: SEVERITY_LABELS[row.severity] || null,
+            node_name: node ? node.node_name : null,
+            site: node ? node.site : null,
+            node_type: node ? node.node_type : null,
+            node_model: node ? node.node_model : null,
+            mib_trapoid: mib ? mib.trapoid : null,
+            mib_enterprise: mib ? mib.enterprise : null,
+            mib_severity: mib ? mib.severity : null
+          };
+          // stesse colonne, nello stesso ordine, in tutti i formati
+          const record = {};
+          EXPORT_FIELDS.forEach(f => { record[f] = full[f] === undefined ? null : full[f]; });
+          callback(null, record);
+        }
+      });
+
+      pipeline(source, enrich, createFormatter(format), res, err => {
+        if (err) {
+          // download interrotto o errore MySQL: la connessione non e' riutilizzabile
+          console.error(`[EXPORT] Export interrotto dopo ${count} righe:`, err.message);
+          conn.destroy();
+        } else {
+          console.log(`[EXPORT] Esportate ${count} righe (${format})`);
+          conn.release();
+        }
+      });
+    } catch (err) {
+      if (conn) conn.release();
+      if (!res.headersSent) return sendError(res, err, 'GET /api/export');
+      // download gia' iniziato: il client vede la risposta troncata
+      console.error('Errore GET /api/export:', err);
+      res.destroy(err);
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createExportRouter,
+  csvField,
+  parseExportQuery
+};
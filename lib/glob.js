@@ -0,0 +1,10 @@
+// lib/glob.js
+// Pattern con i jolly * e ? (hostname, IP, eventname) usati da ricerca, notifiche e manutenzione.
+
+// glob con * e ?, case-insensitive, sull'intero valore
+function globToRegex(pattern) {
+  const re = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${re}$`, 'i');
+}
+
+module.exports = { globToRegex };
@@ -0,0 +1,139 @@
+// lib/history.js
+// Storico delle azioni degli operatori sugli eventi di rcv_log (tabella rcv_log_history):
+// acknowledge, unacknowledge e note libere, con utente, ora e commento.
+// Le voci 'escalate' sono scritte da lib/escalation.js con utente "escalation".
+const ACTIONS = ['ack', 'unack', 'note', 'escalate'];
+const MAX_COMMENT_LENGTH = 2000;
+
+class HistoryError extends Error {
+  // notFound: l'evento richiesto non esiste (gli altri errori sono richieste non valide)
+  constructor(message, { notFound = false } = {}) {
+    super(message);
+    this.name = 'HistoryError';
+    this.notFound = notFound;
+  }
+}
+
+// Id di rcv_log dal client (stringhe dai dataset della tabella) → interi positivi univoci
+function parseRowIds(ids) {
+  if (!Array.isArray(ids)) return [];
+  return Array.from(new Set(ids.map(id => parseInt(id, 10)).filter(id => Number.isInteger(id) && id > 0)));
+}
+
+function parseComment(comment) {
+  if (comment === undefined || comment === null) return null;
+  const text = String(comment).trim();
+  if (text === '') return null;
+  if (text.length > MAX_COMMENT_LENGTH) throw new HistoryError(`Commento troppo lungo (max ${MAX_COMMENT_LENGTH} caratteri)`);
+  return text;
+}
+
+function createEventHistory(pool) {
+  // Cambia active sulle righe che non sono gia' nello stato richiesto e registra l'azione,
+  // nella stessa transazione: ack ripetuti non generano voci duplicate nello storico.
+  async function setActive(rowIds, active, action, username, comment) {
+    const ids = parseRowIds(rowIds);
+    const text = parseComment(comment);
+    if (ids.length === 0) return [];
+
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+      const placeholders = ids.map(() => '?').join(',');
+      const [rows] = await conn.query(
+        `SELECT id FROM rcv_log WHERE id IN (${placeholders}) AND active <> ? FOR UPDATE`,
+        [...ids, active]
+      );
+      const changed = rows.map(r => r.id);
+      if (changed.length > 0) {
+        const changedPlaceholders = changed.map(() => '?').join(',');
+        // il trigger registra il change in rcv_log_change
+        await conn.query(`UPDATE rcv_log SET active = ? WHERE id IN (${changedPlaceholders})`, [active, ...changed]);
+        await conn.query(
+          'INSERT INTO rcv_log_history (rcv_id, action, username, comment) VALUES ?',
+          [changed.map(id => [id, action, username, text])]
+        );
+      }
+      await conn.commit();
+      return changed;
+    } catch (err) {
+      await conn.rollback();
+      throw err;
+    } finally {
+      conn.release();
+    }
+  }
+
+  // Ritorna gli id effettivamente passati a active = 0
+  function acknowledge(rowIds, username, comment = null) {
+    return setActive(rowIds, 0, 'ack', username, comment);
+  }
+
+  // Ritorna gli id effettivamente riattivati (active = 1)
+  function unacknowledge(rowIds, username, comment = null) {
+    return setActive(rowIds, 1, 'unack', username, comment);
+  }
+
+  async function addNote(rowId, username, text) {
+    const [id] = parseRowIds([rowId]);
+    const comment = parseComment(text);
+    if (!id) throw new HistoryError('rowId non valido');
+    if (!comment) throw new HistoryError('Nota vuota');
+    const [rows] = await pool.query('SELECT id FROM rcv_log WHERE id = ?', [id]);
+    if (rows.length === 0) throw new HistoryError(`Evento ${id} non trovato`, { notFound: true });
+    const [result] = await pool.query(
+      'INSERT INTO rcv_log_history (rcv_id, action, username, comment) VALUES (?, ?, ?, ?)',
+      [id, 'note', username, comment]
+    );
+    return get(result.insertId);
+  }
+
+  async function get(entryId) {
+    const [rows] = await pool.query(
+      `SELECT id, rcv_id, action, username, comment,
+              DATE_FORMAT(created_at, '%d-%m-%Y %H:%i:%s') AS created_at
+       FROM rcv_log_history WHERE id = ?`,
+      [entryId]
+    );
+    return rows[0] || null;
+  }
+
+  // Storico di un evento, dal piu' vecchio al piu' recente
+  async function list(rowId) {
+    const [id] = parseRowIds([rowId]);
+    if (!id) throw new HistoryError('rowId non valido');
+    const [rows] = await pool.query(
+      `SELECT id, rcv_id, action, username, comment,
+              DATE_FORMAT(created_at, '%d-%m-%Y %H:%i:%s') AS created_at,
+              UNIX_TIMESTAMP(created_at) AS created_at_ts
+       FROM rcv_log_history WHERE rcv_id = ? ORDER BY id ASC`,
+      [id]
+    );
+    return rows;
+  }
+
+  // Ultime voci registrate per gli id indicati (dopo ack/unack, per notificare i pannelli aperti)
+  async function latest(rowIds, action) {
+    const ids = parseRowIds(rowIds);
+    if (ids.length === 0) return [];
+    const placeholders = ids.map(() => '?').join(',');
+    const [rows] = await pool.query(
+      `SELECT h.id, h.rcv_id, h.action, h.username, h.comment,
+              DATE_FORMAT(h.created_at, '%d-%m-%Y %H:%i:%s') AS created_at
+       FROM rcv_log_history h
+       JOIN (SELECT rcv_id, MAX(id) AS id FROM rcv_log_history
+             WHERE rcv_id IN (${placeholders}) AND action = ? GROUP BY rcv_id) last ON last.id = h.id`,
+      [...ids, action]
+    );
+    return rows;
+  }
+
+  return { acknowledge, unacknowledge, addNote, list, latest };
+}
+
+module.exports = {
+  createEventHistory,
+  parseRowIds,
+  HistoryError,
+  ACTIONS
+};
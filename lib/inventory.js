@@ -0,0 +1,227 @@
+// lib/inventory.js
+// Inventario dei nodi, selezionato con INVENTORY:
+//   mysql   tabella nodes del database SynAck (default)
+//   netbox  dispositivi NetBox letti dal suo PostgreSQL (dcim_device, IP primario, custom field)
+//   file    file JSON statico (INVENTORY_FILE)
+// Ogni provider espone la stessa interfaccia:
+//   listNodes()              → [{ id, node_name, target, site, node_type, node_model, poll_interval, poll_retry, poll_timeout }]
+//   getNode(id)              → stesso formato di listNodes | null
+//   resolveNodeByIp(ip)      → { id, name, node_type } | null (trap receiver)
+//   acknowledgeNodes(ids)    azzera node_state dei nodi (acknowledge dalla console)
+//   parseWebhook(body)       solo se l'inventario invia webhook: → { action, nodeId } | null
+//   verifyWebhook(req, secret) firma del webhook (req.rawBody), true se valida
+//   ping()                   verifica la sorgente (lancia se non raggiungibile), per /readyz
+//   close()
+const crypto = require('crypto');
+const fs = require('fs');
+
+// ------------------------------------------------------------------ mysql
+
+function createMysqlInventory({ pool }) {
+  const NODE_COLUMNS = 'id, node_name, target, site, node_type, node_model, poll_interval, poll_retry, poll_timeout';
+
+  async function listNodes() {
+    const [rows] = await pool.query(`SELECT ${NODE_COLUMNS} FROM nodes`);
+    return rows;
+  }
+
+  async function getNode(id) {
+    const [rows] = await pool.query(`SELECT ${NODE_COLUMNS} FROM nodes WHERE id = ?`, [id]);
+    return rows[0] || null;
+  }
+
+  async function resolveNodeByIp(ip) {
+    const [rows] = await pool.query(
+      'SELECT id, node_name AS name, node_type FROM nodes WHERE target = ? LIMIT 1',
+      [ip]
+    );
+    return rows[0] || null;
+  }
+
+  async function acknowledgeNodes(nodeIds) {
+    if (nodeIds.length === 0) return;
+    const placeholders = nodeIds.map(() => '?').join(',');
+    await pool.query(`UPDATE nodes SET node_state = 0 WHERE id IN (${placeholders})`, nodeIds);
+  }
+
+  return {
+    name: 'mysql',
+    listNodes,
+    getNode,
+    resolveNodeByIp,
+    acknowledgeNodes,
+    ping: () => pool.query('SELECT 1'),
+    close: async () => {}
+  };
+}
+
+// ------------------------------------------------------------------ netbox
+
+// pgConfig: { host, port, user, password, database }. node_state, node_type e poll_* sono custom field del device.
+function createNetboxInventory({ pgConfig }) {
+  const { Pool } = require('pg'); // PostgreSQL, richiesto solo con INVENTORY=netbox
+  const pgPool = new Pool({
+    ...pgConfig,
+    max: 10, // max number of clients in the pool
+    idleTimeoutMillis: 30000, // close idle clients after 30s
+    connectionTimeoutMillis: 2000 // return an error after 2s if connection fails
+  });
+
+  const NODE_SELECT = `
+      SELECT
+        d.id,
+        d.name AS node_name,
+        host(ip.address) AS target,
+        s.name AS site,
+        d.custom_field_data->>'node_type' AS node_type,
+        dt.model AS node_model,
+        d.custom_field_data->>'poll_interval' AS poll_interval,
+        d.custom_field_data->>'poll_retry' AS poll_retry,
+        d.custom_field_data->>'poll_timeout' AS poll_timeout
+      FROM dcim_device d
+      LEFT JOIN ipam_ipaddress ip ON ip.id = d.primary_ip4_id
+      LEFT JOIN dcim_site s ON s.id = d.site_id
+      LEFT JOIN dcim_devicetype dt ON dt.id = d.device_type_id`;
+
+  async function listNodes() {
+    const { rows } = await pgPool.query(`${NODE_SELECT} ORDER BY d.name`);
+    return rows;
+  }
+
+  async function getNode(id) {
+    const { rows } = await pgPool.query(`${NODE_SELECT} WHERE d.id = $1`, [id]);
+    return rows[0] || null;
+  }
+
+  // IP agent → device NetBox (IP primario)
+  async function resolveNodeByIp(ip) {
+    const { rows } = await pgPool.query(
+      `SELECT d.id, d.name, d.custom_field_data->>'node_type' AS node_type
+       FROM dcim_device d
+       JOIN ipam_ipaddress ip ON ip.id = d.primary_ip4_id
+       WHERE host(ip.address) = $1
+       LIMIT 1`,
+      [ip]
+    );
+    return rows[0] || null;
+  }
+
+  async function acknowledgeNodes(nodeIds) {
+    if (nodeIds.length === 0) return;
+    const placeholders = nodeIds.map((_, i) => `$${i + 1}`).join(',');
+    await pgPool.query(
+      `UPDATE dcim_device
+       SET custom_field_data = jsonb_set(
+            COALESCE(custom_field_data, '{}'::jsonb),  -- ensure JSON object exists
+            '{node_state}',                             -- JSON key path
+            to_jsonb(0)                                -- new value as JSON
+        )
+        WHERE id IN (${placeholders})`,
+      nodeIds
+    );
+  }
+
+  // Payload webhook NetBox: { event: 'created' | 'updated' | 'deleted', model: 'device', data: { id, ... } }
+  function parseWebhook(body) {
+    if (!body || !body.event || !body.data || !body.data.id) return null;
+    if (body.model && body.model !== 'device') return null;
+    return { action: body.event, nodeId: body.data.id };
+  }
+
+  // NetBox firma il corpo della richiesta con HMAC-SHA512 (hex) nell'header X-Hook-Signature
+  function verifyWebhook(req, secret) {
+    const signature = req.get('X-Hook-Signature');
+    if (!signature || !req.rawBody) return false;
+    const expected = crypto.createHmac('sha512', secret).update(req.rawBody).digest();
+    const actual = Buffer.from(signature, 'hex');
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+  }
+
+  return {
+    name: 'netbox',
+    listNodes,
+    getNode,
+    resolveNodeByIp,
+    acknowledgeNodes,
+    parseWebhook,
+    verifyWebhook,
+    ping: () => pgPool.query('SELECT 1'),
+    close: () => pgPool.end()
+  };
+}
+
+// ------------------------------------------------------------------ file
+
+// File JSON: [{ "id": 1, "node_name": "rtr01", "target": "10.0.0.1", "site": "MI", "node_type": "cisco", ... }]
+// Riletto quando cambia. Inventario di sola lettura: l'acknowledge non ha uno stato nodo da aggiornare.
+function createFileInventory({ file }) {
+  if (!file) throw new Error('INVENTORY=file richiede INVENTORY_FILE');
+  let nodes = [];
+  let mtime = 0;
+
+  function load() {
+    const stat = fs.statSync(file);
+    if (stat.mtimeMs !== mtime) {
+      const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+      if (!Array.isArray(data)) throw new Error(`${file}: atteso un array di nodi`);
+      nodes = data;
+      mtime = stat.mtimeMs;
+    }
+    return nodes;
+  }
+
+  function toNode(n) {
+    return {
+      id: n.id,
+      node_name: n.node_name,
+      target: n.target,
+      site: n.site || null,
+      node_type: n.node_type || null,
+      node_model: n.node_model || null,
+      poll_interval: n.poll_interval ?? null,
+      poll_retry: n.poll_retry ?? null,
+      poll_timeout: n.poll_timeout ?? null
+    };
+  }
+
+  async function listNodes() {
+    return load().map(toNode);
+  }
+
+  async function getNode(id) {
+    const node = load().find(n => String(n.id) === String(id));
+    return node ? toNode(node) : null;
+  }
+
+  async function resolveNodeByIp(ip) {
+    const node = load().find(n => n.target === ip);
+    return node ? { id: node.id, name: node.node_name, node_type: node.node_type || null } : null;
+  }
+
+  async function acknowledgeNodes() {}
+
+  return {
+    name: 'file',
+    listNodes,
+    getNode,
+    resolveNodeByIp,
+    acknowledgeNodes,
+    ping: async () => { load(); },
+    close: async () => {}
+  };
+}
+
+// options: { type, pool, pgConfig, file }
+function createInventory({ type = 'mysql', pool, pgConfig, file }) {
+  if (type === 'mysql') return createMysqlInventory({ pool });
+  if (type === 'netbox') return createNetboxInventory({ pgConfig });
+  if (type === 'file') return createFileInventory({ file });
+  throw new Error(`INVENTORY non valido: ${type} (mysql | netbox | file)`);
+}
+
+module.exports = {
+  createInventory,
+  createMysqlInventory,
+  createNetboxInventory,
+  createFileInventory
+};
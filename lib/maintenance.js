@@ -0,0 +1,307 @@
+// lib/maintenance.js
+// Finestre di manutenzione (tabella maintenance_window): una tantum o ricorrenti (giornaliere,
+// settimanali), su un nodo dell'inventario, un site o un pattern di hostname/IP.
+// Le trap dei nodi in manutenzione vengono salvate in rcv_log con suppressed = 1 (e maintenance_id):
+// escluse dai push live e dalle notifiche, visibili in console solo se richiesto.
+// API REST: /api/maintenance (CRUD).
+const express = require('express');
+const { ValidationError, sendError, parseId, optionalText, parseDateTime, parseClockTime } = require('./validation');
+const { globToRegex } = require('./glob');
+
+const RECURRENCES = ['once', 'daily', 'weekly'];
+const MAX_COMMENT = 2000;
+const CACHE_TTL_MS = 30 * 1000;
+
+// ------------------------------------------------------------------ validazione
+
+// ora obbligatoria per le finestre ricorrenti
+function parseTime(value, label) {
+  const time = parseClockTime(value, label);
+  if (time === null) throw new ValidationError(`${label} obbligatoria per le finestre ricorrenti`);
+  return time;
+}
+
+// "1,3,5" | [1, 3, 5] → "1,3,5" (1 = lunedi' ... 7 = domenica)
+function parseWeekdays(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  const days = Array.from(new Set(list.map(v => String(v).trim()).filter(Boolean).map(v => {
+    const n = Number(v);
+    if (!Number.isInteger(n) || n < 1 || n > 7) throw new ValidationError(`Giorno non valido: ${v} (1 = lunedi' ... 7 = domenica)`);
+    return n;
+  }))).sort();
+  if (days.length === 0) throw new ValidationError('Giorni della settimana obbligatori per le finestre settimanali');
+  return days.join(',');
+}
+
+// Valida e normalizza il body di una finestra di manutenzione
+function validateWindow(body = {}) {
+  const name = optionalText(body.name, 'Nome');
+  if (name === null) throw new ValidationError('Nome obbligatorio');
+
+  const node_id = body.node_id === undefined || body.node_id === null || body.node_id === '' ? null : parseId(body.node_id);
+  const site = optionalText(body.site, 'Site');
+  const host_pattern = optionalText(body.host_pattern, 'Pattern hostname/IP');
+  if (node_id === null && site === null && host_pattern === null) {
+    throw new ValidationError('Indicare almeno un nodo, un site o un pattern hostname/IP');
+  }
+
+  const recurrence = String(body.recurrence || 'once').trim().toLowerCase();
+  if (!RECURRENCES.includes(recurrence)) {
+    throw new ValidationError(`Ricorrenza non valida: ${body.recurrence} (${RECURRENCES.join(' | ')})`);
+  }
+
+  const starts_at = parseDateTime(body.starts_at, 'Data inizio', { dateOnly: false });
+  if (starts_at === null) throw new ValidationError('Data inizio obbligatoria');
+  const ends_at = parseDateTime(body.ends_at, 'Data fine', { dateOnly: false });
+  if (recurrence === 'once' && ends_at === null) throw new ValidationError('Data fine obbligatoria per le finestre una tantum');
+  if (ends_at !== null && ends_at <= starts_at) throw new ValidationError('La data fine deve seguire la data inizio');
+
+  let time_from = null;
+  let time_to = null;
+  if (recurrence !== 'once') {
+    time_from = parseTime(body.time_from, 'Ora inizio');
+    time_to = parseTime(body.time_to, 'Ora fine');
+    if (time_from === time_to) throw new ValidationError('Ora inizio e ora fine coincidono');
+  }
+
+  return {
+    name,
+    node_id,
+    site,
+    host_pattern,
+    recurrence,
+    starts_at,
+    ends_at,
+    time_from,
+    time_to,
+    weekdays: recurrence === 'weekly' ? parseWeekdays(body.weekdays) : null,
+    comment: optionalText(body.comment, 'Commento', MAX_COMMENT)
+  };
+}
+
+// ------------------------------------------------------------------ calendario
+
+// Date → 'YYYY-MM-DD HH:MM:SS' nell'ora locale (stesso formato di DATETIME con dateStrings)
+function localStamp(date) {
+  const p = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${p(date.getMonth() + 1)}-${p(date.getDate())} ` +
+    `${p(date.getHours())}:${p(date.getMinutes())}:${p(date.getSeconds())}`;
+}
+
+function minutesOf(time) {
+  const [h, m] = String(time).split(':').map(Number);
+  return h * 60 + m;
+}
+
+// Finestra aperta all'istante now. Le ricorrenti valgono tra starts_at e ends_at (se presente);
+// una fascia che scavalca la mezzanotte (22:00-04:00) appartiene al giorno in cui inizia.
+function isOpen(win, now = new Date()) {
+  const stamp = localStamp(now);
+  if (stamp < win.starts_at) return false;
+  if (win.ends_at && stamp >= win.ends_at) return false;
+  if (win.recurrence === 'once') return true;
+
+  const t = now.getHours() * 60 + now.getMinutes();
+  const from = minutesOf(win.time_from);
+  const to = minutesOf(win.time_to);
+  let day = now.getDay() || 7; // 1 = lunedi' ... 7 = domenica
+  if (from < to) {
+    if (t < from || t >= to) return false;
+  } else if (t < to) {
+    day = day === 1 ? 7 : day - 1; // parte dopo la mezzanotte della fascia iniziata ieri
+  } else if (t < from) {
+    return false;
+  }
+  if (win.recurrence === 'weekly') return String(win.weekdays || '').split(',').map(Number).includes(day);
+  return true;
+}
+
+// ------------------------------------------------------------------ store
+
+function createWindowStore(pool) {
+  const COLUMNS = ['name', 'node_id', 'site', 'host_pattern', 'recurrence', 'starts_at', 'ends_at',
+    'time_from', 'time_to', 'weekdays', 'comment'];
+
+  async function list() {
+    const [rows] = await pool.query('SELECT * FROM maintenance_window ORDER BY starts_at DESC, id DESC');
+    return rows;
+  }
+
+  async function get(id) {
+    const [rows] = await pool.query('SELECT * FROM maintenance_window WHERE id = ?', [id]);
+    if (rows.length === 0) throw new ValidationError(`Finestra di manutenzione ${id} non trovata`, 404);
+    return rows[0];
+  }
+
+  async function create(win, username) {
+    const [result] = await pool.query(
+      `INSERT INTO maintenance_window (${COLUMNS.join(', ')}, created_by) VALUES (${COLUMNS.map(() => '?').join(', ')}, ?)`,
+      [...COLUMNS.map(c => win[c]), username]
+    );
+    return get(result.insertId);
+  }
+
+  async function update(id, win) {
+    await get(id);
+    await pool.query(
+      `UPDATE maintenance_window SET ${COLUMNS.map(c => `${c} = ?`).join(', ')} WHERE id = ?`,
+      [...COLUMNS.map(c => win[c]), id]
+    );
+    return get(id);
+  }
+
+  async function remove(id) {
+    const [result] = await pool.query('DELETE FROM maintenance_window WHERE id = ?', [id]);
+    if (result.affectedRows === 0) throw new ValidationError(`Finestra di manutenzione ${id} non trovata`, 404);
+  }
+
+  return { list, get, create, update, remove };
+}
+
+// ------------------------------------------------------------------ soppressione
+
+// options:
+//   pool       pool mysql2/promise
+//   nodeCache  cache nodi dell'inventario (site del nodo)
+function createMaintenance({ pool, nodeCache }) {
+  const store = createWindowStore(pool);
+  let windows = null;
+  let loadedAt = 0;
+
+  // Finestre non ancora scadute, compilate; ricaricate ogni CACHE_TTL_MS o dopo una modifica via API
+  async function loadWindows() {
+    if (windows && Date.now() - loadedAt < CACHE_TTL_MS) return windows;
+    const [rows] = await pool.query('SELECT * FROM maintenance_window WHERE ends_at IS NULL OR ends_at > NOW()');
+    windows = rows.map(w => ({ ...w, hostRe: w.host_pattern ? globToRegex(w.host_pattern) : null }));
+    loadedAt = Date.now();
+    return windows;
+  }
+
+  // Tutte le condizioni indicate nella finestra devono valere (nodo, site, hostname/IP)
+  function targets(win, ev) {
+    if (win.node_id !== null && String(win.node_id) !== String(ev.node_id)) return false;
+    if (win.site) {
+      const node = nodeCache.get(ev.node_id);
+      if (!node || String(node.site || '').toLowerCase() !== win.site.toLowerCase()) return false;
+    }
+    if (win.hostRe && !win.hostRe.test(ev.hostname || '') && !win.hostRe.test(ev.agentip || '')) return false;
+    return true;
+  }
+
+  // Finestra aperta che copre l'evento (riga rcv_log o evento del trap receiver), altrimenti null
+  async function find(ev, now = new Date()) {
+    const list = await loadWindows();
+    return list.find(w => targets(w, ev) && isOpen(w, now)) || null;
+  }
+
+  // Righe nuove inserite da processi esterni (senza il trap receiver): marcate nel database e in memoria
+  async function flagRows(rows) {
+    const byWindow = new Map();
+    const now = new Date();
+    for (const row of rows) {
+      if (Number(row.suppressed) === 1) continue;
+      const win = await find(row, now);
+      if (!win) continue;
+      if (!byWindow.has(win.id)) byWindow.set(win.id, []);
+      byWindow.get(win.id).push(row);
+    }
+    let flagged = 0;
+    for (const [windowId, list] of byWindow) {
+      const ids = list.map(r => r.id);
+      await pool.query(
+        `UPDATE rcv_log SET suppressed = 1, maintenance_id = ? WHERE id IN (${ids.map(() => '?').join(',')}) AND suppressed = 0`,
+        [windowId, ...ids]
+      );
+      list.forEach(r => { r.suppressed = 1; r.maintenance_id = windowId; });
+      flagged += list.length;
+    }
+    return flagged;
+  }
+
+  return {
+    store,
+    find,
+    flagRows,
+    isOpen,
+    invalidate: () => { windows = null; }
+  };
+}
+
+// ------------------------------------------------------------------ API REST
+
+// canEdit: middleware che autorizza le modifiche (es. auth.requireRole('operator'))
+function createMaintenanceRouter(maintenance, { nodeCache, canEdit = (req, res, next) => next() } = {}) {
+  const store = maintenance.store;
+  const router = express.Router();
+  router.use('/api/maintenance', express.json());
+
+  // il nodo deve esistere nell'inventario (cache), altrimenti la finestra non coprirebbe nulla
+  function checkNode(win) {
+    if (win.node_id !== null && nodeCache && !nodeCache.get(win.node_id)) {
+      throw new ValidationError(`Nodo ${win.node_id} non trovato nell'inventario`);
+    }
+    return win;
+  }
+
+  const withState = w => ({ ...w, open: maintenance.isOpen(w) });
+
+  router.get('/api/maintenance', async (req, res) => {
+    try {
+      res.json((await store.list()).map(withState));
+    } catch (err) {
+      sendError(res, err, 'GET /api/maintenance');
+    }
+  });
+
+  router.get('/api/maintenance/:id', async (req, res) => {
+    try {
+      res.json(withState(await store.get(parseId(req.params.id))));
+    } catch (err) {
+      sendError(res, err, 'GET /api/maintenance/:id');
+    }
+  });
+
+  router.post('/api/maintenance', canEdit, async (req, res) => {
+    try {
+      const username = req.user ? req.user.username : null;
+      const win = await store.create(checkNode(validateWindow(req.body)), username);
+      maintenance.invalidate();
+      console.log(`[MAINT] ${username || '-'}: aggiunta finestra id=${win.id} "${win.name}" (${win.recurrence})`);
+      res.status(201).json(withState(win));
+    } catch (err) {
+      sendError(res, err, 'POST /api/maintenance');
+    }
+  });
+
+  router.put('/api/maintenance/:id', canEdit, async (req, res) => {
+    try {
+      const win = await store.update(parseId(req.params.id), checkNode(validateWindow(req.body)));
+      maintenance.invalidate();
+      console.log(`[MAINT] ${req.user ? req.user.username : '-'}: modificata finestra id=${win.id} "${win.name}"`);
+      res.json(withState(win));
+    } catch (err) {
+      sendError(res, err, 'PUT /api/maintenance/:id');
+    }
+  });
+
+  router.delete('/api/maintenance/:id', canEdit, async (req, res) => {
+    try {
+      const id = parseId(req.params.id);
+      await store.remove(id);
+      maintenance.invalidate();
+      console.log(`[MAINT] ${req.user ? req.user.username : '-'}: cancellata finestra id=${id}`);
+      res.sendStatus(204);
+    } catch (err) {
+      sendError(res, err, 'DELETE /api/maintenance/:id');
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createMaintenance,
+  createMaintenanceRouter,
+  validateWindow,
+  isOpen
+};
@@ -0,0 +1,213 @@
+// lib/metrics.js
+// Metriche in formato testo Prometheus (GET /metrics) e controlli di salute (GET /healthz, /readyz).
+// Registro minimo senza dipendenze: counter e histogram con label, gauge calcolati alla lettura.
+const crypto = require('crypto');
+const express = require('express');
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+// un database bloccato non deve bloccare /readyz
+const CHECK_TIMEOUT_MS = 5000;
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function labelText(names, values) {
+  if (names.length === 0) return '';
+  return `{${names.map((n, i) => `${n}="${escapeLabel(values[i])}"`).join(',')}}`;
+}
+
+function createMetrics() {
+  const metrics = [];
+
+  function register(metric) {
+    metrics.push(metric);
+    return metric;
+  }
+
+  // inc(labels = {}, n = 1)
+  function counter(name, help, labelNames = []) {
+    const values = new Map();
+    return register({
+      name,
+      help,
+      type: 'counter',
+      inc(labels = {}, n = 1) {
+        const key = JSON.stringify(labelNames.map(l => labels[l] === undefined ? '' : labels[l]));
+        values.set(key, (values.get(key) || 0) + n);
+      },
+      lines() {
+        return Array.from(values.entries()).map(([key, v]) => `${name}${labelText(labelNames, JSON.parse(key))} ${v}`);
+      }
+    });
+  }
+
+  // collect() → numero oppure [{ labels, value }]
+  function gauge(name, help, collect, labelNames = []) {
+    return register({
+      name,
+      help,
+      type: 'gauge',
+      lines() {
+        const v = collect();
+        if (!Array.isArray(v)) return v === null || v === undefined ? [] : [`${name} ${v}`];
+        return v.map(s => `${name}${labelText(labelNames, labelNames.map(l => s.labels[l]))} ${s.value}`);
+      }
+    });
+  }
+
+  // observe(labels, secondi); startTimer(labels) → funzione che registra la durata
+  function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    const series = new Map();
+    function observe(labels, seconds) {
+      const key = JSON.stringify(labelNames.map(l => labels[l] === undefined ? '' : labels[l]));
+      let s = series.get(key);
+      if (!s) {
+        s = { counts: buckets.map(() => 0), sum: 0, count: 0 };
+        series.set(key, s);
+      }
+      buckets.forEach((b, i) => { if (seconds <= b) s.counts[i]++; });
+      s.sum += seconds;
+      s.count++;
+    }
+    return register({
+      name,
+      help,
+      type: 'histogram',
+      observe,
+      startTimer(labels = {}) {
+        const start = process.hrtime.bigint();
+        return () => {
+          const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+          observe(labels, seconds);
+          return seconds;
+        };
+      },
+      lines() {
+        const out = [];
+        series.forEach((s, key) => {
+          const values = JSON.parse(key);
+          buckets.forEach((b, i) => {
+            out.push(`${name}_bucket${labelText([...labelNames, 'le'], [...values, b])} ${s.counts[i]}`);
+          });
+          out.push(`${name}_bucket${labelText([...labelNames, 'le'], [...values, '+Inf'])} ${s.count}`);
+          out.push(`${name}_sum${labelText(labelNames, values)} ${s.sum}`);
+          out.push(`${name}_count${labelText(labelNames, values)} ${s.count}`);
+        });
+        return out;
+      }
+    });
+  }
+
+  function render() {
+    return metrics.map(m => [`# HELP ${m.name} ${m.help}`, `# TYPE ${m.name} ${m.type}`, ...m.lines()].join('\n'))
+      .join('\n') + '\n';
+  }
+
+  return { counter, gauge, histogram, render };
+}
+
+// Nome breve della query per le label: verbo e prima tabella ("SELECT rcv_log", "INSERT rcv_log_history")
+function statementName(sql) {
+  const text = String(typeof sql === 'object' && sql !== null ? sql.sql : sql).replace(/\s+/g, ' ').trim();
+  const verb = (text.match(/^\w+/) || ['?'])[0].toUpperCase();
+  const table = text.match(/\b(?:FROM|INTO|UPDATE|TABLE)\s+`?(\w+)`?/i);
+  return table ? `${verb} ${table[1]}` : verb;
+}
+
+// Durata di pool.query per statement (le query su connessioni dedicate non sono misurate)
+function instrumentPool(pool, histogram) {
+  const query = pool.query.bind(pool);
+  pool.query = (sql, ...args) => {
+    const done = histogram.startTimer({ statement: statementName(sql) });
+    return query(sql, ...args).finally(done);
+  };
+  return pool;
+}
+
+function sameToken(a, b) {
+  const x = Buffer.from(a);
+  const y = Buffer.from(b);
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+// /healthz: il processo e il polling sono vivi (503 se il polling e' fermo)
+// /readyz:  MySQL e inventario rispondono e l'ultimo polling riuscito e' recente (503 altrimenti)
+// /metrics: Prometheus; con token richiede "Authorization: Bearer <token>"
+// options:
+//   metrics      registro di createMetrics
+//   checks       { nome: async () => {} } controlli delle connessioni (lanciano se non disponibili)
+//   pollState    () => { lastRunAt, lastSuccessAt } (ms)
+//   staleMs      eta' oltre la quale il polling e' considerato fermo
+//   token        token per /metrics (null = pubblico)
+function createHealthRouter({ metrics, checks, pollState, staleMs, token = null }) {
+  const router = express.Router();
+
+  function pollInfo() {
+    const { lastRunAt, lastSuccessAt } = pollState();
+    const now = Date.now();
+    const age = t => (t ? Math.round((now - t) / 100) / 10 : null);
+    return {
+      lastRunAt: lastRunAt ? new Date(lastRunAt).toISOString() : null,
+      lastSuccessAt: lastSuccessAt ? new Date(lastSuccessAt).toISOString() : null,
+      runAgeSeconds: age(lastRunAt),
+      successAgeSeconds: age(lastSuccessAt),
+      staleSeconds: staleMs / 1000
+    };
+  }
+
+  async function runChecks() {
+    const results = {};
+    await Promise.all(Object.keys(checks).map(async name => {
+      const start = Date.now();
+      let timer;
+      try {
+        await Promise.race([
+          checks[name](),
+          new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error(`timeout ${CHECK_TIMEOUT_MS} ms`)), CHECK_TIMEOUT_MS);
+          })
+        ]);
+        results[name] = { ok: true, ms: Date.now() - start };
+      } catch (err) {
+        results[name] = { ok: false, ms: Date.now() - start, error: err.message };
+      } finally {
+        clearTimeout(timer);
+      }
+    }));
+    return results;
+  }
+
+  router.get('/healthz', (req, res) => {
+    const poll = pollInfo();
+    // all'avvio il polling non ha ancora girato: si conta dall'avvio del processo
+    const age = poll.runAgeSeconds === null ? process.uptime() : poll.runAgeSeconds;
+    const ok = age * 1000 <= staleMs;
+    res.status(ok ? 200 : 503).json({ status: ok ? 'ok' : 'stalled', uptimeSeconds: Math.round(process.uptime()), poll });
+  });
+
+  router.get('/readyz', async (req, res) => {
+    const results = await runChecks();
+    const poll = pollInfo();
+    const pollOk = poll.successAgeSeconds !== null && poll.successAgeSeconds * 1000 <= staleMs;
+    const ok = pollOk && Object.values(results).every(r => r.ok);
+    res.status(ok ? 200 : 503).json({ status: ok ? 'ready' : 'not ready', checks: results, poll: { ...poll, ok: pollOk } });
+  });
+
+  router.get('/metrics', (req, res) => {
+    if (token && !sameToken(req.get('authorization') || '', `Bearer ${token}`)) {
+      return res.status(401).json({ detail: 'Token metriche non valido' });
+    }
+    res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.send(metrics.render());
+  });
+
+  return router;
+}
+
+module.exports = {
+  createMetrics,
+  createHealthRouter,
+  instrumentPool,
+  statementName
+};
@@ -0,0 +1,524 @@
+// lib/mibimport.js
+// Import delle definizioni trap dai file MIB nella tabella mib_oid: SMIv1 TRAP-TYPE e SMIv2
+// NOTIFICATION-TYPE. Gli OID vengono risolti seguendo gli IMPORTS tra i moduli caricati insieme
+// (i nodi radice di SNMPv2-SMI / RFC1155-SMI sono noti). Per ogni trap si genera una riga con
+//   category    nome della trap (eventname)
+//   trapoid     OID della notifica; per TRAP-TYPE enterprise.0.specific (RFC 3584, come lib/snmp.js)
+//   enterprise  tipologia indicata nell'import, altrimenti il nome del modulo
+//   severity    commento "--#SEVERITY" della MIB, NORMAL per i nomi di clear (linkUp, ...Cleared),
+//               altrimenti la severity di default dell'import
+//   msg         prima frase della DESCRIPTION e varbind di OBJECTS/VARIABLES ($1, $2, ...)
+// Le definizioni inserite a mano (source NULL) o modificate dopo l'import non vengono mai
+// sovrascritte. API: POST /api/miboid/import { files: [{ name, content }], enterprise, severity, dryRun }.
+// CLI: tools/mibimport.js.
+const crypto = require('crypto');
+const express = require('express');
+const { ValidationError, sendError } = require('./validation');
+const { validateMibOid, parseSeverity } = require('./miboid');
+
+// Limite del body JSON dell'import (le MIB dei vendor superano il limite di default di express.json)
+const MAX_UPLOAD = '10mb';
+const MAX_DESCRIPTION = 300;
+const DEFAULT_SEVERITY = 5; // WARNING
+
+const MACROS = new Set([
+  'OBJECT-TYPE', 'MODULE-IDENTITY', 'OBJECT-IDENTITY', 'NOTIFICATION-TYPE', 'TRAP-TYPE',
+  'OBJECT-GROUP', 'NOTIFICATION-GROUP', 'MODULE-COMPLIANCE', 'AGENT-CAPABILITIES'
+]);
+
+// Nodi definiti dagli SMI (SNMPv2-SMI, RFC1155-SMI, RFC1213-MIB) che di solito non vengono caricati
+const BUILTIN_OIDS = {
+  ccitt: '0',
+  iso: '1',
+  'joint-iso-ccitt': '2',
+  zeroDotZero: '0.0',
+  org: '1.3',
+  dod: '1.3.6',
+  internet: '1.3.6.1',
+  directory: '1.3.6.1.1',
+  mgmt: '1.3.6.1.2',
+  'mib-2': '1.3.6.1.2.1',
+  system: '1.3.6.1.2.1.1',
+  interfaces: '1.3.6.1.2.1.2',
+  transmission: '1.3.6.1.2.1.10',
+  snmp: '1.3.6.1.2.1.11',
+  experimental: '1.3.6.1.3',
+  private: '1.3.6.1.4',
+  enterprises: '1.3.6.1.4.1',
+  security: '1.3.6.1.5',
+  snmpV2: '1.3.6.1.6',
+  snmpDomains: '1.3.6.1.6.1',
+  snmpProxys: '1.3.6.1.6.2',
+  snmpModules: '1.3.6.1.6.3',
+  snmpTraps: '1.3.6.1.6.3.1.1.5'
+};
+// coldStart, warmStart, linkDown, linkUp, authenticationFailure, egpNeighborLoss (ENTERPRISE snmp)
+const SNMP_ENTERPRISE = '1.3.6.1.2.1.11';
+const SNMP_TRAPS = '1.3.6.1.6.3.1.1.5';
+
+// nomi di trap di rientro (camelCase): linkUp, fanOk, tempAlarmCleared, ...
+const CLEAR_NAME_RE = /[a-z0-9](Up|Ok|OK|Clear|Cleared|Normal|Restored|Resolved)$/;
+const HINT_SEVERITIES = { INFORMATIONAL: 'INFO', INFORMATION: 'INFO', MINOR: 'MINOR', MAJOR: 'MAJOR', CRITICAL: 'CRITICAL', WARNING: 'WARNING', NORMAL: 'NORMAL', SEVERE: 'SEVERE', INFO: 'INFO' };
+
+// ------------------------------------------------------------------ parser
+
+// Token: { k: 'id' | 'num' | 'sym' | 'str' | 'hint', v }; i commenti "--#NOME valore" diventano hint
+function tokenize(text) {
+  const tokens = [];
+  const n = text.length;
+  let i = 0;
+  while (i < n) {
+    const c = text[i];
+    if (/\s/.test(c)) {
+      i++;
+    } else if (c === '"') {
+      const end = text.indexOf('"', i + 1);
+      const stop = end < 0 ? n : end;
+      tokens.push({ k: 'str', v: text.slice(i + 1, stop) });
+      i = stop + 1;
+    } else if (c === '-' && text[i + 1] === '-') {
+      // commento fino a fine riga o al successivo "--"
+      let eol = text.indexOf('\n', i);
+      if (eol < 0) eol = n;
+      if (text[i + 2] === '#') {
+        const m = text.slice(i + 3, eol).trim().match(/^(\w+)\s*(.*)$/);
+        if (m) tokens.push({ k: 'hint', v: { name: m[1].toUpperCase(), value: m[2].trim() } });
+        i = eol;
+      } else {
+        const close = text.indexOf('--', i + 2);
+        i = close >= 0 && close < eol ? close + 2 : eol;
+      }
+    } else if (text.startsWith('::=', i)) {
+      tokens.push({ k: 'sym', v: '::=' });
+      i += 3;
+    } else if (text.startsWith('..', i)) {
+      tokens.push({ k: 'sym', v: '..' });
+      i += 2;
+    } else if ('{}(),;|[]'.includes(c)) {
+      tokens.push({ k: 'sym', v: c });
+      i++;
+    } else if (c === '\'') {
+      // stringhe binarie/esadecimali '00'H
+      const m = text.slice(i).match(/^'[^']*'[HhBb]?/);
+      i += m ? m[0].length : 1;
+    } else {
+      const m = text.slice(i).match(/^[A-Za-z0-9](?:[A-Za-z0-9_]|-(?!-))*/);
+      if (m) {
+        tokens.push({ k: /^\d+$/.test(m[0]) ? 'num' : 'id', v: m[0] });
+        i += m[0].length;
+      } else {
+        i++;
+      }
+    }
+  }
+  return tokens;
+}
+
+// Valore OID "{ parent 1 }", "{ iso org(3) dod(6) 1 }": componenti { name, num }
+function parseOidValue(tokens, i) {
+  const parts = [];
+  i++; // {
+  while (i < tokens.length && tokens[i].v !== '}') {
+    const t = tokens[i];
+    if (t.k === 'num') {
+      parts.push({ name: null, num: t.v });
+      i++;
+    } else if (t.k === 'id' && tokens[i + 1] && tokens[i + 1].v === '(' && tokens[i + 2] && tokens[i + 2].k === 'num') {
+      parts.push({ name: t.v, num: tokens[i + 2].v });
+      i += 4;
+    } else if (t.k === 'id') {
+      parts.push({ name: t.v, num: null });
+      i++;
+    } else {
+      i++;
+    }
+  }
+  return { parts, next: i + 1 };
+}
+
+function firstSentence(text) {
+  const flat = String(text || '').replace(/\s+/g, ' ').trim();
+  const m = flat.match(/^(.*?[.!?])(\s|$)/);
+  const sentence = (m ? m[1] : flat).replace(/\.$/, '');
+  return sentence.length > MAX_DESCRIPTION ? `${sentence.slice(0, MAX_DESCRIPTION - 3)}...` : sentence;
+}
+
+// Clausole di una macro (dal nome della macro a "::="): ENTERPRISE, OBJECTS/VARIABLES, DESCRIPTION, hint
+function parseClauses(tokens, i) {
+  const clauses = { objects: [], hints: {} };
+  while (i < tokens.length && tokens[i].v !== '::=') {
+    const t = tokens[i];
+    if (t.k === 'hint') {
+      clauses.hints[t.v.name] = t.v.value;
+    } else if (t.k === 'id' && t.v === 'ENTERPRISE' && tokens[i + 1]) {
+      clauses.enterprise = tokens[++i].v;
+    } else if (t.k === 'id' && (t.v === 'OBJECTS' || t.v === 'VARIABLES') && tokens[i + 1] && tokens[i + 1].v === '{') {
+      i += 2;
+      while (i < tokens.length && tokens[i].v !== '}') {
+        if (tokens[i].k === 'id') clauses.objects.push(tokens[i].v);
+        i++;
+      }
+    } else if (t.k === 'id' && t.v === 'DESCRIPTION' && tokens[i + 1] && tokens[i + 1].k === 'str') {
+      clauses.description = tokens[++i].v;
+    } else if (t.k === 'id' && t.v === 'STATUS' && tokens[i + 1]) {
+      clauses.status = tokens[++i].v;
+    }
+    i++;
+  }
+  return { clauses, next: i };
+}
+
+// Un file puo' contenere piu' moduli: { name, file, imports: Map nome → modulo, defs: Map nome → def }
+function parseModules(text, file) {
+  const tokens = tokenize(text);
+  const modules = [];
+  let i = 0;
+  while (i < tokens.length) {
+    if (!(tokens[i].k === 'id' && tokens[i + 1] && tokens[i + 1].v === 'DEFINITIONS')) {
+      i++;
+      continue;
+    }
+    const mod = { name: tokens[i].v, file, imports: new Map(), defs: new Map() };
+    modules.push(mod);
+    while (i < tokens.length && tokens[i].v !== 'BEGIN') i++;
+    i++;
+    let depth = 1;
+    while (i < tokens.length && depth > 0) {
+      const t = tokens[i];
+      if (t.v === 'BEGIN') {
+        depth++;
+        i++;
+      } else if (t.v === 'END') {
+        depth--;
+        i++;
+      } else if (depth > 1) {
+        // corpo di una MACRO (SNMPv2-SMI e simili): non contiene definizioni
+        i++;
+      } else if (t.k === 'id' && t.v === 'IMPORTS') {
+        let names = [];
+        i++;
+        while (i < tokens.length && tokens[i].v !== ';') {
+          if (tokens[i].v === 'FROM' && tokens[i + 1]) {
+            const from = tokens[i + 1].v;
+            names.forEach(n => mod.imports.set(n, from));
+            names = [];
+            i += 2;
+          } else {
+            if (tokens[i].k === 'id') names.push(tokens[i].v);
+            i++;
+          }
+        }
+        i++;
+      } else if (t.k === 'id' && /^[a-z]/.test(t.v) && tokens[i + 1] && tokens[i + 1].v === 'OBJECT' &&
+        tokens[i + 2] && tokens[i + 2].v === 'IDENTIFIER' && tokens[i + 3] && tokens[i + 3].v === '::=' &&
+        tokens[i + 4] && tokens[i + 4].v === '{') {
+        const value = parseOidValue(tokens, i + 4);
+        mod.defs.set(t.v, { name: t.v, macro: 'OBJECT IDENTIFIER', oid: value.parts });
+        i = value.next;
+      } else if (t.k === 'id' && /^[a-z]/.test(t.v) && tokens[i + 1] && MACROS.has(tokens[i + 1].v)) {
+        const macro = tokens[i + 1].v;
+        const { clauses, next } = parseClauses(tokens, i + 2);
+        i = next + 1;
+        const def = { name: t.v, macro, ...clauses };
+        if (tokens[i] && tokens[i].v === '{') {
+          const value = parseOidValue(tokens, i);
+          def.oid = value.parts;
+          i = value.next;
+        } else if (tokens[i] && tokens[i].k === 'num') {
+          def.specific = parseInt(tokens[i].v, 10);
+          i++;
+        }
+        // hint subito dopo il valore (alcune MIB v1 li mettono dopo "::= n")
+        while (tokens[i] && tokens[i].k === 'hint') {
+          if (def.hints[tokens[i].v.name] === undefined) def.hints[tokens[i].v.name] = tokens[i].v.value;
+          i++;
+        }
+        if (!mod.defs.has(t.v)) mod.defs.set(t.v, def);
+      } else {
+        i++;
+      }
+    }
+  }
+  return modules;
+}
+
+// ------------------------------------------------------------------ risoluzione
+
+// files: [{ name, content }] → { modules, traps: [{ module, name, trapoid, objects, description, hints, kind }], warnings }
+function parseMibFiles(files) {
+  const modules = new Map();
+  const warnings = [];
+  files.forEach(f => {
+    const found = parseModules(String(f.content || ''), f.name);
+    if (found.length === 0) warnings.push(`${f.name}: nessun modulo MIB (manca "DEFINITIONS ::= BEGIN")`);
+    found.forEach(mod => {
+      if (modules.has(mod.name)) {
+        warnings.push(`${f.name}: modulo ${mod.name} gia' caricato da ${modules.get(mod.name).file}, ignorato`);
+      } else {
+        modules.set(mod.name, mod);
+      }
+    });
+  });
+
+  const cache = new Map();
+  const missing = new Set();
+
+  // OID di un simbolo nel contesto del modulo (definito, importato o noto); null se non risolvibile
+  function resolve(moduleName, name, seen = new Set()) {
+    const key = `${moduleName}::${name}`;
+    if (cache.has(key)) return cache.get(key);
+    if (seen.has(key)) return null;
+    seen.add(key);
+    const mod = modules.get(moduleName);
+    let oid = null;
+    if (mod && mod.defs.has(name) && mod.defs.get(name).oid) {
+      // il primo componente puo' essere un nome, gli altri devono avere il numero
+      const parts = mod.defs.get(name).oid;
+      const out = parts.map((part, p) => {
+        if (part.num !== null) return part.num;
+        return p === 0 ? resolve(moduleName, part.name, seen) : null;
+      });
+      if (out.length > 0 && !out.includes(null)) oid = out.join('.');
+    } else if (mod && mod.imports.has(name)) {
+      const from = mod.imports.get(name);
+      if (modules.has(from)) oid = resolve(from, name, seen);
+      if (oid === null && BUILTIN_OIDS[name] !== undefined) oid = BUILTIN_OIDS[name];
+      if (oid === null && !modules.has(from)) missing.add(from);
+    } else if (BUILTIN_OIDS[name] !== undefined) {
+      oid = BUILTIN_OIDS[name];
+    }
+    cache.set(key, oid);
+    return oid;
+  }
+
+  const traps = [];
+  modules.forEach(mod => {
+    mod.defs.forEach(def => {
+      if (def.macro !== 'TRAP-TYPE' && def.macro !== 'NOTIFICATION-TYPE') return;
+      let trapoid = null;
+      if (def.macro === 'NOTIFICATION-TYPE') {
+        trapoid = resolve(mod.name, def.name);
+      } else if (def.enterprise && Number.isInteger(def.specific)) {
+        const enterprise = resolve(mod.name, def.enterprise);
+        if (enterprise === SNMP_ENTERPRISE && def.specific >= 0 && def.specific <= 5) {
+          trapoid = `${SNMP_TRAPS}.${def.specific + 1}`;
+        } else if (enterprise !== null) {
+          trapoid = `${enterprise}.0.${def.specific}`;
+        }
+      }
+      if (trapoid === null) {
+        warnings.push(`${mod.name}::${def.name}: OID non risolto (moduli mancanti: ${Array.from(missing).join(', ') || '-'})`);
+        return;
+      }
+      traps.push({
+        module: mod.name,
+        name: def.name,
+        kind: def.macro,
+        trapoid,
+        objects: def.objects || [],
+        description: def.description || '',
+        hints: def.hints || {},
+        status: def.status || null
+      });
+    });
+  });
+
+  return { modules: Array.from(modules.keys()), traps, warnings };
+}
+
+// ------------------------------------------------------------------ definizioni mib_oid
+
+function trapSeverity(trap, fallback) {
+  const hint = trap.hints.SEVERITY ? HINT_SEVERITIES[trap.hints.SEVERITY.replace(/"/g, '').trim().toUpperCase()] : null;
+  if (hint) return parseSeverity(hint);
+  if (CLEAR_NAME_RE.test(trap.name)) return 6;
+  return fallback;
+}
+
+// Template snmptt: "<prima frase della DESCRIPTION>: ifIndex=$1 ifAdminStatus=$2"
+function trapTemplate(trap) {
+  const text = (firstSentence(trap.description) || trap.name).replace(/\$/g, '$$$$');
+  const vars = trap.objects.map((o, i) => `${o}=$${i + 1}`).join(' ');
+  return vars ? `${text}: ${vars}` : text;
+}
+
+// Impronta dei valori scritti dall'import (vedi sql/013_mib_oid_import.sql)
+function importHash(def) {
+  const values = [normalizeOid(def.trapoid), def.category, def.enterprise, def.msg, Number(def.severity)];
+  return crypto.createHash('sha1').update(JSON.stringify(values)).digest('hex');
+}
+
+function normalizeOid(oid) {
+  return String(oid || '').replace(/^\./, '');
+}
+
+// options: enterprise (tipologia, default il nome del modulo), severity (default WARNING), dryRun
+function parseImportOptions(options = {}) {
+  const enterprise = options.enterprise === undefined || options.enterprise === null || String(options.enterprise).trim() === ''
+    ? null
+    : String(options.enterprise).trim();
+  const severity = options.severity === undefined || options.severity === null || options.severity === ''
+    ? DEFAULT_SEVERITY
+    : parseSeverity(options.severity);
+  return { enterprise, severity, dryRun: Boolean(options.dryRun) };
+}
+
+// Import in mib_oid. Ogni definizione riceve un'azione:
+//   insert     nuova coppia trapoid + enterprise
+//   update     definizione importata in precedenza, non modificata a mano, con valori diversi
+//   unchanged  definizione importata identica
+//   skip       definizione manuale, modificata dopo l'import o non valida (reason)
+// Con dryRun il database non viene modificato (anteprima).
+async function importMibs(pool, files, options = {}) {
+  if (!Array.isArray(files) || files.length === 0) throw new ValidationError('Nessun file MIB');
+  const opts = parseImportOptions(options);
+  const parsed = parseMibFiles(files.map((f, i) => ({ name: String(f.name || `file${i + 1}`), content: f.content })));
+  const warnings = [...parsed.warnings];
+
+  const seen = new Set();
+  const definitions = [];
+  parsed.traps.forEach(trap => {
+    const enterprise = opts.enterprise || trap.module;
+    const key = `${trap.trapoid}|${enterprise}`;
+    if (seen.has(key)) {
+      warnings.push(`${trap.module}::${trap.name}: trap OID ${trap.trapoid} gia' definito da un'altra trap, ignorato`);
+      return;
+    }
+    seen.add(key);
+    const entry = { module: trap.module, name: trap.name, action: null, reason: null, id: null };
+    try {
+      entry.definition = validateMibOid({
+        trapoid: trap.trapoid,
+        category: trap.name,
+        enterprise,
+        msg: trapTemplate(trap),
+        severity: trapSeverity(trap, opts.severity)
+      });
+    } catch (err) {
+      if (!(err instanceof ValidationError)) throw err;
+      entry.action = 'skip';
+      entry.reason = err.message;
+    }
+    definitions.push(entry);
+  });
+
+  const valid = definitions.filter(d => d.definition);
+  const enterprises = Array.from(new Set(valid.map(d => d.definition.enterprise)));
+  const existing = new Map();
+  if (enterprises.length > 0) {
+    const [rows] = await pool.query(
+      `SELECT id, trapoid, category, enterprise, msg, severity, source, import_hash
+       FROM mib_oid WHERE enterprise IN (${enterprises.map(() => '?').join(',')})`,
+      enterprises
+    );
+    rows.forEach(r => existing.set(`${normalizeOid(r.trapoid)}|${r.enterprise}`, r));
+  }
+
+  valid.forEach(d => {
+    const def = d.definition;
+    const row = existing.get(`${def.trapoid}|${def.enterprise}`);
+    if (!row) {
+      d.action = 'insert';
+    } else {
+      d.id = row.id;
+      if (!row.source) {
+        d.action = 'skip';
+        d.reason = 'definizione inserita a mano';
+      } else if (row.import_hash !== importHash(row)) {
+        d.action = 'skip';
+        d.reason = 'definizione modificata a mano dopo l\'import';
+      } else if (row.import_hash === importHash(def)) {
+        d.action = 'unchanged';
+      } else {
+        d.action = 'update';
+      }
+    }
+  });
+
+  if (!opts.dryRun) {
+    const toWrite = valid.filter(d => d.action === 'insert' || d.action === 'update');
+    if (toWrite.length > 0) {
+      const conn = await pool.getConnection();
+      try {
+        await conn.beginTransaction();
+        for (const d of toWrite) {
+          const def = d.definition;
+          const values = [def.trapoid, def.category, def.enterprise, def.msg, def.severity, `mib:${d.module}`, importHash(def)];
+          if (d.action === 'insert') {
+            const [result] = await conn.query(
+              'INSERT INTO mib_oid (trapoid, category, enterprise, msg, severity, source, import_hash) VALUES (?, ?, ?, ?, ?, ?, ?)',
+              values
+            );
+            d.id = result.insertId;
+          } else {
+            // solo se nessuno l'ha modificata nel frattempo
+            const [[current]] = await conn.query(
+              'SELECT id, trapoid, category, enterprise, msg, severity, source, import_hash FROM mib_oid WHERE id = ? FOR UPDATE',
+              [d.id]
+            );
+            if (!current || !current.source || current.import_hash !== importHash(current)) {
+              d.action = 'skip';
+              d.reason = 'definizione modificata a mano durante l\'import';
+              continue;
+            }
+            await conn.query(
+              `UPDATE mib_oid SET trapoid = ?, category = ?, enterprise = ?, msg = ?, severity = ?, source = ?, import_hash = ?
+               WHERE id = ?`,
+              [...values, d.id]
+            );
+          }
+        }
+        await conn.commit();
+      } catch (err) {
+        await conn.rollback().catch(() => {});
+        throw err;
+      } finally {
+        conn.release();
+      }
+    }
+  }
+
+  const counts = { insert: 0, update: 0, unchanged: 0, skip: 0 };
+  definitions.forEach(d => { counts[d.action]++; });
+  return {
+    dryRun: opts.dryRun,
+    modules: parsed.modules,
+    counts,
+    definitions: definitions.map(d => ({
+      action: d.action,
+      reason: d.reason,
+      id: d.id,
+      module: d.module,
+      ...(d.definition || { category: d.name })
+    })),
+    warnings
+  };
+}
+
+// ------------------------------------------------------------------ API REST
+
+function createMibImportRouter(pool, { canEdit = (req, res, next) => next() } = {}) {
+  const router = express.Router();
+
+  router.post('/api/miboid/import', express.json({ limit: MAX_UPLOAD }), canEdit, async (req, res) => {
+    try {
+      const body = req.body || {};
+      const dryRun = body.dryRun === true || body.dryRun === 1 || req.query.dryRun === '1' || req.query.dryRun === 'true';
+      const result = await importMibs(pool, body.files, { enterprise: body.enterprise, severity: body.severity, dryRun });
+      console.log(`[MIBOID] ${req.user ? req.user.username : '-'}: import MIB ${result.modules.join(', ') || '-'}${dryRun ? ' (anteprima)' : ''}: ` +
+        `${result.counts.insert} nuove, ${result.counts.update} aggiornate, ${result.counts.unchanged} invariate, ${result.counts.skip} saltate`);
+      res.json(result);
+    } catch (err) {
+      sendError(res, err, 'POST /api/miboid/import');
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createMibImportRouter,
+  importMibs,
+  parseMibFiles,
+  importHash
+};
@@ -0,0 +1,325 @@
+// lib/miboid.js
+// API CRUD per la tabella mib_oid (definizioni trap: trapoid, category, enterprise, msg, severity).
+// Le rotte /addmiboid e /updatemiboid sono quelle usate da public/miboid.html, /api/miboid espone
+// le stesse operazioni in forma REST (la cancellazione solo come DELETE /api/miboid/:id).
+// /api/clearrules gestisce le regole di clear automatico (mib_clear_rule) usate dal trap receiver.
+const express = require('express');
+const { ValidationError, sendError, parseId, assertSafeRegex } = require('./validation');
+
+const SEVERITY_NAMES = { INFO: 0, CRITICAL: 1, SEVERE: 2, MAJOR: 3, MINOR: 4, WARNING: 5, NORMAL: 6 };
+// codice → nome, per le risposte delle API e i testi delle notifiche
+const SEVERITY_LABELS = Object.fromEntries(Object.entries(SEVERITY_NAMES).map(([name, code]) => [code, name]));
+const OID_RE = /^\.?[0-2](\.(0|[1-9]\d*))+$/;
+const MAX_TEXT = 255;
+
+function parseSeverity(value) {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    throw new ValidationError('Severity obbligatoria (0-6 oppure INFO, CRITICAL, SEVERE, MAJOR, MINOR, WARNING, NORMAL)');
+  }
+  const s = String(value).trim();
+  if (/^\d+$/.test(s)) {
+    const n = parseInt(s, 10);
+    if (n >= 0 && n <= 6) return n;
+  } else if (SEVERITY_NAMES[s.toUpperCase()] !== undefined) {
+    return SEVERITY_NAMES[s.toUpperCase()];
+  }
+  throw new ValidationError(`Severity non valida: ${s}`);
+}
+
+function requiredText(value, label) {
+  const s = value === undefined || value === null ? '' : String(value).trim();
+  if (s === '') throw new ValidationError(`${label} obbligatorio`);
+  if (s.length > MAX_TEXT) throw new ValidationError(`${label} troppo lungo (max ${MAX_TEXT} caratteri)`);
+  return s;
+}
+
+// Valida e normalizza il body di una richiesta add/update
+function validateMibOid(body = {}) {
+  const trapoid = requiredText(body.trapoid, 'Trap OID').replace(/^\./, '');
+  if (!OID_RE.test(trapoid)) {
+    throw new ValidationError(`Trap OID non valido: ${body.trapoid} (formato atteso 1.3.6.1...)`);
+  }
+
+  // enterprise e' la tipologia di apparato; se e' espressa come OID deve essere un OID valido
+  const enterprise = requiredText(body.enterprise, 'Tipologia (enterprise)');
+  if (/^\.?\d+(\.\d+)*\.?$/.test(enterprise) && !OID_RE.test(enterprise)) {
+    throw new ValidationError(`Enterprise OID non valido: ${enterprise}`);
+  }
+
+  const category = requiredText(body.category, 'Categoria');
+  const msg = body.msg === undefined || body.msg === null ? '' : String(body.msg).trim();
+  if (msg.length > 1024) throw new ValidationError('Formato log troppo lungo (max 1024 caratteri)');
+
+  return { trapoid, category, enterprise, msg, severity: parseSeverity(body.severity) };
+}
+
+function createMibOidStore(pool) {
+  async function list() {
+    const [rows] = await pool.query('SELECT * FROM mib_oid ORDER BY trapoid, enterprise');
+    return rows;
+  }
+
+  async function get(id) {
+    const [rows] = await pool.query('SELECT * FROM mib_oid WHERE id = ?', [id]);
+    if (rows.length === 0) throw new ValidationError(`Definizione ${id} non trovata`, 404);
+    return rows[0];
+  }
+
+  // stessa coppia trapoid + enterprise = duplicato
+  async function assertNotDuplicate(def, excludeId = null) {
+    let q = 'SELECT id FROM mib_oid WHERE trapoid = ? AND enterprise = ?';
+    const params = [def.trapoid, def.enterprise];
+    if (excludeId !== null) {
+      q += ' AND id <> ?';
+      params.push(excludeId);
+    }
+    const [rows] = await pool.query(q, params);
+    if (rows.length > 0) {
+      throw new ValidationError(`Trap OID ${def.trapoid} gia' definito per la tipologia ${def.enterprise} (id ${rows[0].id})`, 409);
+    }
+  }
+
+  async function create(body) {
+    const def = validateMibOid(body);
+    await assertNotDuplicate(def);
+    const [result] = await pool.query(
+      'INSERT INTO mib_oid (trapoid, category, enterprise, msg, severity) VALUES (?, ?, ?, ?, ?)',
+      [def.trapoid, def.category, def.enterprise, def.msg, def.severity]
+    );
+    return get(result.insertId);
+  }
+
+  async function update(id, body) {
+    const def = validateMibOid(body);
+    await get(id);
+    await assertNotDuplicate(def, id);
+    await pool.query(
+      'UPDATE mib_oid SET trapoid = ?, category = ?, enterprise = ?, msg = ?, severity = ? WHERE id = ?',
+      [def.trapoid, def.category, def.enterprise, def.msg, def.severity, id]
+    );
+    return get(id);
+  }
+
+  async function remove(id) {
+    const [result] = await pool.query('DELETE FROM mib_oid WHERE id = ?', [id]);
+    if (result.affectedRows === 0) throw new ValidationError(`Definizione ${id} non trovata`, 404);
+  }
+
+  return { list, get, create, update, remove };
+}
+
+// Valida e normalizza il body di una regola di clear
+function validateClearRule(body = {}) {
+  const problem_eventname = requiredText(body.problem_eventname, 'Evento problema');
+  const clear_eventname = requiredText(body.clear_eventname, 'Evento di clear');
+
+  let varbind_oid = body.varbind_oid === undefined || body.varbind_oid === null ? '' : String(body.varbind_oid).trim();
+  varbind_oid = varbind_oid.replace(/^\./, '');
+  if (varbind_oid !== '' && !OID_RE.test(varbind_oid)) {
+    throw new ValidationError(`OID varbind non valido: ${body.varbind_oid}`);
+  }
+
+  const formatline_regex = body.formatline_regex === undefined || body.formatline_regex === null ? '' : String(body.formatline_regex);
+  if (formatline_regex.length > MAX_TEXT) throw new ValidationError(`Regex troppo lunga (max ${MAX_TEXT} caratteri)`);
+  if (formatline_regex !== '') {
+    try {
+      new RegExp(formatline_regex);
+    } catch (err) {
+      throw new ValidationError(`Regex formatline non valida: ${err.message}`);
+    }
+    // eseguita dal trap receiver su ogni trap di clear: niente backtracking esponenziale
+    assertSafeRegex(formatline_regex);
+  }
+
+  const enabled = body.enabled === undefined || body.enabled === null ? 1 : (Number(body.enabled) ? 1 : 0);
+
+  return {
+    problem_eventname,
+    clear_eventname,
+    varbind_oid: varbind_oid || null,
+    formatline_regex: formatline_regex || null,
+    enabled
+  };
+}
+
+function createClearRuleStore(pool) {
+  async function list() {
+    const [rows] = await pool.query('SELECT * FROM mib_clear_rule ORDER BY problem_eventname, clear_eventname');
+    return rows;
+  }
+
+  async function get(id) {
+    const [rows] = await pool.query('SELECT * FROM mib_clear_rule WHERE id = ?', [id]);
+    if (rows.length === 0) throw new ValidationError(`Regola di clear ${id} non trovata`, 404);
+    return rows[0];
+  }
+
+  async function assertNotDuplicate(rule, excludeId = null) {
+    let q = 'SELECT id FROM mib_clear_rule WHERE problem_eventname = ? AND clear_eventname = ?';
+    const params = [rule.problem_eventname, rule.clear_eventname];
+    if (excludeId !== null) {
+      q += ' AND id <> ?';
+      params.push(excludeId);
+    }
+    const [rows] = await pool.query(q, params);
+    if (rows.length > 0) {
+      throw new ValidationError(`Regola ${rule.problem_eventname} → ${rule.clear_eventname} gia' presente (id ${rows[0].id})`, 409);
+    }
+  }
+
+  async function create(body) {
+    const rule = validateClearRule(body);
+    await assertNotDuplicate(rule);
+    const [result] = await pool.query(
+      'INSERT INTO mib_clear_rule (problem_eventname, clear_eventname, varbind_oid, formatline_regex, enabled) VALUES (?, ?, ?, ?, ?)',
+      [rule.problem_eventname, rule.clear_eventname, rule.varbind_oid, rule.formatline_regex, rule.enabled]
+    );
+    return get(result.insertId);
+  }
+
+  async function update(id, body) {
+    const rule = validateClearRule(body);
+    await get(id);
+    await assertNotDuplicate(rule, id);
+    await pool.query(
+      'UPDATE mib_clear_rule SET problem_eventname = ?, clear_eventname = ?, varbind_oid = ?, formatline_regex = ?, enabled = ? WHERE id = ?',
+      [rule.problem_eventname, rule.clear_eventname, rule.varbind_oid, rule.formatline_regex, rule.enabled, id]
+    );
+    return get(id);
+  }
+
+  async function remove(id) {
+    const [result] = await pool.query('DELETE FROM mib_clear_rule WHERE id = ?', [id]);
+    if (result.affectedRows === 0) throw new ValidationError(`Regola di clear ${id} non trovata`, 404);
+  }
+
+  return { list, get, create, update, remove };
+}
+
+// canEdit: middleware che autorizza le modifiche (es. auth.requireRole('admin')); le letture restano libere
+function createMibOidRouter(pool, { canEdit = (req, res, next) => next() } = {}) {
+  const store = createMibOidStore(pool);
+  const clearRules = createClearRuleStore(pool);
+  const router = express.Router();
+  // parser del body solo sulle rotte che lo ricevono: /api/miboid/import (lib/mibimport.js) ha il suo,
+  // con un limite piu' alto, e non dipende dall'ordine di montaggio dei router
+  const jsonBody = express.json();
+
+  // API per ottenere i dati della tabella mib_oid
+  router.get(['/miboid', '/api/miboid'], async (req, res) => {
+    try {
+      res.json(await store.list());
+    } catch (err) {
+      sendError(res, err, 'GET /miboid');
+    }
+  });
+
+  router.get('/api/miboid/:id', async (req, res) => {
+    try {
+      res.json(await store.get(parseId(req.params.id)));
+    } catch (err) {
+      sendError(res, err, 'GET /api/miboid/:id');
+    }
+  });
+
+  router.post(['/addmiboid', '/api/miboid'], jsonBody, canEdit, async (req, res) => {
+    try {
+      const row = await store.create(req.body);
+      console.log(`[MIBOID] Aggiunta definizione id=${row.id} trapoid=${row.trapoid} enterprise=${row.enterprise}`);
+      res.status(201).json(row);
+    } catch (err) {
+      sendError(res, err, 'POST /addmiboid');
+    }
+  });
+
+  router.post('/updatemiboid', jsonBody, canEdit, async (req, res) => {
+    try {
+      const row = await store.update(parseId(req.body && req.body.id), req.body);
+      console.log(`[MIBOID] Modificata definizione id=${row.id} trapoid=${row.trapoid}`);
+      res.json(row);
+    } catch (err) {
+      sendError(res, err, 'POST /updatemiboid');
+    }
+  });
+
+  router.put('/api/miboid/:id', jsonBody, canEdit, async (req, res) => {
+    try {
+      const row = await store.update(parseId(req.params.id), req.body);
+      console.log(`[MIBOID] Modificata definizione id=${row.id} trapoid=${row.trapoid}`);
+      res.json(row);
+    } catch (err) {
+      sendError(res, err, 'PUT /api/miboid/:id');
+    }
+  });
+
+  router.delete('/api/miboid/:id', canEdit, async (req, res) => {
+    try {
+      const id = parseId(req.params.id);
+      await store.remove(id);
+      console.log(`[MIBOID] Cancellata definizione id=${id}`);
+      res.sendStatus(204);
+    } catch (err) {
+      sendError(res, err, 'DELETE /api/miboid/:id');
+    }
+  });
+
+  // Regole di clear automatico
+  router.get('/api/clearrules', async (req, res) => {
+    try {
+      res.json(await clearRules.list());
+    } catch (err) {
+      sendError(res, err, 'GET /api/clearrules');
+    }
+  });
+
+  router.get('/api/clearrules/:id', async (req, res) => {
+    try {
+      res.json(await clearRules.get(parseId(req.params.id)));
+    } catch (err) {
+      sendError(res, err, 'GET /api/clearrules/:id');
+    }
+  });
+
+  router.post('/api/clearrules', jsonBody, canEdit, async (req, res) => {
+    try {
+      const rule = await clearRules.create(req.body);
+      console.log(`[CLEAR] Aggiunta regola id=${rule.id} ${rule.problem_eventname} → ${rule.clear_eventname}`);
+      res.status(201).json(rule);
+    } catch (err) {
+      sendError(res, err, 'POST /api/clearrules');
+    }
+  });
+
+  router.put('/api/clearrules/:id', jsonBody, canEdit, async (req, res) => {
+    try {
+      const rule = await clearRules.update(parseId(req.params.id), req.body);
+      console.log(`[CLEAR] Modificata regola id=${rule.id} ${rule.problem_eventname} → ${rule.clear_eventname}`);
+      res.json(rule);
+    } catch (err) {
+      sendError(res, err, 'PUT /api/clearrules/:id');
+    }
+  });
+
+  router.delete('/api/clearrules/:id', canEdit, async (req, res) => {
+    try {
+      const id = parseId(req.params.id);
+      await clearRules.remove(id);
+      console.log(`[CLEAR] Cancellata regola id=${id}`);
+      res.sendStatus(204);
+    } catch (err) {
+      sendError(res, err, 'DELETE /api/clearrules/:id');
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createMibOidRouter,
+  createMibOidStore,
+  createClearRuleStore,
+  validateMibOid,
+  validateClearRule,
+  parseSeverity,
+  SEVERITY_LABELS
+};
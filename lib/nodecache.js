@@ -0,0 +1,58 @@
+// lib/nodecache.js
+// Cache locale dei nodi dell'inventario (per id e per IP): caricata all'avvio, ricaricata
+// periodicamente e aggiornata nodo per nodo dai webhook dell'inventario (created/updated/deleted).
+function createNodeCache(inventory) {
+  let byId = new Map();
+  let byIp = new Map();
+
+  function add(node, ids = byId, ips = byIp) {
+    ids.set(String(node.id), node);
+    if (node.target) ips.set(node.target, node);
+  }
+
+  function remove(nodeId) {
+    const node = byId.get(String(nodeId));
+    if (!node) return null;
+    byId.delete(String(nodeId));
+    if (node.target && byIp.get(node.target) === node) byIp.delete(node.target);
+    return node;
+  }
+
+  // Ricarica completa (le mappe vengono sostituite solo a lettura riuscita)
+  async function reload() {
+    const nodes = await inventory.listNodes();
+    const ids = new Map();
+    const ips = new Map();
+    nodes.forEach(n => add(n, ids, ips));
+    byId = ids;
+    byIp = ips;
+    return nodes.length;
+  }
+
+  // Rilegge un nodo dall'inventario; ritorna { previous, node } (node null se non esiste piu')
+  async function refresh(nodeId) {
+    const node = await inventory.getNode(nodeId);
+    const previous = remove(nodeId);
+    if (node) add(node);
+    return { previous, node };
+  }
+
+  // IP agent → { id, name, node_type } per il trap receiver; nodi non ancora in cache dall'inventario
+  async function resolveByIp(ip) {
+    const node = byIp.get(ip);
+    if (node) return { id: node.id, name: node.node_name, node_type: node.node_type };
+    return inventory.resolveNodeByIp(ip);
+  }
+
+  return {
+    reload,
+    refresh,
+    remove,
+    resolveByIp,
+    get: id => (id === null || id === undefined ? null : byId.get(String(id)) || null),
+    list: () => Array.from(byId.values()),
+    size: () => byId.size
+  };
+}
+
+module.exports = { createNodeCache };
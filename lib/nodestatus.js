@@ -0,0 +1,108 @@
+// lib/nodestatus.js
+// Stato dei nodi calcolato dagli eventi attivi di rcv_log: la severity piu' grave tra gli eventi
+// attivi non soppressi del nodo, con il conteggio per severity. Ricalcolato per i nodi toccati
+// da ogni ciclo di polling (nuovi eventi, clear, acknowledge) e completamente a intervalli,
+// per recuperare le righe cancellate che non passano dal change log.
+
+const { SEVERITY_LABELS } = require('./miboid');
+
+// gravita' decrescente: INFO e NORMAL non sono allarmi ma contano se non c'e' altro
+const SEVERITY_RANK = [1, 2, 3, 4, 5, 0, 6];
+// nodi per query nel ricalcolo parziale
+const REFRESH_BATCH = 1000;
+
+// { node_id, severity, severity_name, active, counts } da righe { node_id, severity, n }
+function buildState(nodeId, rows) {
+  const counts = {};
+  let active = 0;
+  // ordine stabile delle chiavi: sameState confronta i conteggi serializzati
+  rows.slice().sort((a, b) => a.severity - b.severity).forEach(r => {
+    counts[r.severity] = Number(r.n);
+    active += Number(r.n);
+  });
+  const severity = SEVERITY_RANK.find(s => counts[s] > 0);
+  return {
+    node_id: nodeId,
+    severity: severity === undefined ? null : severity,
+    severity_name: severity === undefined ? null : SEVERITY_LABELS[severity],
+    active,
+    counts
+  };
+}
+
+function sameState(a, b) {
+  if (!a || !b) return !a && !b;
+  if (a.severity !== b.severity || a.active !== b.active) return false;
+  return JSON.stringify(a.counts) === JSON.stringify(b.counts);
+}
+
+function createNodeStatus({ pool }) {
+  // node_id (stringa) → stato; i nodi senza eventi attivi non sono in mappa
+  let states = new Map();
+
+  function group(rows) {
+    const byNode = new Map();
+    rows.forEach(r => {
+      const key = String(r.node_id);
+      if (!byNode.has(key)) byNode.set(key, []);
+      byNode.get(key).push(r);
+    });
+    return byNode;
+  }
+
+  // Differenze tra lo stato precedente e il nuovo per i nodi indicati; aggiorna la mappa
+  function apply(nodeIds, byNode) {
+    const changes = [];
+    nodeIds.forEach(id => {
+      const key = String(id);
+      const rows = byNode.get(key);
+      const next = rows ? buildState(rows[0].node_id, rows) : null;
+      const prev = states.get(key) || null;
+      if (sameState(prev, next)) return;
+      if (next) states.set(key, next);
+      else states.delete(key);
+      changes.push(next || buildState(prev.node_id, []));
+    });
+    return changes;
+  }
+
+  // Ricalcolo completo; ritorna i nodi il cui stato e' cambiato
+  async function reload() {
+    const [rows] = await pool.query(
+      `SELECT node_id, severity, COUNT(*) AS n
+       FROM rcv_log
+       WHERE active = 1 AND suppressed = 0 AND node_id IS NOT NULL
+       GROUP BY node_id, severity`
+    );
+    const byNode = group(rows);
+    const ids = new Set([...states.keys(), ...byNode.keys()]);
+    return apply(ids, byNode);
+  }
+
+  // Ricalcolo dei soli nodi indicati (righe arrivate con il polling)
+  async function refresh(nodeIds) {
+    const ids = Array.from(new Set(nodeIds.filter(id => id !== null && id !== undefined).map(String)));
+    const changes = [];
+    for (let i = 0; i < ids.length; i += REFRESH_BATCH) {
+      const batch = ids.slice(i, i + REFRESH_BATCH);
+      const [rows] = await pool.query(
+        `SELECT node_id, severity, COUNT(*) AS n
+         FROM rcv_log
+         WHERE active = 1 AND suppressed = 0 AND node_id IN (${batch.map(() => '?').join(',')})
+         GROUP BY node_id, severity`,
+        batch
+      );
+      changes.push(...apply(batch, group(rows)));
+    }
+    return changes;
+  }
+
+  return {
+    reload,
+    refresh,
+    // stato del nodo, anche senza eventi attivi
+    get: nodeId => states.get(String(nodeId)) || buildState(nodeId, [])
+  };
+}
+
+module.exports = { createNodeStatus, SEVERITY_RANK };
@@ -0,0 +1,428 @@
+// lib/notifications.js
+// Regole di notifica (tabella notification_rule): per i nuovi eventi del pollingLoop verifica
+// severity, pattern hostname/IP, eventname, site e fascia oraria, poi esegue l'azione della regola
+// (webhook, email, syslog) con throttling e finestre di aggregazione.
+// API REST: /api/notifications/rules (CRUD) e /test per provare una regola senza eventi reali.
+const express = require('express');
+const { ValidationError, sendError, parseId, optionalText, parseClockTime } = require('./validation');
+const { parseSeverity } = require('./miboid');
+const { globToRegex } = require('./glob');
+const { parseHostPort, buildNotification } = require('./notifyactions');
+
+const ACTION_TYPES = ['webhook', 'email', 'syslog'];
+const MAX_TARGET = 512;
+const EMAIL_RE = /^[^\s@<>,]+@[^\s@<>,]+$/;
+const RULES_CACHE_TTL_MS = 30 * 1000;
+// leader tra le istanze: solo chi tiene il lock MySQL invia le notifiche
+const LOCK_NAME = 'synack_notifier';
+const MAX_WINDOW_SECONDS = 24 * 3600;
+
+// ------------------------------------------------------------------ validazione
+
+// "1,2" | [1, 2] | "CRITICAL,MAJOR" → "1,2" (null = tutte)
+function parseSeverities(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  const severities = Array.from(new Set(list.map(v => String(v).trim()).filter(Boolean).map(parseSeverity))).sort();
+  return severities.length > 0 ? severities.join(',') : null;
+}
+
+function parseWindow(value, label) {
+  if (value === undefined || value === null || value === '') return 0;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0 || n > MAX_WINDOW_SECONDS) {
+    throw new ValidationError(`${label} non valido: ${value} (secondi, 0-${MAX_WINDOW_SECONDS})`);
+  }
+  return n;
+}
+
+function validateActionTarget(type, value) {
+  const target = optionalText(value, 'Destinazione', MAX_TARGET);
+  if (target === null) throw new ValidationError('Destinazione obbligatoria');
+  if (type === 'webhook') {
+    let url;
+    try {
+      url = new URL(target);
+    } catch (err) {
+      throw new ValidationError(`URL webhook non valido: ${target}`);
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') throw new ValidationError('URL webhook deve essere http o https');
+  } else if (type === 'email') {
+    const addresses = target.split(',').map(a => a.trim()).filter(Boolean);
+    if (addresses.length === 0) throw new ValidationError('Almeno un indirizzo email');
+    const bad = addresses.find(a => !EMAIL_RE.test(a));
+    if (bad) throw new ValidationError(`Indirizzo email non valido: ${bad}`);
+    return addresses.join(',');
+  } else if (type === 'syslog') {
+    const hp = parseHostPort(target, 514);
+    if (!hp || !hp.host || !(hp.port > 0 && hp.port < 65536)) throw new ValidationError(`Destinazione syslog non valida: ${target} (host[:porta])`);
+  }
+  return target;
+}
+
+// Valida e normalizza il body di una regola di notifica
+function validateRule(body = {}) {
+  const name = optionalText(body.name, 'Nome');
+  if (name === null) throw new ValidationError('Nome obbligatorio');
+
+  const action_type = String(body.action_type || '').trim().toLowerCase();
+  if (!ACTION_TYPES.includes(action_type)) {
+    throw new ValidationError(`Azione non valida: ${body.action_type} (${ACTION_TYPES.join(' | ')})`);
+  }
+
+  const time_from = parseClockTime(body.time_from, 'Ora inizio');
+  const time_to = parseClockTime(body.time_to, 'Ora fine');
+  if ((time_from === null) !== (time_to === null)) throw new ValidationError('Fascia oraria: indicare sia inizio sia fine');
+
+  return {
+    name,
+    enabled: body.enabled === undefined || body.enabled === null ? 1 : (Number(body.enabled) ? 1 : 0),
+    severities: parseSeverities(body.severities),
+    host_pattern: optionalText(body.host_pattern, 'Pattern hostname/IP'),
+    eventname_pattern: optionalText(body.eventname_pattern, 'Pattern eventname'),
+    site: optionalText(body.site, 'Site'),
+    time_from,
+    time_to,
+    action_type,
+    action_target: validateActionTarget(action_type, body.action_target),
+    throttle_seconds: parseWindow(body.throttle_seconds, 'Throttling'),
+    aggregate_seconds: parseWindow(body.aggregate_seconds, 'Aggregazione')
+  };
+}
+
+// ------------------------------------------------------------------ match
+
+function minutesOf(time) {
+  const [h, m] = time.split(':').map(Number);
+  return h * 60 + m;
+}
+
+// Fascia oraria [from, to], anche a cavallo della mezzanotte (22:00-06:00)
+function inTimeWindow(rule, now) {
+  if (!rule.time_from || !rule.time_to) return true;
+  const t = now.getHours() * 60 + now.getMinutes();
+  const from = minutesOf(rule.time_from);
+  const to = minutesOf(rule.time_to);
+  return from <= to ? t >= from && t <= to : t >= from || t <= to;
+}
+
+// Regola compilata una volta per ciclo di reload
+function compileRule(rule) {
+  return {
+    ...rule,
+    severitySet: rule.severities ? new Set(String(rule.severities).split(',').map(Number)) : null,
+    hostRe: rule.host_pattern ? globToRegex(rule.host_pattern) : null,
+    eventRe: rule.eventname_pattern ? globToRegex(rule.eventname_pattern) : null
+  };
+}
+
+function ruleMatches(rule, row, now = new Date()) {
+  if (rule.severitySet && !rule.severitySet.has(Number(row.severity))) return false;
+  if (rule.hostRe && !rule.hostRe.test(row.hostname || '') && !rule.hostRe.test(row.agentip || '')) return false;
+  if (rule.eventRe && !rule.eventRe.test(row.eventname || '')) return false;
+  if (rule.site && String(row.site || '').toLowerCase() !== rule.site.toLowerCase()) return false;
+  return inTimeWindow(rule, now);
+}
+
+// ------------------------------------------------------------------ store
+
+function createRuleStore(pool) {
+  async function list() {
+    const [rows] = await pool.query('SELECT * FROM notification_rule ORDER BY name, id');
+    return rows;
+  }
+
+  async function get(id) {
+    const [rows] = await pool.query('SELECT * FROM notification_rule WHERE id = ?', [id]);
+    if (rows.length === 0) throw new ValidationError(`Regola di notifica ${id} non trovata`, 404);
+    return rows[0];
+  }
+
+  const COLUMNS = ['name', 'enabled', 'severities', 'host_pattern', 'eventname_pattern', 'site', 'time_from', 'time_to',
+    'action_type', 'action_target', 'throttle_seconds', 'aggregate_seconds'];
+
+  async function create(body) {
+    const rule = validateRule(body);
+    const [result] = await pool.query(
+      `INSERT INTO notification_rule (${COLUMNS.join(', ')}) VALUES (${COLUMNS.map(() => '?').join(', ')})`,
+      COLUMNS.map(c => rule[c])
+    );
+    return get(result.insertId);
+  }
+
+  async function update(id, body) {
+    const rule = validateRule(body);
+    await get(id);
+    await pool.query(
+      `UPDATE notification_rule SET ${COLUMNS.map(c => `${c} = ?`).join(', ')} WHERE id = ?`,
+      [...COLUMNS.map(c => rule[c]), id]
+    );
+    return get(id);
+  }
+
+  async function remove(id) {
+    const [result] = await pool.query('DELETE FROM notification_rule WHERE id = ?', [id]);
+    if (result.affectedRows === 0) throw new ValidationError(`Regola di notifica ${id} non trovata`, 404);
+  }
+
+  return { list, get, create, update, remove };
+}
+
+// ------------------------------------------------------------------ motore
+
+// options:
+//   pool     pool mysql2/promise
+//   actions  createActions() di lib/notifyactions.js
+function createNotifier({ pool, actions }) {
+  const store = createRuleStore(pool);
+  let rules = null;
+  let rulesLoadedAt = 0;
+  let lockConn = null;
+  const lastSent = new Map();   // ruleId|nodo|eventname → timestamp ultimo invio (throttling)
+  const suppressed = new Map(); // ruleId → notifiche soppresse dall'ultimo invio
+  const buffers = new Map();    // ruleId → { rule, events, timer } (aggregazione)
+
+  async function loadRules() {
+    if (rules && Date.now() - rulesLoadedAt < RULES_CACHE_TTL_MS) return rules;
+    const [rows] = await pool.query('SELECT * FROM notification_rule WHERE enabled = 1');
+    rules = rows.map(compileRule);
+    rulesLoadedAt = Date.now();
+    return rules;
+  }
+
+  // GET_LOCK su una connessione dedicata: con piu' istanze una sola notifica ogni evento
+  async function isLeader() {
+    if (lockConn) {
+      try {
+        const [rows] = await lockConn.query('SELECT IS_USED_LOCK(?) = CONNECTION_ID() AS mine', [LOCK_NAME]);
+        if (rows[0].mine === 1) return true;
+      } catch (err) {
+        console.warn('[NOTIFY] Connessione del lock persa:', err.message);
+      }
+      lockConn.destroy();
+      lockConn = null;
+    }
+    const conn = await pool.getConnection();
+    try {
+      const [rows] = await conn.query('SELECT GET_LOCK(?, 0) AS ok', [LOCK_NAME]);
+      if (rows[0].ok === 1) {
+        lockConn = conn;
+        console.log('[NOTIFY] Questa istanza invia le notifiche (lock acquisito)');
+        return true;
+      }
+    } catch (err) {
+      conn.destroy();
+      throw err;
+    }
+    conn.release();
+    return false;
+  }
+
+  async function deliver(rule, events) {
+    const count = suppressed.get(rule.id) || 0;
+    suppressed.delete(rule.id);
+    try {
+      await actions.send(rule, buildNotification(rule, events, count));
+      console.log(`[NOTIFY] Regola "${rule.name}": ${rule.action_type} → ${rule.action_target} (${events.length} eventi)`);
+    } catch (err) {
+      console.error(`[NOTIFY] Regola "${rule.name}": invio ${rule.action_type} fallito:`, err.message);
+    }
+  }
+
+  function throttled(rule, row, now) {
+    if (!rule.throttle_seconds) return false;
+    const key = `${rule.id}|${row.node_id || row.agentip}|${row.eventname}`;
+    const last = lastSent.get(key);
+    if (last && now - last < rule.throttle_seconds * 1000) {
+      suppressed.set(rule.id, (suppressed.get(rule.id) || 0) + 1);
+      return true;
+    }
+    lastSent.set(key, now);
+    return false;
+  }
+
+  function pruneThrottle(now) {
+    if (lastSent.size < 10000) return;
+    for (const [key, ts] of lastSent) {
+      if (now - ts > MAX_WINDOW_SECONDS * 1000) lastSent.delete(key);
+    }
+  }
+
+  function enqueue(rule, row) {
+    if (!rule.aggregate_seconds) {
+      deliver(rule, [row]);
+      return;
+    }
+    let buffer = buffers.get(rule.id);
+    if (!buffer) {
+      buffer = { rule, events: [] };
+      buffer.timer = setTimeout(() => {
+        buffers.delete(rule.id);
+        deliver(buffer.rule, buffer.events);
+      }, rule.aggregate_seconds * 1000);
+      buffers.set(rule.id, buffer);
+    }
+    buffer.events.push(row);
+  }
+
+  // Nuovi eventi (righe inserite) dal pollingLoop; le chiamate sono serializzate perche' il
+  // pollingLoop non le attende (due GET_LOCK concorrenti farebbero perdere un batch)
+  let chain = Promise.resolve();
+  function handleEvents(rows) {
+    const run = chain.then(() => evaluate(rows));
+    chain = run.catch(() => {});
+    return run;
+  }
+
+  async function evaluate(rows) {
+    if (rows.length === 0) return;
+    if (!(await isLeader())) return;
+    const active = await loadRules();
+    if (active.length === 0) return;
+    const now = Date.now();
+    const date = new Date(now);
+    rows.forEach(row => {
+      active.forEach(rule => {
+        if (ruleMatches(rule, row, date) && !throttled(rule, row, now)) enqueue(rule, row);
+      });
+    });
+    pruneThrottle(now);
+  }
+
+  // Prova una regola (salvata o no) con un evento di esempio: invio immediato, errori al chiamante
+  async function test(rule, event = {}) {
+    const sample = {
+      id: 0,
+      severity: 1,
+      eventname: 'TEST',
+      hostname: 'synack-test',
+      agentip: '127.0.0.1',
+      formatline: `Notifica di prova per la regola "${rule.name}"`,
+      traptime: new Date().toISOString().replace('T', ' ').slice(0, 19),
+      site: null,
+      ...event
+    };
+    await actions.send(rule, buildNotification(rule, [sample]));
+    return { matches: ruleMatches(compileRule(rule), sample) };
+  }
+
+  function stop() {
+    buffers.forEach(b => clearTimeout(b.timer));
+    buffers.clear();
+    if (lockConn) {
+      lockConn.release();
+      lockConn = null;
+    }
+  }
+
+  return {
+    store,
+    handleEvents,
+    test,
+    invalidate: () => { rules = null; },
+    stop
+  };
+}
+
+// ------------------------------------------------------------------ API REST
+
+// canEdit: middleware che autorizza modifiche e test (es. auth.requireRole('admin'))
+function createNotificationRouter(notifier, { canEdit = (req, res, next) => next() } = {}) {
+  const store = notifier.store;
+  const router = express.Router();
+  router.use('/api/notifications', express.json());
+
+  router.get('/api/notifications/rules', async (req, res) => {
+    try {
+      res.json(await store.list());
+    } catch (err) {
+      sendError(res, err, 'GET /api/notifications/rules');
+    }
+  });
+
+  router.get('/api/notifications/rules/:id', async (req, res) => {
+    try {
+      res.json(await store.get(parseId(req.params.id)));
+    } catch (err) {
+      sendError(res, err, 'GET /api/notifications/rules/:id');
+    }
+  });
+
+  router.post('/api/notifications/rules', canEdit, async (req, res) => {
+    try {
+      const rule = await store.create(req.body);
+      notifier.invalidate();
+      console.log(`[NOTIFY] Aggiunta regola id=${rule.id} "${rule.name}" (${rule.action_type})`);
+      res.status(201).json(rule);
+    } catch (err) {
+      sendError(res, err, 'POST /api/notifications/rules');
+    }
+  });
+
+  router.put('/api/notifications/rules/:id', canEdit, async (req, res) => {
+    try {
+      const rule = await store.update(parseId(req.params.id), req.body);
+      notifier.invalidate();
+      console.log(`[NOTIFY] Modificata regola id=${rule.id} "${rule.name}"`);
+      res.json(rule);
+    } catch (err) {
+      sendError(res, err, 'PUT /api/notifications/rules/:id');
+    }
+  });
+
+  router.delete('/api/notifications/rules/:id', canEdit, async (req, res) => {
+    try {
+      const id = parseId(req.params.id);
+      await store.remove(id);
+      notifier.invalidate();
+      console.log(`[NOTIFY] Cancellata regola id=${id}`);
+      res.sendStatus(204);
+    } catch (err) {
+      sendError(res, err, 'DELETE /api/notifications/rules/:id');
+    }
+  });
+
+  // Prova: regola salvata (/rules/:id/test) o non salvata (/test, body = regola); body.event opzionale
+  async function runTest(res, rule, event) {
+    try {
+      const result = await notifier.test(rule, event || {});
+      res.json({ ok: true, ...result });
+    } catch (err) {
+      if (err instanceof ValidationError) return sendError(res, err, 'test notifica');
+      res.status(502).json({ ok: false, detail: `Invio fallito: ${err.message}` });
+    }
+  }
+
+  router.post('/api/notifications/rules/:id/test', canEdit, async (req, res) => {
+    let rule;
+    try {
+      rule = await store.get(parseId(req.params.id));
+    } catch (err) {
+      return sendError(res, err, 'POST /api/notifications/rules/:id/test');
+    }
+    await runTest(res, rule, req.body && req.body.event);
+  });
+
+  router.post('/api/notifications/test', canEdit, async (req, res) => {
+    let rule;
+    try {
+      rule = validateRule(req.body);
+    } catch (err) {
+      return sendError(res, err, 'POST /api/notifications/test');
+    }
+    await runTest(res, rule, req.body && req.body.event);
+  });
+
+  return router;
+}
+
+module.exports = {
+  createNotifier,
+  createNotificationRouter,
+  validateRule,
+  ruleMatches,
+  compileRule,
+  parseSeverities,
+  validateActionTarget,
+  ACTION_TYPES
+};
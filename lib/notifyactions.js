@@ -0,0 +1,130 @@
+// lib/notifyactions.js
+// Azioni delle regole di notifica: webhook HTTP (JSON compatibile Slack/Teams: campo "text"),
+// email SMTP e inoltro syslog (UDP, RFC 5424).
+const dgram = require('dgram');
+const net = require('net');
+const os = require('os');
+const nodemailer = require('nodemailer');
+const { SEVERITY_LABELS } = require('./miboid');
+
+// severity SynAck → severity syslog (2 crit, 3 err, 4 warning, 5 notice, 6 info)
+const SYSLOG_SEVERITY = { 0: 6, 1: 2, 2: 3, 3: 3, 4: 4, 5: 4, 6: 5 };
+const SYSLOG_FACILITY = 16; // local0
+const WEBHOOK_TIMEOUT_MS = 10000;
+const SMTP_TIMEOUT_MS = 15000;
+// righe di dettaglio nei messaggi aggregati
+const MAX_LINES = 50;
+
+function eventLine(ev) {
+  const sev = SEVERITY_LABELS[ev.severity] || 'INFO';
+  const ip = ev.agentip && ev.agentip !== ev.hostname ? ` (${ev.agentip})` : '';
+  return `[${sev}] ${ev.hostname || '-'}${ip} ${ev.eventname || ''}: ${ev.formatline || ''}`;
+}
+
+// Testo della notifica per uno o piu' eventi (aggregazione) di una regola.
+// suppressed: notifiche non inviate per il throttling dall'invio precedente.
+function buildNotification(rule, events, suppressed = 0) {
+  let subject;
+  const lines = [];
+  if (events.length === 1) {
+    const ev = events[0];
+    subject = `SynAck ${SEVERITY_LABELS[ev.severity] || 'INFO'} ${ev.hostname || ev.agentip || ''} ${ev.eventname || ''}`.trim();
+    lines.push(eventLine(ev));
+    lines.push(`Ora trap: ${ev.traptime || '-'}${ev.site ? `  Site: ${ev.site}` : ''}  Evento #${ev.id}`);
+  } else {
+    subject = `SynAck: ${events.length} eventi per la regola "${rule.name}"`;
+    events.slice(0, MAX_LINES).forEach(ev => lines.push(`${ev.traptime || '-'} ${eventLine(ev)}`));
+    if (events.length > MAX_LINES) lines.push(`... e altri ${events.length - MAX_LINES} eventi`);
+  }
+  if (suppressed > 0) lines.push(`(${suppressed} notifiche soppresse dal throttling)`);
+  lines.push(`Regola: ${rule.name}`);
+  return { subject, text: lines.join('\n'), events };
+}
+
+// "host", "host:porta" o "[ipv6]:porta"
+function parseHostPort(target, defaultPort) {
+  const s = String(target).trim();
+  let m = s.match(/^\[([^\]]+)\](?::(\d+))?$/);
+  if (m) return { host: m[1], port: m[2] ? parseInt(m[2], 10) : defaultPort };
+  if (net.isIPv6(s)) return { host: s, port: defaultPort };
+  m = s.match(/^([^:]+)(?::(\d+))?$/);
+  if (!m) return null;
+  return { host: m[1], port: m[2] ? parseInt(m[2], 10) : defaultPort };
+}
+
+async function sendWebhook(url, notification, rule) {
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      text: `*${notification.subject}*\n${notification.text}`,
+      rule: rule.name,
+      events: notification.events
+    }),
+    signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+  });
+  if (!res.ok) throw new Error(`Webhook ${url}: HTTP ${res.status}`);
+}
+
+function syslogMessage(ev) {
+  const pri = SYSLOG_FACILITY * 8 + (SYSLOG_SEVERITY[ev.severity] ?? 6);
+  const msg = eventLine(ev).replace(/[\r\n]+/g, ' ');
+  return `<${pri}>1 ${new Date().toISOString()} ${os.hostname()} synack - - - ${msg}`;
+}
+
+// Un messaggio syslog per evento, con la severity dell'evento
+function sendSyslog(target, notification) {
+  const { host, port } = parseHostPort(target, 514);
+  const socket = dgram.createSocket(net.isIPv6(host) ? 'udp6' : 'udp4');
+  const sends = notification.events.map(ev => new Promise((resolve, reject) => {
+    socket.send(Buffer.from(syslogMessage(ev), 'utf8'), port, host, err => (err ? reject(err) : resolve()));
+  }));
+  return Promise.all(sends).finally(() => socket.close());
+}
+
+// Transport nodemailer dalle variabili SMTP_* (server.js); STARTTLS se offerto dal server, salvo startTls false
+function createMailTransport({ host, port = 25, secure = false, startTls = true, user = null, password = null }) {
+  return nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    ignoreTLS: !secure && !startTls,
+    auth: user ? { user, pass: password || '' } : undefined,
+    connectionTimeout: SMTP_TIMEOUT_MS,
+    greetingTimeout: SMTP_TIMEOUT_MS,
+    socketTimeout: SMTP_TIMEOUT_MS
+  });
+}
+
+// smtp: { host, port, secure, startTls, user, password, from }
+function createActions({ smtp }) {
+  const transport = smtp.host ? createMailTransport(smtp) : null;
+
+  async function sendMail(mail) {
+    if (!transport) throw new Error('SMTP_HOST non configurato');
+    if (!smtp.from) throw new Error('SMTP_FROM non configurato');
+    await transport.sendMail({ from: smtp.from, ...mail });
+  }
+
+  async function send(rule, notification) {
+    if (rule.action_type === 'webhook') {
+      await sendWebhook(rule.action_target, notification, rule);
+    } else if (rule.action_type === 'email') {
+      const to = rule.action_target.split(',').map(a => a.trim()).filter(Boolean);
+      await sendMail({ to, subject: notification.subject, text: notification.text });
+    } else if (rule.action_type === 'syslog') {
+      await sendSyslog(rule.action_target, notification);
+    } else {
+      throw new Error(`Azione non supportata: ${rule.action_type}`);
+    }
+  }
+
+  return { send };
+}
+
+module.exports = {
+  createActions,
+  buildNotification,
+  parseHostPort,
+  syslogMessage
+};
@@ -0,0 +1,290 @@
+// lib/retention.js
+// Retention di rcv_log: le righe scadute secondo RETENTION_RULES vengono spostate nella tabella
+// rcv_log_archive (RETENTION_MODE=table) oppure scritte in file NDJSON compressi e cancellate
+// (RETENTION_MODE=file, un file per esecuzione in RETENTION_DIR).
+// Regole separate da virgola, valutate in ordine (la prima che corrisponde a una riga decide):
+//   inactive:NORMAL|INFO=7,CRITICAL=90,*=30
+// "inactive:" limita la regola agli eventi non attivi, * = tutte le severity, il numero sono i giorni
+// di traptime trascorsi. Si lavora a blocchi di righe con una transazione breve per blocco,
+// per non tenere lock lunghi su rcv_log.
+// API: GET /api/retention (stato e ultima esecuzione), POST /api/retention/run (esecuzione manuale).
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { ValidationError, sendError } = require('./validation');
+const { parseSeverity, SEVERITY_LABELS } = require('./miboid');
+
+const MODES = ['table', 'file'];
+// un'istanza alla volta esegue la retention
+const LOCK_NAME = 'synack_retention';
+const ARCHIVE_TABLE = 'rcv_log_archive';
+
+// "inactive:NORMAL|INFO=7,CRITICAL=90,*=30" → [{ label, severities, inactiveOnly, days }]
+function parseRetentionRules(spec) {
+  if (!spec || !String(spec).trim()) return [];
+  return String(spec).split(',').map(s => s.trim()).filter(Boolean).map(entry => {
+    const m = entry.match(/^(inactive:)?([^=]+)=(\d+)d?$/i);
+    if (!m) throw new ValidationError(`Regola di retention non valida: ${entry} (es. inactive:NORMAL=7)`);
+    const days = parseInt(m[3], 10);
+    if (days < 1) throw new ValidationError(`Regola di retention non valida: ${entry} (giorni >= 1)`);
+    const target = m[2].trim();
+    const severities = target === '*' ? null : Array.from(new Set(target.split('|').map(parseSeverity))).sort();
+    return { label: entry, severities, inactiveOnly: Boolean(m[1]), days };
+  });
+}
+
+function ruleCondition(rule) {
+  const parts = [];
+  const params = [];
+  if (rule.severities) {
+    parts.push(`severity IN (${rule.severities.map(() => '?').join(',')})`);
+    params.push(...rule.severities);
+  }
+  if (rule.inactiveOnly) parts.push('active = 0');
+  return { sql: parts.length > 0 ? `(${parts.join(' AND ')})` : '1=1', params };
+}
+
+// Righe scadute per la regola i: corrispondono alla regola ma a nessuna delle precedenti
+function expiredWhere(rules, i) {
+  const own = ruleCondition(rules[i]);
+  const conditions = [own.sql, 'traptime < NOW() - INTERVAL ? DAY'];
+  const params = [...own.params, rules[i].days];
+  rules.slice(0, i).forEach(prev => {
+    const c = ruleCondition(prev);
+    conditions.push(`NOT ${c.sql}`);
+    params.push(...c.params);
+  });
+  return { where: conditions.join(' AND '), params };
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// options:
+//   pool       pool mysql2/promise
+//   rules      regole da parseRetentionRules
+//   mode       'table' | 'file'
+//   dir        cartella dei file (mode file)
+//   batchSize  righe per blocco
+//   pauseMs    pausa tra i blocchi
+function createRetention({ pool, rules, mode = 'table', dir = 'archive', batchSize = 1000, pauseMs = 200 }) {
+  if (!MODES.includes(mode)) throw new Error(`RETENTION_MODE non valido: ${mode} (${MODES.join(' | ')})`);
+  let columns = null;
+  let running = false;
+  let lastRun = null;
+  let nextRunAt = null;
+  let ready = false;
+
+  // Colonne di rcv_log copiate nell'archivio (lette all'avvio: l'archivio segue lo schema di rcv_log)
+  async function init() {
+    if (rules.length === 0) return;
+    const [rows] = await pool.query('SHOW COLUMNS FROM rcv_log');
+    columns = rows.map(r => `\`${r.Field}\``).join(', ');
+    if (mode === 'table') {
+      const [archived] = await pool.query(`SHOW COLUMNS FROM ${ARCHIVE_TABLE}`);
+      const missing = rows.filter(r => !archived.some(a => a.Field === r.Field)).map(r => r.Field);
+      if (missing.length > 0) throw new Error(`${ARCHIVE_TABLE}: colonne mancanti ${missing.join(', ')}`);
+    } else {
+      await fs.promises.mkdir(dir, { recursive: true });
+    }
+    ready = true;
+  }
+
+  // Ogni blocco viene compresso, scritto e sincronizzato su disco (fsync) prima del DELETE:
+  // dopo un crash le righe gia' cancellate sono comunque nel file
+  async function createFileSink() {
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+    const file = path.join(dir, `rcv_log_${stamp}.ndjson.gz`);
+    const handle = await fs.promises.open(file, 'w');
+    try {
+      // anche la voce della directory deve sopravvivere al crash
+      const dirHandle = await fs.promises.open(dir, 'r');
+      await dirHandle.sync().finally(() => dirHandle.close());
+    } catch (err) {
+      await handle.close();
+      throw err;
+    }
+    const gzip = zlib.createGzip();
+    let pending = [];
+    gzip.on('data', chunk => pending.push(chunk));
+    const ended = new Promise((resolve, reject) => {
+      gzip.on('end', resolve);
+      gzip.on('error', reject);
+    });
+
+    async function sync() {
+      const buf = Buffer.concat(pending);
+      pending = [];
+      if (buf.length > 0) await handle.write(buf);
+      await handle.sync();
+    }
+
+    return {
+      file,
+      // risolve quando il blocco e' compresso e su disco
+      async write(rows) {
+        const chunk = rows.map(r => JSON.stringify(r)).join('\n') + '\n';
+        await new Promise(resolve => {
+          gzip.write(chunk);
+          gzip.flush(resolve);
+        });
+        await sync();
+      },
+      async close() {
+        try {
+          gzip.end();
+          await ended;
+          await sync();
+        } finally {
+          await handle.close();
+        }
+      }
+    };
+  }
+
+  // Un blocco di righe: copia (o scrittura su file) e cancellazione nella stessa transazione
+  async function archiveBatch(conn, ids, sink) {
+    const placeholders = ids.map(() => '?').join(',');
+    await conn.beginTransaction();
+    try {
+      if (mode === 'table') {
+        await conn.query(
+          `INSERT INTO ${ARCHIVE_TABLE} (${columns}, archived_at) SELECT ${columns}, NOW() FROM rcv_log WHERE id IN (${placeholders})`,
+          ids
+        );
+      } else {
+        const [rows] = await conn.query(`SELECT ${columns} FROM rcv_log WHERE id IN (${placeholders}) ORDER BY id`, ids);
+        await sink.write(rows);
+      }
+      const [result] = await conn.query(`DELETE FROM rcv_log WHERE id IN (${placeholders})`, ids);
+      await conn.commit();
+      return result.affectedRows;
+    } catch (err) {
+      await conn.rollback().catch(() => {});
+      throw err;
+    }
+  }
+
+  async function run(trigger = 'schedule') {
+    if (rules.length === 0) throw new ValidationError('Retention non configurata (RETENTION_RULES)');
+    if (!ready) throw new ValidationError('Retention non inizializzata (vedi il log di avvio)', 503);
+    if (running) throw new ValidationError('Retention gia\' in esecuzione', 409);
+    running = true;
+    const result = {
+      trigger,
+      mode,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      archived: 0,
+      byRule: rules.map(r => ({ rule: r.label, archived: 0 })),
+      file: null,
+      error: null
+    };
+    let conn = null;
+    let sink = null;
+    try {
+      if (!columns) await init();
+      conn = await pool.getConnection();
+      const [lock] = await conn.query('SELECT GET_LOCK(?, 0) AS ok', [LOCK_NAME]);
+      if (lock[0].ok !== 1) {
+        result.error = 'Retention in esecuzione su un\'altra istanza';
+        return result;
+      }
+      try {
+        for (let i = 0; i < rules.length; i++) {
+          const { where, params } = expiredWhere(rules, i);
+          for (;;) {
+            const [rows] = await conn.query(`SELECT id FROM rcv_log WHERE ${where} ORDER BY id LIMIT ?`, [...params, batchSize]);
+            if (rows.length === 0) break;
+            if (mode === 'file' && !sink) {
+              sink = await createFileSink();
+              result.file = sink.file;
+            }
+            const n = await archiveBatch(conn, rows.map(r => r.id), sink);
+            result.byRule[i].archived += n;
+            result.archived += n;
+            if (rows.length < batchSize) break;
+            await sleep(pauseMs);
+          }
+        }
+      } finally {
+        await conn.query('SELECT RELEASE_LOCK(?)', [LOCK_NAME]).catch(() => {});
+      }
+    } catch (err) {
+      result.error = err.message;
+      console.error('[RETENTION] Errore:', err);
+    } finally {
+      if (sink) {
+        try {
+          await sink.close();
+        } catch (err) {
+          result.error = result.error || `Scrittura ${sink.file}: ${err.message}`;
+        }
+      }
+      if (conn) conn.release();
+      result.finishedAt = new Date().toISOString();
+      lastRun = result;
+      running = false;
+    }
+    console.log(`[RETENTION] ${result.archived} righe ${mode === 'table' ? `spostate in ${ARCHIVE_TABLE}` : `archiviate in ${result.file || '-'}`}` +
+      (result.error ? ` (errore: ${result.error})` : ''));
+    return result;
+  }
+
+  function status() {
+    return {
+      enabled: rules.length > 0,
+      ready,
+      mode,
+      archiveTable: mode === 'table' ? ARCHIVE_TABLE : null,
+      dir: mode === 'file' ? dir : null,
+      rules: rules.map(r => ({
+        rule: r.label,
+        severities: r.severities ? r.severities.map(s => SEVERITY_LABELS[s]) : null,
+        inactiveOnly: r.inactiveOnly,
+        days: r.days
+      })),
+      running,
+      lastRun,
+      nextRunAt
+    };
+  }
+
+  return {
+    init,
+    run,
+    status,
+    setNextRun: date => { nextRunAt = date ? date.toISOString() : null; },
+    // tabella consultabile dalla console (solo mode table, dopo un init() riuscito)
+    get archiveTable() {
+      return ready && mode === 'table' ? ARCHIVE_TABLE : null;
+    }
+  };
+}
+
+// canRun: middleware che autorizza l'esecuzione manuale (es. auth.requireRole('admin'))
+function createRetentionRouter(retention, { canRun = (req, res, next) => next() } = {}) {
+  const router = express.Router();
+
+  router.get('/api/retention', (req, res) => {
+    res.json(retention.status());
+  });
+
+  router.post('/api/retention/run', canRun, async (req, res) => {
+    try {
+      const username = req.user ? req.user.username : '-';
+      console.log(`[RETENTION] ${username}: esecuzione manuale`);
+      res.json(await retention.run(`manual:${username}`));
+    } catch (err) {
+      sendError(res, err, 'POST /api/retention/run');
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createRetention,
+  createRetentionRouter,
+  parseRetentionRules
+};
@@ -0,0 +1,210 @@
+// lib/search.js
+// Sintassi di ricerca della console (casella di ricerca di index.html, campo q di getPage e dell'export):
+//   sev:1,2  sev:critical,major        severity (numero o nome)
+//   host:rtr*  ip:10.0.*  event:link*  hostname, agentip, eventname con i jolly * e ? (senza jolly: uguale)
+//   node:12,15  site:milano  type:cisco nodo per id oppure per site / tipologia dell'inventario
+//   from:2024-05-01  to:"2024-05-01 12:00"  from:-2h
+//                                       traptime, estremi indipendenti; -30m, -2h, -7d relativi ad adesso
+//   link  "link down"                   testo contenuto in formatline o eventname
+//   /lnk(up|down)/                      espressione regolare su formatline o eventname
+//                                       (senza backreference ne' ripetizioni annidate come (a+)+)
+// Termini diversi si combinano in AND, i valori separati da virgola nello stesso termine in OR.
+// Con SEARCH_FULLTEXT il testo usa l'indice FULLTEXT (sql/011): parole intere invece di sottostringhe.
+const { ValidationError, parseDateTime, assertSafeRegex } = require('./validation');
+const { parseSeverity } = require('./miboid');
+const { globToRegex } = require('./glob');
+
+const FIELDS = {
+  sev: 'severity',
+  severity: 'severity',
+  host: 'host',
+  ip: 'ip',
+  event: 'event',
+  node: 'node',
+  site: 'site',
+  type: 'type',
+  from: 'from',
+  to: 'to'
+};
+const MAX_QUERY = 500;
+// le espressioni sono eseguite anche sugli update live, nel thread del server: vedi assertSafeRegex (lib/validation.js)
+const MAX_REGEX = 200;
+
+// Token: campo:valore, campo:"valore con spazi", "frase", /regex/, parola
+function tokenize(q) {
+  const tokens = [];
+  const re = /\s*(?:(\w+):(?:"([^"]*)"|(\S*))|"([^"]*)"|\/((?:\\.|[^/\\])+)\/|(\S+))/g;
+  let m;
+  while ((m = re.exec(q)) !== null) {
+    if (m[0].trim() === '') break;
+    if (m[1] !== undefined && FIELDS[m[1].toLowerCase()]) {
+      tokens.push({ field: FIELDS[m[1].toLowerCase()], value: m[2] !== undefined ? m[2] : m[3] });
+    } else if (m[1] !== undefined) {
+      // "http://..." o "ora:12": non e' un campo, resta testo
+      tokens.push({ text: m[0].trim() });
+    } else if (m[4] !== undefined) {
+      tokens.push({ text: m[4] });
+    } else if (m[5] !== undefined) {
+      tokens.push({ regex: m[5] });
+    } else {
+      tokens.push({ text: m[6] });
+    }
+  }
+  return tokens;
+}
+
+function splitList(value, label) {
+  const list = String(value).split(',').map(s => s.trim()).filter(Boolean);
+  if (list.length === 0) throw new ValidationError(`${label}: valore mancante`);
+  return list;
+}
+
+// Jolly * e ? → LIKE (con escape di % e _)
+function globToLike(pattern) {
+  return pattern.replace(/[\\%_]/g, '\\$&').replace(/\*/g, '%').replace(/\?/g, '_');
+}
+
+function containsLike(text) {
+  return `%${text.replace(/[\\%_]/g, '\\$&')}%`;
+}
+
+// Analizza q e risolve site/type con l'inventario. Ritorna null se q e' vuota.
+// options: nodeCache (site, type), fullText (MATCH ... AGAINST sul testo)
+function compileSearch(q, { nodeCache = null, fullText = false } = {}) {
+  if (q === undefined || q === null || String(q).trim() === '') return null;
+  const query = String(q).trim();
+  if (query.length > MAX_QUERY) throw new ValidationError(`Ricerca troppo lunga (max ${MAX_QUERY} caratteri)`);
+
+  const search = {
+    query,
+    fullText: Boolean(fullText),
+    severities: null,
+    timeFrom: null,
+    timeTo: null,
+    // [{ column, patterns: [{ like, re }] }]: una condizione per termine, pattern in OR
+    globs: [],
+    // liste di node_id, una per termine node/site/type
+    nodeSets: [],
+    text: [],
+    regex: []
+  };
+
+  const nodesWhere = (label, test) => {
+    if (!nodeCache) throw new ValidationError(`${label}: inventario non disponibile`);
+    return nodeCache.list().filter(test).map(n => n.id);
+  };
+
+  tokenize(query).forEach(tok => {
+    if (tok.text !== undefined) {
+      search.text.push(tok.text);
+      return;
+    }
+    if (tok.regex !== undefined) {
+      if (tok.regex.length > MAX_REGEX) throw new ValidationError(`Espressione regolare troppo lunga (max ${MAX_REGEX} caratteri)`);
+      assertSafeRegex(tok.regex);
+      let re;
+      try {
+        re = new RegExp(tok.regex, 'i');
+      } catch (err) {
+        throw new ValidationError(`Espressione regolare non valida: /${tok.regex}/ (${err.message})`);
+      }
+      search.regex.push({ source: tok.regex, re });
+      return;
+    }
+
+    const { field, value } = tok;
+    switch (field) {
+      case 'severity': {
+        const list = Array.from(new Set(splitList(value, 'sev').map(parseSeverity)));
+        search.severities = search.severities ? search.severities.filter(s => list.includes(s)) : list;
+        break;
+      }
+      case 'host':
+      case 'ip':
+      case 'event': {
+        const column = { host: 'hostname', ip: 'agentip', event: 'eventname' }[field];
+        const patterns = splitList(value, field).map(p => ({ like: globToLike(p), re: globToRegex(p) }));
+        search.globs.push({ column, patterns });
+        break;
+      }
+      case 'node': {
+        const ids = splitList(value, 'node').map(v => {
+          if (!/^\d+$/.test(v)) throw new ValidationError(`node non valido: ${v} (id numerico)`);
+          return parseInt(v, 10);
+        });
+        search.nodeSets.push(ids);
+        break;
+      }
+      case 'site':
+      case 'type': {
+        const values = splitList(value, field).map(v => v.toLowerCase());
+        const key = field === 'site' ? 'site' : 'node_type';
+        search.nodeSets.push(nodesWhere(field, n => values.includes(String(n[key] || '').toLowerCase())));
+        break;
+      }
+      case 'from':
+        search.timeFrom = parseDateTime(value, 'from', { relative: true });
+        break;
+      case 'to':
+        search.timeTo = parseDateTime(value, 'to', { relative: true, endOfDay: true });
+        break;
+    }
+  });
+
+  return search;
+}
+
+// Condizioni SQL della ricerca, escluse severity e traptime (unite ai filtri della sottoscrizione)
+function searchConditions(search) {
+  const conditions = [];
+  const params = [];
+  search.globs.forEach(g => {
+    conditions.push(`(${g.patterns.map(() => `${g.column} LIKE ?`).join(' OR ')})`);
+    params.push(...g.patterns.map(p => p.like));
+  });
+  search.nodeSets.forEach(ids => {
+    if (ids.length === 0) {
+      conditions.push('1=0');
+    } else {
+      conditions.push(`node_id IN (${ids.map(() => '?').join(',')})`);
+      params.push(...ids);
+    }
+  });
+  if (search.text.length > 0) {
+    if (search.fullText) {
+      conditions.push('MATCH(formatline, eventname) AGAINST (? IN BOOLEAN MODE)');
+      params.push(search.text.map(t => `+"${t.replace(/"/g, '')}"`).join(' '));
+    } else {
+      search.text.forEach(t => {
+        conditions.push('(formatline LIKE ? OR eventname LIKE ?)');
+        params.push(containsLike(t), containsLike(t));
+      });
+    }
+  }
+  search.regex.forEach(r => {
+    conditions.push('(formatline REGEXP ? OR eventname REGEXP ?)');
+    params.push(r.source, r.source);
+  });
+  return { conditions, params };
+}
+
+// Stessa verifica in JS per le righe pushate (severity e traptime esclusi, vedi searchConditions)
+function matchesSearch(row, search) {
+  const fields = [String(row.formatline || ''), String(row.eventname || '')];
+  if (!search.globs.every(g => g.patterns.some(p => p.re.test(String(row[g.column] || ''))))) return false;
+  if (!search.nodeSets.every(ids => ids.includes(Number(row.node_id)))) return false;
+  if (search.fullText) {
+    // parola o frase intera, come MATCH ... AGAINST
+    const words = search.text.map(t => new RegExp(`(^|\\W)${t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}($|\\W)`, 'i'));
+    if (!words.every(w => fields.some(f => w.test(f)))) return false;
+  } else if (!search.text.every(t => fields.some(f => f.toLowerCase().includes(t.toLowerCase())))) {
+    return false;
+  }
+  return search.regex.every(r => fields.some(f => r.re.test(f)));
+}
+
+module.exports = {
+  compileSearch,
+  searchConditions,
+  matchesSearch
+};
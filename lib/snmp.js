@@ -0,0 +1,356 @@
+// lib/snmp.js
+// Codifica/decodifica BER (ASN.1) dei messaggi SNMP v1/v2c necessari al trap receiver.
+// Decodifica: Trap-PDU v1 (0xA4), SNMPv2-Trap (0xA7) e InformRequest (0xA6).
+// Codifica: usata da tools/sendtrap.js per generare trap di prova.
+
+const TAG = {
+  INTEGER: 0x02,
+  OCTET_STRING: 0x04,
+  NULL: 0x05,
+  OID: 0x06,
+  SEQUENCE: 0x30,
+  IP_ADDRESS: 0x40,
+  COUNTER32: 0x41,
+  GAUGE32: 0x42,
+  TIMETICKS: 0x43,
+  OPAQUE: 0x44,
+  COUNTER64: 0x46,
+  NO_SUCH_OBJECT: 0x80,
+  NO_SUCH_INSTANCE: 0x81,
+  END_OF_MIB_VIEW: 0x82,
+  GET_RESPONSE: 0xa2,
+  TRAP_V1: 0xa4,
+  INFORM: 0xa6,
+  TRAP_V2: 0xa7
+};
+
+const SNMP_VERSION = { V1: 0, V2C: 1 };
+
+// OID standard usati dalle trap v2c e dalla conversione v1 → v2 (RFC 3584)
+const OID_SYSUPTIME = '1.3.6.1.2.1.1.3.0';
+const OID_SNMPTRAPOID = '1.3.6.1.6.3.1.1.4.1.0';
+const OID_SNMPTRAPS = '1.3.6.1.6.3.1.1.5';
+const OID_SNMPTRAPADDRESS = '1.3.6.1.6.3.18.1.3.0';
+
+class BerError extends Error {}
+
+// ---------------------------------------------------------------- decodifica
+
+function readTlv(buf, offset) {
+  if (offset + 2 > buf.length) throw new BerError(`TLV troncato all'offset ${offset}`);
+  const tag = buf[offset];
+  let len = buf[offset + 1];
+  let pos = offset + 2;
+  if (len & 0x80) {
+    const n = len & 0x7f;
+    if (n === 0 || n > 4) throw new BerError(`Lunghezza BER non supportata all'offset ${offset}`);
+    if (pos + n > buf.length) throw new BerError(`Lunghezza BER troncata all'offset ${offset}`);
+    len = 0;
+    for (let i = 0; i < n; i++) len = len * 256 + buf[pos + i];
+    pos += n;
+  }
+  if (pos + len > buf.length) throw new BerError(`Valore BER troncato all'offset ${offset} (tag 0x${tag.toString(16)})`);
+  return { tag, offset, start: pos, end: pos + len, value: buf.subarray(pos, pos + len) };
+}
+
+// Legge tutti i TLV contenuti in un costruito (SEQUENCE / PDU)
+function readChildren(buf, start, end) {
+  const items = [];
+  let pos = start;
+  while (pos < end) {
+    const tlv = readTlv(buf, pos);
+    if (tlv.end > end) throw new BerError('TLV oltre la fine del contenitore');
+    items.push(tlv);
+    pos = tlv.end;
+  }
+  return items;
+}
+
+function decodeInteger(value) {
+  if (value.length === 0) return 0;
+  if (value.length > 6) return decodeBigInteger(value);
+  let n = value[0] & 0x80 ? -1 : 0;
+  for (const b of value) n = n * 256 + b;
+  return n;
+}
+
+function decodeUnsigned(value) {
+  let n = 0n;
+  for (const b of value) n = (n << 8n) | BigInt(b);
+  return n <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(n) : n.toString();
+}
+
+function decodeBigInteger(value) {
+  let n = 0n;
+  for (const b of value) n = (n << 8n) | BigInt(b);
+  if (value[0] & 0x80) n -= 1n << BigInt(value.length * 8);
+  return n.toString();
+}
+
+function decodeOid(value) {
+  if (value.length === 0) throw new BerError('OID vuoto');
+  const parts = [];
+  let sub = 0;
+  for (let i = 0; i < value.length; i++) {
+    sub = sub * 128 + (value[i] & 0x7f);
+    if (!(value[i] & 0x80)) {
+      if (parts.length === 0) {
+        // primo sottoidentificatore = X*40 + Y
+        const x = sub < 80 ? Math.floor(sub / 40) : 2;
+        parts.push(x, sub - x * 40);
+      } else {
+        parts.push(sub);
+      }
+      sub = 0;
+    }
+  }
+  return parts.join('.');
+}
+
+// Stringhe stampabili come testo, altrimenti come hex (es. MAC address)
+function decodeOctetString(value) {
+  const printable = value.every(b => b === 0x09 || b === 0x0a || b === 0x0d || (b >= 0x20 && b < 0x7f) || b >= 0x80);
+  if (printable) {
+    const s = value.toString('utf8');
+    if (!s.includes('�')) return s;
+  }
+  return Array.from(value).map(b => b.toString(16).padStart(2, '0')).join(':');
+}
+
+function decodeValue(tlv) {
+  switch (tlv.tag) {
+    case TAG.INTEGER: return { type: 'Integer', value: decodeInteger(tlv.value) };
+    case TAG.OCTET_STRING: return { type: 'OctetString', value: decodeOctetString(tlv.value) };
+    case TAG.NULL: return { type: 'Null', value: null };
+    case TAG.OID: return { type: 'OID', value: decodeOid(tlv.value) };
+    case TAG.IP_ADDRESS: return { type: 'IpAddress', value: Array.from(tlv.value).join('.') };
+    case TAG.COUNTER32: return { type: 'Counter32', value: decodeUnsigned(tlv.value) };
+    case TAG.GAUGE32: return { type: 'Gauge32', value: decodeUnsigned(tlv.value) };
+    case TAG.TIMETICKS: return { type: 'TimeTicks', value: decodeUnsigned(tlv.value) };
+    case TAG.OPAQUE: return { type: 'Opaque', value: tlv.value.toString('hex') };
+    case TAG.COUNTER64: return { type: 'Counter64', value: decodeUnsigned(tlv.value) };
+    case TAG.NO_SUCH_OBJECT: return { type: 'NoSuchObject', value: null };
+    case TAG.NO_SUCH_INSTANCE: return { type: 'NoSuchInstance', value: null };
+    case TAG.END_OF_MIB_VIEW: return { type: 'EndOfMibView', value: null };
+    default: return { type: `0x${tlv.tag.toString(16)}`, value: tlv.value.toString('hex') };
+  }
+}
+
+function expectTag(tlv, tag, what) {
+  if (tlv.tag !== tag) {
+    throw new BerError(`${what}: atteso tag 0x${tag.toString(16)}, trovato 0x${tlv.tag.toString(16)}`);
+  }
+  return tlv;
+}
+
+function decodeVarbinds(buf, tlv) {
+  expectTag(tlv, TAG.SEQUENCE, 'VarBindList');
+  return readChildren(buf, tlv.start, tlv.end).map(vb => {
+    expectTag(vb, TAG.SEQUENCE, 'VarBind');
+    const [name, value] = readChildren(buf, vb.start, vb.end);
+    if (!name || !value) throw new BerError('VarBind incompleto');
+    const decoded = decodeValue(value);
+    return { oid: decodeOid(expectTag(name, TAG.OID, 'VarBind name').value), type: decoded.type, value: decoded.value };
+  });
+}
+
+// Decodifica un datagramma SNMP in una struttura trap normalizzata:
+// { version, community, pduType, trapOid, agentAddress, uptime, varbinds, requestId, enterprise, genericTrap, specificTrap }
+// Per le v2c i varbind sysUpTime.0 e snmpTrapOID.0 sono rimossi da varbinds.
+function decodeTrap(buf) {
+  const msg = expectTag(readTlv(buf, 0), TAG.SEQUENCE, 'Message');
+  const [versionTlv, communityTlv, pdu] = readChildren(buf, msg.start, msg.end);
+  if (!versionTlv || !communityTlv || !pdu) throw new BerError('Messaggio SNMP incompleto');
+
+  const version = decodeInteger(expectTag(versionTlv, TAG.INTEGER, 'version').value);
+  const community = expectTag(communityTlv, TAG.OCTET_STRING, 'community').value.toString('latin1');
+  const fields = readChildren(buf, pdu.start, pdu.end);
+
+  if (pdu.tag === TAG.TRAP_V1) {
+    if (version !== SNMP_VERSION.V1) throw new BerError(`Trap-PDU v1 con versione ${version}`);
+    const [entTlv, addrTlv, genTlv, specTlv, tsTlv, vbTlv] = fields;
+    if (!vbTlv) throw new BerError('Trap-PDU v1 incompleta');
+    const enterprise = decodeOid(expectTag(entTlv, TAG.OID, 'enterprise').value);
+    const genericTrap = decodeInteger(expectTag(genTlv, TAG.INTEGER, 'generic-trap').value);
+    const specificTrap = decodeInteger(expectTag(specTlv, TAG.INTEGER, 'specific-trap').value);
+    // RFC 3584 §3.1: enterpriseSpecific → enterprise.0.specific, altrimenti snmpTraps.(generic+1)
+    const trapOid = genericTrap === 6
+      ? `${enterprise}.0.${specificTrap}`
+      : `${OID_SNMPTRAPS}.${genericTrap + 1}`;
+    return {
+      version,
+      community,
+      pduType: 'trap',
+      trapOid,
+      enterprise,
+      genericTrap,
+      specificTrap,
+      agentAddress: Array.from(expectTag(addrTlv, TAG.IP_ADDRESS, 'agent-addr').value).join('.'),
+      uptime: decodeUnsigned(expectTag(tsTlv, TAG.TIMETICKS, 'time-stamp').value),
+      varbinds: decodeVarbinds(buf, vbTlv)
+    };
+  }
+
+  if (pdu.tag === TAG.TRAP_V2 || pdu.tag === TAG.INFORM) {
+    if (version !== SNMP_VERSION.V2C) throw new BerError(`PDU v2 con versione ${version}`);
+    const [reqIdTlv, , , vbTlv] = fields;
+    if (!vbTlv) throw new BerError('SNMPv2-Trap incompleta');
+    const all = decodeVarbinds(buf, vbTlv);
+    const uptimeVb = all.find(vb => vb.oid === OID_SYSUPTIME);
+    const trapOidVb = all.find(vb => vb.oid === OID_SNMPTRAPOID);
+    if (!trapOidVb) throw new BerError('SNMPv2-Trap senza snmpTrapOID.0');
+    const addrVb = all.find(vb => vb.oid === OID_SNMPTRAPADDRESS);
+    return {
+      version,
+      community,
+      pduType: pdu.tag === TAG.INFORM ? 'inform' : 'trap',
+      requestId: decodeInteger(expectTag(reqIdTlv, TAG.INTEGER, 'request-id').value),
+      trapOid: String(trapOidVb.value),
+      agentAddress: addrVb ? String(addrVb.value) : null,
+      uptime: uptimeVb ? uptimeVb.value : null,
+      varbinds: all.filter(vb => vb !== uptimeVb && vb !== trapOidVb)
+    };
+  }
+
+  throw new BerError(`PDU non supportata: 0x${pdu.tag.toString(16)}`);
+}
+
+// ---------------------------------------------------------------- codifica
+
+function encodeLength(len) {
+  if (len < 0x80) return Buffer.from([len]);
+  const bytes = [];
+  while (len > 0) {
+    bytes.unshift(len & 0xff);
+    len = Math.floor(len / 256);
+  }
+  return Buffer.from([0x80 | bytes.length, ...bytes]);
+}
+
+function encodeTlv(tag, value) {
+  return Buffer.concat([Buffer.from([tag]), encodeLength(value.length), value]);
+}
+
+function encodeInteger(n, tag = TAG.INTEGER) {
+  const bytes = [];
+  let v = Math.trunc(n);
+  do {
+    bytes.unshift(v & 0xff);
+    v = Math.floor(v / 256);
+  } while (v !== 0 && v !== -1);
+  // bit di segno coerente con il valore
+  if (n >= 0 && (bytes[0] & 0x80)) bytes.unshift(0);
+  if (n < 0 && !(bytes[0] & 0x80)) bytes.unshift(0xff);
+  return encodeTlv(tag, Buffer.from(bytes));
+}
+
+function encodeUnsigned(n, tag) {
+  const bytes = [];
+  let v = BigInt(n);
+  do {
+    bytes.unshift(Number(v & 0xffn));
+    v >>= 8n;
+  } while (v > 0n);
+  if (bytes[0] & 0x80) bytes.unshift(0);
+  return encodeTlv(tag, Buffer.from(bytes));
+}
+
+function encodeOid(oid) {
+  const parts = String(oid).replace(/^\./, '').split('.').map(Number);
+  if (parts.length < 2 || parts.some(p => !Number.isInteger(p) || p < 0)) {
+    throw new BerError(`OID non valido: ${oid}`);
+  }
+  const subs = [parts[0] * 40 + parts[1], ...parts.slice(2)];
+  const bytes = [];
+  subs.forEach(sub => {
+    const chunk = [sub & 0x7f];
+    sub = Math.floor(sub / 128);
+    while (sub > 0) {
+      chunk.unshift((sub & 0x7f) | 0x80);
+      sub = Math.floor(sub / 128);
+    }
+    bytes.push(...chunk);
+  });
+  return encodeTlv(TAG.OID, Buffer.from(bytes));
+}
+
+function encodeValue({ type, value }) {
+  switch (type) {
+    case 'Integer': return encodeInteger(Number(value));
+    case 'OctetString': return encodeTlv(TAG.OCTET_STRING, Buffer.isBuffer(value) ? value : Buffer.from(String(value), 'utf8'));
+    case 'Null': return encodeTlv(TAG.NULL, Buffer.alloc(0));
+    case 'OID': return encodeOid(value);
+    case 'IpAddress': return encodeTlv(TAG.IP_ADDRESS, Buffer.from(String(value).split('.').map(Number)));
+    case 'Counter32': return encodeUnsigned(value, TAG.COUNTER32);
+    case 'Gauge32': return encodeUnsigned(value, TAG.GAUGE32);
+    case 'TimeTicks': return encodeUnsigned(value, TAG.TIMETICKS);
+    case 'Counter64': return encodeUnsigned(value, TAG.COUNTER64);
+    default: throw new BerError(`Tipo varbind non supportato: ${type}`);
+  }
+}
+
+function encodeVarbinds(varbinds = []) {
+  return encodeTlv(TAG.SEQUENCE, Buffer.concat(
+    varbinds.map(vb => encodeTlv(TAG.SEQUENCE, Buffer.concat([encodeOid(vb.oid), encodeValue(vb)])))
+  ));
+}
+
+// Costruisce un datagramma trap. trap: { version: 0|1, community, trapOid | (enterprise, genericTrap, specificTrap),
+// agentAddress, uptime, varbinds: [{ oid, type, value }] }
+function encodeTrap(trap) {
+  const version = trap.version === undefined ? SNMP_VERSION.V2C : trap.version;
+  const community = encodeTlv(TAG.OCTET_STRING, Buffer.from(trap.community || 'public', 'latin1'));
+  const uptime = trap.uptime || 0;
+  let pdu;
+
+  if (version === SNMP_VERSION.V1) {
+    pdu = encodeTlv(TAG.TRAP_V1, Buffer.concat([
+      encodeOid(trap.enterprise),
+      encodeValue({ type: 'IpAddress', value: trap.agentAddress || '0.0.0.0' }),
+      encodeInteger(trap.genericTrap === undefined ? 6 : trap.genericTrap),
+      encodeInteger(trap.specificTrap || 0),
+      encodeUnsigned(uptime, TAG.TIMETICKS),
+      encodeVarbinds(trap.varbinds)
+    ]));
+  } else {
+    pdu = encodeTlv(trap.inform ? TAG.INFORM : TAG.TRAP_V2, Buffer.concat([
+      encodeInteger(trap.requestId || 1),
+      encodeInteger(0),
+      encodeInteger(0),
+      encodeVarbinds([
+        { oid: OID_SYSUPTIME, type: 'TimeTicks', value: uptime },
+        { oid: OID_SNMPTRAPOID, type: 'OID', value: trap.trapOid },
+        ...(trap.varbinds || [])
+      ])
+    ]));
+  }
+
+  return encodeTlv(TAG.SEQUENCE, Buffer.concat([encodeInteger(version), community, pdu]));
+}
+
+// Risposta (GetResponse-PDU) a una InformRequest v2c: stessi request-id e varbind
+function encodeInformResponse(buf) {
+  const msg = readTlv(buf, 0);
+  const [versionTlv, communityTlv, pdu] = readChildren(buf, msg.start, msg.end);
+  const [reqIdTlv, , , vbTlv] = readChildren(buf, pdu.start, pdu.end);
+  const body = Buffer.concat([
+    buf.subarray(reqIdTlv.offset, reqIdTlv.end),
+    encodeInteger(0),
+    encodeInteger(0),
+    buf.subarray(vbTlv.offset, vbTlv.end)
+  ]);
+  return encodeTlv(TAG.SEQUENCE, Buffer.concat([
+    buf.subarray(versionTlv.offset, communityTlv.end),
+    encodeTlv(TAG.GET_RESPONSE, body)
+  ]));
+}
+
+module.exports = {
+  decodeTrap,
+  encodeTrap,
+  encodeInformResponse,
+  BerError,
+  SNMP_VERSION,
+  OID_SNMPTRAPOID,
+  OID_SNMPTRAPS
+};
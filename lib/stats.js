@@ -0,0 +1,216 @@
+// lib/stats.js
+// Statistiche aggregate su rcv_log per un intervallo di traptime (default: ultime 24 ore):
+//   GET /api/stats/counts?groupBy=severity,site,time&bucket=hour&timeFrom=...&timeTo=...
+//   GET /api/stats/top?by=node|event&limit=10&timeFrom=...&timeTo=...
+// Filtri comuni: severity=1,2  hostname=rtr  eventname=linkDown  site=X  active=1  suppressed=1.
+// events = righe di rcv_log, traps = trap ricevute (somma di occurrences con la deduplica).
+// Il site non e' in rcv_log: si raggruppa per node_id e si aggrega con la cache dell'inventario.
+const express = require('express');
+const { ValidationError, sendError, parseDateTime } = require('./validation');
+const { parseSeverity, SEVERITY_LABELS } = require('./miboid');
+
+const GROUPS = {
+  severity: 'severity',
+  hostname: 'hostname',
+  eventname: 'eventname',
+  site: 'node_id',
+  time: null // DATE_FORMAT(traptime) secondo il bucket
+};
+const BUCKETS = { minute: '%Y-%m-%d %H:%i:00', hour: '%Y-%m-%d %H:00:00', day: '%Y-%m-%d' };
+// oltre questo numero di gruppi la richiesta va ristretta (intervallo o raggruppamento)
+const MAX_GROUPS = 5000;
+const DEFAULT_TOP = 10;
+const MAX_TOP = 100;
+
+function flag(value) {
+  return value === '1' || value === 'true';
+}
+
+// Condizioni comuni a counts e top
+function buildStatsWhere(query, nodeCache) {
+  const timeFrom = parseDateTime(query.timeFrom, 'timeFrom');
+  const timeTo = parseDateTime(query.timeTo, 'timeTo');
+  if (timeFrom && timeTo && timeFrom > timeTo) throw new ValidationError('timeFrom successivo a timeTo');
+
+  const conditions = [];
+  const params = [];
+  if (timeFrom) {
+    conditions.push('traptime >= ?');
+    params.push(timeFrom);
+  } else {
+    conditions.push(timeTo ? 'traptime >= ? - INTERVAL 1 DAY' : 'traptime >= NOW() - INTERVAL 1 DAY');
+    if (timeTo) params.push(timeTo);
+  }
+  if (timeTo) {
+    conditions.push('traptime <= ?');
+    params.push(timeTo);
+  }
+
+  if (query.severity !== undefined && String(query.severity).trim() !== '') {
+    const severities = Array.from(new Set(String(query.severity).split(',').map(s => s.trim()).filter(Boolean).map(parseSeverity)));
+    conditions.push(`severity IN (${severities.map(() => '?').join(',')})`);
+    params.push(...severities);
+  }
+  if (query.hostname) {
+    conditions.push('hostname LIKE ?');
+    params.push(`%${query.hostname}%`);
+  }
+  if (query.eventname) {
+    conditions.push('eventname = ?');
+    params.push(String(query.eventname));
+  }
+  if (query.site) {
+    const site = String(query.site).toLowerCase();
+    const ids = nodeCache.list().filter(n => String(n.site || '').toLowerCase() === site).map(n => n.id);
+    if (ids.length === 0) {
+      conditions.push('1=0');
+    } else {
+      conditions.push(`node_id IN (${ids.map(() => '?').join(',')})`);
+      params.push(...ids);
+    }
+  }
+  if (flag(query.active)) conditions.push('active = 1');
+  // come in console: gli eventi soppressi (manutenzione) solo su richiesta
+  if (!flag(query.suppressed)) conditions.push('suppressed = 0');
+
+  return { where: `WHERE ${conditions.join(' AND ')}`, params, timeFrom, timeTo };
+}
+
+function parseGroupBy(value) {
+  const groups = Array.from(new Set(String(value || 'severity').split(',').map(g => g.trim().toLowerCase()).filter(Boolean)));
+  const bad = groups.find(g => !(g in GROUPS));
+  if (bad) throw new ValidationError(`groupBy non valido: ${bad} (${Object.keys(GROUPS).join(', ')})`);
+  if (groups.length === 0) throw new ValidationError('groupBy obbligatorio');
+  return groups;
+}
+
+function createStatsRouter({ pool, nodeCache }) {
+  const router = express.Router();
+
+  function siteOf(nodeId) {
+    const node = nodeCache.get(nodeId);
+    return node ? node.site || null : null;
+  }
+
+  router.get('/api/stats/counts', async (req, res) => {
+    try {
+      const groups = parseGroupBy(req.query.groupBy);
+      const bucket = String(req.query.bucket || 'hour').toLowerCase();
+      if (!BUCKETS[bucket]) throw new ValidationError(`bucket non valido: ${req.query.bucket} (minute | hour | day)`);
+      const { where, params, timeFrom, timeTo } = buildStatsWhere(req.query, nodeCache);
+
+      const columns = groups.map(g => (g === 'time' ? `DATE_FORMAT(traptime, '${BUCKETS[bucket]}') AS bucket` : GROUPS[g]));
+      const keys = groups.map(g => (g === 'time' ? 'bucket' : GROUPS[g]));
+      const [rows] = await pool.query(
+        `SELECT ${columns.join(', ')}, COUNT(*) AS events, SUM(occurrences) AS traps
+         FROM rcv_log ${where}
+         GROUP BY ${keys.join(', ')}
+         LIMIT ?`,
+        [...params, MAX_GROUPS + 1]
+      );
+      if (rows.length > MAX_GROUPS) {
+        throw new ValidationError(`Troppi gruppi (oltre ${MAX_GROUPS}): restringere l'intervallo o il raggruppamento`);
+      }
+
+      // node_id → site, sommando i nodi dello stesso site
+      const merged = new Map();
+      rows.forEach(r => {
+        const out = {};
+        groups.forEach(g => {
+          if (g === 'site') out.site = siteOf(r.node_id);
+          else if (g === 'time') out.bucket = r.bucket;
+          else out[g] = r[g];
+        });
+        const key = JSON.stringify(out);
+        const prev = merged.get(key);
+        if (prev) {
+          prev.events += Number(r.events);
+          prev.traps += Number(r.traps);
+        } else {
+          merged.set(key, { ...out, events: Number(r.events), traps: Number(r.traps) });
+        }
+      });
+
+      const result = Array.from(merged.values());
+      result.forEach(r => { if ('severity' in r) r.severity_name = SEVERITY_LABELS[r.severity] || null; });
+      result.sort((a, b) => (groups.includes('time') && a.bucket !== b.bucket
+        ? (a.bucket < b.bucket ? -1 : 1)
+        : b.events - a.events));
+
+      res.json({
+        timeFrom,
+        timeTo,
+        groupBy: groups,
+        bucket: groups.includes('time') ? bucket : null,
+        total: {
+          events: result.reduce((n, r) => n + r.events, 0),
+          traps: result.reduce((n, r) => n + r.traps, 0)
+        },
+        rows: result
+      });
+    } catch (err) {
+      sendError(res, err, 'GET /api/stats/counts');
+    }
+  });
+
+  // Nodi (per node_id, o agentip se fuori inventario) ed eventi piu' rumorosi, per numero di trap
+  router.get('/api/stats/top', async (req, res) => {
+    try {
+      const by = String(req.query.by || 'node').toLowerCase();
+      if (by !== 'node' && by !== 'event') throw new ValidationError(`by non valido: ${req.query.by} (node | event)`);
+      const limit = req.query.limit === undefined ? DEFAULT_TOP : parseInt(req.query.limit, 10);
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_TOP) throw new ValidationError(`limit non valido: ${req.query.limit} (1-${MAX_TOP})`);
+      const { where, params, timeFrom, timeTo } = buildStatsWhere(req.query, nodeCache);
+
+      let rows;
+      if (by === 'node') {
+        [rows] = await pool.query(
+          `SELECT node_id, IF(node_id IS NULL, agentip, NULL) AS agentip_key, MAX(hostname) AS hostname,
+                  COUNT(*) AS events, SUM(occurrences) AS traps, MAX(traptime) AS last_traptime
+           FROM rcv_log ${where}
+           GROUP BY node_id, agentip_key
+           ORDER BY traps DESC
+           LIMIT ?`,
+          [...params, limit]
+        );
+        rows = rows.map(r => {
+          const node = nodeCache.get(r.node_id);
+          return {
+            node_id: r.node_id,
+            hostname: node ? node.node_name : r.hostname,
+            agentip: node ? node.target : r.agentip_key,
+            site: node ? node.site || null : null,
+            events: Number(r.events),
+            traps: Number(r.traps),
+            last_traptime: r.last_traptime
+          };
+        });
+      } else {
+        [rows] = await pool.query(
+          `SELECT eventname, COUNT(*) AS events, SUM(occurrences) AS traps,
+                  COUNT(DISTINCT COALESCE(node_id, agentip)) AS nodes, MAX(traptime) AS last_traptime
+           FROM rcv_log ${where}
+           GROUP BY eventname
+           ORDER BY traps DESC
+           LIMIT ?`,
+          [...params, limit]
+        );
+        rows = rows.map(r => ({
+          eventname: r.eventname,
+          events: Number(r.events),
+          traps: Number(r.traps),
+          nodes: Number(r.nodes),
+          last_traptime: r.last_traptime
+        }));
+      }
+
+      res.json({ timeFrom, timeTo, by, rows });
+    } catch (err) {
+      sendError(res, err, 'GET /api/stats/top');
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createStatsRouter };
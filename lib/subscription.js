@@ -0,0 +1,175 @@
+// lib/subscription.js
+// Sottoscrizione per connessione WebSocket: memorizza l'insieme completo dei filtri
+// inviati con getPage e li applica lato server alle righe pushate con 'update'.
+// Il campo q (ricerca testuale, vedi lib/search.js) si aggiunge ai filtri dei pulsanti.
+const { compileSearch, searchConditions, matchesSearch } = require('./search');
+
+// Converte 'DD-MM-YYYY HH:MM:SS' (DATE_FORMAT di fetchChanges) in 'YYYY-MM-DD HH:MM:SS'
+// cosi' il confronto con timeFrom/timeTo (formato flatpickr Y-m-d H:i:S) e' lessicografico
+function normalizeTime(value) {
+  if (value === null || value === undefined) return null;
+  const s = String(value);
+  const m = s.match(/^(\d{2})-(\d{2})-(\d{4})(.*)$/);
+  if (m) return `${m[3]}-${m[2]}-${m[1]}${m[4]}`;
+  return s;
+}
+
+// Estremo di timeFrom/timeTo completo ('YYYY-MM-DD' → 'YYYY-MM-DD 00:00:00', 'HH:MM' → 'HH:MM:00'),
+// come lo converte MySQL confrontandolo con traptime: il confronto lessicografico in JS da' lo stesso risultato
+function fullTime(value) {
+  if (value === null) return null;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return `${value} 00:00:00`;
+  if (/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}$/.test(value)) return `${value}:00`;
+  return value;
+}
+
+function emptyToNull(value) {
+  if (value === undefined || value === null) return null;
+  const s = String(value).trim();
+  return s === '' ? null : s;
+}
+
+// severity: numero, lista "1,2" o array; valori non validi ignorati
+function parseSeverities(value) {
+  if (value === null || value === undefined) return null;
+  const list = (Array.isArray(value) ? value : String(value).split(','))
+    .map(v => parseInt(v, 10))
+    .filter(n => !isNaN(n));
+  return list.length > 0 ? Array.from(new Set(list)) : null;
+}
+
+// Estremo piu' restrittivo tra filtro e ricerca (stringhe 'YYYY-MM-DD HH:MM:SS')
+function pickTime(a, b, later) {
+  if (a === null) return b;
+  if (b === null) return a;
+  return (a > b) === later ? a : b;
+}
+
+// Costruisce la sottoscrizione a partire da un messaggio getPage.
+// Un campo assente nel messaggio equivale a "nessun filtro" (il client invia sempre il set completo).
+// options (per q): nodeCache per site/type, fullText per l'indice FULLTEXT.
+// Una ricerca non valida lancia ValidationError.
+function parseSubscription(msg = {}, options = {}) {
+  const search = compileSearch(msg.q, options);
+
+  // sev: della ricerca restringe la severity dei pulsanti
+  let severities = parseSeverities(msg.severity);
+  if (search && search.severities) {
+    severities = severities ? severities.filter(s => search.severities.includes(s)) : search.severities;
+  }
+
+  // estremi indipendenti: solo timeFrom = da allora in poi, solo timeTo = fino ad allora
+  const timeFrom = pickTime(fullTime(emptyToNull(msg.timeFrom)), search ? search.timeFrom : null, true);
+  const timeTo = pickTime(fullTime(emptyToNull(msg.timeTo)), search ? search.timeTo : null, false);
+
+  return {
+    activeOnly: msg.active === 1,
+    // eventi soppressi dalle finestre di manutenzione: solo su richiesta esplicita
+    showSuppressed: msg.suppressed === 1,
+    // ricerca nell'archivio della retention (rcv_log_archive): nessun update live
+    archive: msg.archive === 1,
+    severities,
+    hostname: emptyToNull(msg.hostname),
+    agentip: emptyToNull(msg.agentip),
+    timeFrom,
+    timeTo,
+    search
+  };
+}
+
+// I soppressi non contano come filtro: vedi matchesSubscription e sendChunksToAllClients
+function hasFilters(sub) {
+  if (!sub) return false;
+  return sub.activeOnly || sub.archive || sub.severities !== null || sub.hostname !== null ||
+    sub.agentip !== null || sub.timeFrom !== null || sub.timeTo !== null || sub.search !== null;
+}
+
+// Verifica se una riga rcv_log rientra nella sottoscrizione.
+// Per le righe aggiornate (isNew = false) il filtro active non si applica: un evento
+// acknowledged deve comunque arrivare al client che lo sta mostrando, per nasconderlo.
+function matchesSubscription(row, sub, isNew = true) {
+  if (!sub) return true;
+
+  if (sub.archive) return false;
+
+  if (sub.activeOnly && isNew && Number(row.active) !== 1) return false;
+
+  if (!sub.showSuppressed && Number(row.suppressed) === 1) return false;
+
+  if (sub.severities !== null && !sub.severities.includes(Number(row.severity))) return false;
+
+  // hostname LIKE '%x%' (collation MySQL case-insensitive)
+  if (sub.hostname !== null) {
+    const host = String(row.hostname || '').toLowerCase();
+    if (!host.includes(sub.hostname.toLowerCase())) return false;
+  }
+
+  // agentip = (match esatto)
+  if (sub.agentip !== null && String(row.agentip || '') !== sub.agentip) return false;
+
+  // traptime >= timeFrom, <= timeTo
+  if (sub.timeFrom !== null || sub.timeTo !== null) {
+    const t = normalizeTime(row.traptime);
+    if (t === null) return false;
+    if (sub.timeFrom !== null && t < sub.timeFrom) return false;
+    if (sub.timeTo !== null && t > sub.timeTo) return false;
+  }
+
+  if (sub.search && !matchesSearch(row, sub.search)) return false;
+
+  return true;
+}
+
+// Condizioni SQL su rcv_log per gli stessi filtri (fetchPage, export)
+function buildEventWhere(sub) {
+  const conditions = ['1=1'];
+  const params = [];
+  if (!sub) return { where: 'WHERE 1=1', params };
+
+  if (sub.activeOnly) conditions.push('active = 1');
+
+  if (!sub.showSuppressed) conditions.push('suppressed = 0');
+
+  if (sub.severities !== null) {
+    // lista vuota: sev: della ricerca e pulsante severity senza valori in comune
+    conditions.push(sub.severities.length > 0 ? `severity IN (${sub.severities.map(() => '?').join(',')})` : '1=0');
+    params.push(...sub.severities);
+  }
+
+  // hostname LIKE '%x%'
+  if (sub.hostname !== null) {
+    conditions.push('hostname LIKE ?');
+    params.push(`%${sub.hostname}%`);
+  }
+
+  // agentip = (match esatto)
+  if (sub.agentip !== null) {
+    conditions.push('agentip = ?');
+    params.push(sub.agentip);
+  }
+
+  if (sub.timeFrom !== null) {
+    conditions.push('traptime >= ?');
+    params.push(sub.timeFrom);
+  }
+  if (sub.timeTo !== null) {
+    conditions.push('traptime <= ?');
+    params.push(sub.timeTo);
+  }
+
+  if (sub.search) {
+    const s = searchConditions(sub.search);
+    conditions.push(...s.conditions);
+    params.push(...s.params);
+  }
+
+  return { where: `WHERE ${conditions.join(' AND ')}`, params };
+}
+
+module.exports = {
+  parseSubscription,
+  buildEventWhere,
+  matchesSubscription,
+  hasFilters,
+  normalizeTime
+};
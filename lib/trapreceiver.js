@@ -0,0 +1,348 @@
+// lib/trapreceiver.js
+// Trap receiver SNMP v1/v2c su UDP: decodifica le trap, cerca la definizione in mib_oid
+// e inserisce l'evento in rcv_log. Il pollingLoop lo inviera' poi ai client come le altre righe.
+// Le trap che corrispondono a una regola di mib_clear_rule disattivano gli eventi problema
+// dello stesso nodo (clear automatico).
+const dgram = require('dgram');
+const { decodeTrap, encodeInformResponse } = require('./snmp');
+const { assertSafeRegex } = require('./validation');
+
+const MIB_CACHE_TTL_MS = 60 * 1000;
+const NODE_CACHE_TTL_MS = 60 * 1000;
+const DEDUP_MODES = ['off', 'eventname', 'formatline'];
+
+// Sostituisce le variabili del template msg di mib_oid (stile snmptt):
+// $1..$n valore dell'n-esimo varbind, $* tutti i varbind, $A agent ip, $H hostname,
+// $O trap oid, $N eventname, $$ carattere '$'
+function renderTemplate(template, ctx) {
+  const values = ctx.varbinds.map(vb => formatValue(vb.value));
+  if (!template) {
+    return ctx.varbinds.map(vb => `${vb.oid}=${formatValue(vb.value)}`).join(' ');
+  }
+  return template.replace(/\$(\d+|\*|\$|[AHON])/g, (match, key) => {
+    if (key === '$') return '$';
+    if (key === '*') return values.join(' ');
+    if (key === 'A') return ctx.agentip || '';
+    if (key === 'H') return ctx.hostname || '';
+    if (key === 'O') return ctx.trapOid || '';
+    if (key === 'N') return ctx.eventname || '';
+    const i = parseInt(key, 10) - 1;
+    return i >= 0 && i < values.length ? values[i] : '';
+  });
+}
+
+function formatValue(value) {
+  return value === null || value === undefined ? '' : String(value);
+}
+
+// Valore del varbind che inizia con il prefisso OID indicato (null se assente)
+function varbindValue(varbinds, oidPrefix) {
+  const prefix = oidPrefix.replace(/^\./, '');
+  const vb = (varbinds || []).find(v => v.oid === prefix || v.oid.startsWith(`${prefix}.`));
+  return vb ? { suffix: vb.oid.slice(prefix.length), value: String(vb.value) } : null;
+}
+
+// Parte del formatline confrontata dalla regex: primo gruppo o intero match
+function regexKey(re, text) {
+  const m = re.exec(text || '');
+  if (!m) return null;
+  return m.length > 1 ? m[1] : m[0];
+}
+
+// Regola di mib_clear_rule con la regex del formatline gia' compilata (re), una volta al caricamento.
+// Ritorna null se la regex non e' valida o non e' sicura (regole salvate prima del controllo dell'API).
+function compileClearRule(rule) {
+  if (!rule.formatline_regex) return { ...rule, re: null };
+  try {
+    assertSafeRegex(rule.formatline_regex);
+    return { ...rule, re: new RegExp(rule.formatline_regex) };
+  } catch (err) {
+    console.warn(`[CLEAR] Regola ${rule.id} ignorata: ${err.message}`);
+    return null;
+  }
+}
+
+// Verifica se la trap di clear ev chiude l'evento problema row secondo la regola (compileClearRule)
+function clearRuleMatches(rule, ev, row) {
+  if (rule.varbind_oid) {
+    let problemVarbinds = [];
+    try {
+      problemVarbinds = JSON.parse(row.varbinds || '[]');
+    } catch (err) {
+      return false;
+    }
+    const a = varbindValue(ev.varbinds, rule.varbind_oid);
+    const b = varbindValue(problemVarbinds, rule.varbind_oid);
+    // stessa istanza (suffisso OID) e stesso valore, es. ifIndex.3 = 3
+    if (!a || !b || a.suffix !== b.suffix || a.value !== b.value) return false;
+  }
+  if (rule.re) {
+    const a = regexKey(rule.re, ev.formatline);
+    if (a === null || a !== regexKey(rule.re, row.formatline)) return false;
+  }
+  return true;
+}
+
+class TtlCache {
+  constructor(ttlMs) {
+    this.ttlMs = ttlMs;
+    this.map = new Map();
+  }
+
+  get(key) {
+    const entry = this.map.get(key);
+    if (!entry || entry.expires < Date.now()) return undefined;
+    return entry.value;
+  }
+
+  set(key, value) {
+    this.map.set(key, { value, expires: Date.now() + this.ttlMs });
+  }
+
+  clear() {
+    this.map.clear();
+  }
+}
+
+// options:
+//   pool         pool mysql2/promise di rcv_log e mib_oid
+//   port, host   socket UDP di ascolto
+//   communities  elenco community accettate (vuoto = tutte)
+//   resolveNode  async (ip) => { id, name, node_type } | null, dipende dall'inventario nodi
+//   maintenance  async (ev) => { id, name } | null, finestra di manutenzione che copre l'evento:
+//                la trap viene salvata con suppressed = 1
+//   dedupMode    'off' | 'eventname' | 'formatline': una trap uguale a un evento attivo dello
+//                stesso nodo (stesso eventname, e stesso formatline se 'formatline') incrementa
+//                occurrences/last_seen dell'evento esistente invece di inserire una nuova riga
+function createTrapReceiver(options) {
+  const {
+    pool, port, host = '0.0.0.0', communities = [], resolveNode = async () => null,
+    maintenance = async () => null, dedupMode = 'off'
+  } = options;
+  if (!DEDUP_MODES.includes(dedupMode)) {
+    throw new Error(`DEDUP_MODE non valido: ${dedupMode} (valori ammessi: ${DEDUP_MODES.join(', ')})`);
+  }
+  const mibCache = new TtlCache(MIB_CACHE_TTL_MS);
+  const clearRuleCache = new TtlCache(MIB_CACHE_TTL_MS);
+  const nodeCache = new TtlCache(NODE_CACHE_TTL_MS);
+  // catene di promise per chiave di deduplica: le trap uguali in raffica vengono serializzate
+  const dedupLocks = new Map();
+  let socket = null;
+
+  async function lookupNode(ip) {
+    let node = nodeCache.get(ip);
+    if (node === undefined) {
+      node = (await resolveNode(ip)) || null;
+      nodeCache.set(ip, node);
+    }
+    return node;
+  }
+
+  // Cerca la definizione della trap; se ci sono piu' tipologie per lo stesso OID
+  // preferisce quella che corrisponde al node_type del nodo
+  async function lookupMib(trapOid, node) {
+    let defs = mibCache.get(trapOid);
+    if (defs === undefined) {
+      const [rows] = await pool.query(
+        'SELECT id, trapoid, category, enterprise, msg, severity FROM mib_oid WHERE trapoid = ? OR trapoid = ? ORDER BY id',
+        [trapOid, `.${trapOid}`]
+      );
+      defs = rows;
+      mibCache.set(trapOid, defs);
+    }
+    if (defs.length === 0) return null;
+    const nodeType = node && node.node_type ? String(node.node_type).toLowerCase() : null;
+    return (nodeType && defs.find(d => String(d.enterprise).toLowerCase() === nodeType)) || defs[0];
+  }
+
+  // Costruisce la riga rcv_log a partire dalla trap decodificata
+  async function buildEvent(trap, sourceIp) {
+    // v1: agent-addr della PDU, v2c: snmpTrapAddress.0 se presente, altrimenti l'IP sorgente
+    const agentip = trap.agentAddress && trap.agentAddress !== '0.0.0.0' ? trap.agentAddress : sourceIp;
+    const node = await lookupNode(agentip);
+    const def = await lookupMib(trap.trapOid, node);
+    const hostname = node && node.name ? node.name : agentip;
+    const eventname = def ? def.category : trap.trapOid;
+    const ctx = { varbinds: trap.varbinds, agentip, hostname, trapOid: trap.trapOid, eventname };
+
+    return {
+      node_id: node ? node.id : null,
+      varbinds: trap.varbinds,
+      eventname,
+      // trap non definite in mib_oid: INFO con l'elenco dei varbind come messaggio
+      severity: def ? Number(def.severity) : 0,
+      hostname,
+      agentip,
+      formatline: renderTemplate(def ? def.msg : '', ctx)
+    };
+  }
+
+  async function insertEvent(ev) {
+    const [result] = await pool.query(
+      `INSERT INTO rcv_log (node_id, active, eventname, severity, utctime, traptime, hostname, agentip, formatline,
+                            occurrences, first_seen, last_seen, varbinds, suppressed, maintenance_id)
+       VALUES (?, ?, ?, ?, UTC_TIMESTAMP(), NOW(), ?, ?, ?, 1, NOW(), NOW(), ?, ?, ?)`,
+      [ev.node_id, ev.active === 0 ? 0 : 1, ev.eventname, ev.severity, ev.hostname, ev.agentip, ev.formatline,
+        JSON.stringify(ev.varbinds || []), ev.maintenance_id ? 1 : 0, ev.maintenance_id || null]
+    );
+    return result.insertId;
+  }
+
+  // Incrementa l'evento attivo equivalente, se esiste; ritorna il suo id oppure null
+  async function incrementDuplicate(ev) {
+    // le trap in manutenzione non incrementano eventi visibili (e viceversa)
+    let q = 'SELECT id FROM rcv_log WHERE eventname = ? AND active = 1 AND suppressed = ?';
+    const params = [ev.eventname, ev.maintenance_id ? 1 : 0];
+    // senza nodo in inventario l'evento e' identificato dall'agentip
+    if (ev.node_id !== null) {
+      q += ' AND node_id = ?';
+      params.push(ev.node_id);
+    } else {
+      q += ' AND node_id IS NULL AND agentip = ?';
+      params.push(ev.agentip);
+    }
+    if (dedupMode === 'formatline') {
+      q += ' AND formatline = ?';
+      params.push(ev.formatline);
+    }
+    q += ' ORDER BY id DESC LIMIT 1';
+
+    const [rows] = await pool.query(q, params);
+    if (rows.length === 0) return null;
+    await pool.query(
+      'UPDATE rcv_log SET occurrences = occurrences + 1, last_seen = NOW() WHERE id = ?',
+      [rows[0].id]
+    );
+    return rows[0].id;
+  }
+
+  async function loadClearRules(eventname) {
+    let rules = clearRuleCache.get(eventname);
+    if (rules === undefined) {
+      const [rows] = await pool.query(
+        'SELECT id, problem_eventname, varbind_oid, formatline_regex FROM mib_clear_rule WHERE clear_eventname = ? AND enabled = 1',
+        [eventname]
+      );
+      rules = rows.map(compileClearRule).filter(Boolean);
+      clearRuleCache.set(eventname, rules);
+    }
+    return rules;
+  }
+
+  // Disattiva gli eventi problema chiusi da questa trap; ritorna gli id disattivati
+  async function applyClearRules(ev) {
+    const rules = await loadClearRules(ev.eventname);
+    if (rules.length === 0) return [];
+
+    const cleared = [];
+    for (const rule of rules) {
+      let q = 'SELECT id, formatline, varbinds FROM rcv_log WHERE eventname = ? AND active = 1';
+      const params = [rule.problem_eventname];
+      if (ev.node_id !== null) {
+        q += ' AND node_id = ?';
+        params.push(ev.node_id);
+      } else {
+        q += ' AND node_id IS NULL AND agentip = ?';
+        params.push(ev.agentip);
+      }
+      const [candidates] = await pool.query(q, params);
+      candidates.filter(row => clearRuleMatches(rule, ev, row)).forEach(row => cleared.push(row.id));
+    }
+
+    if (cleared.length > 0) {
+      const placeholders = cleared.map(() => '?').join(',');
+      await pool.query(`UPDATE rcv_log SET active = 0 WHERE id IN (${placeholders})`, cleared);
+    }
+    return cleared;
+  }
+
+  async function storeEvent(ev) {
+    if (dedupMode === 'off') return { id: await insertEvent(ev), duplicate: false };
+
+    const key = [ev.node_id === null ? ev.agentip : ev.node_id, ev.eventname, dedupMode === 'formatline' ? ev.formatline : ''].join('|');
+    const previous = dedupLocks.get(key) || Promise.resolve();
+    const current = previous.catch(() => {}).then(async () => {
+      const dupId = await incrementDuplicate(ev);
+      if (dupId !== null) return { id: dupId, duplicate: true };
+      return { id: await insertEvent(ev), duplicate: false };
+    });
+    dedupLocks.set(key, current);
+    try {
+      return await current;
+    } finally {
+      if (dedupLocks.get(key) === current) dedupLocks.delete(key);
+    }
+  }
+
+  async function handleMessage(buf, rinfo) {
+    let trap;
+    try {
+      trap = decodeTrap(buf);
+    } catch (err) {
+      console.warn(`[TRAP] Pacchetto non valido da ${rinfo.address}:${rinfo.port}: ${err.message}`);
+      return;
+    }
+
+    if (communities.length > 0 && !communities.includes(trap.community)) {
+      console.warn(`[TRAP] Community non autorizzata da ${rinfo.address}: ${trap.community}`);
+      return;
+    }
+
+    // InformRequest: conferma la ricezione al mittente
+    if (trap.pduType === 'inform') {
+      try {
+        socket.send(encodeInformResponse(buf), rinfo.port, rinfo.address);
+      } catch (err) {
+        console.error('[TRAP] Errore invio risposta inform:', err);
+      }
+    }
+
+    try {
+      const ev = await buildEvent(trap, rinfo.address);
+      const win = await maintenance(ev);
+      if (win) ev.maintenance_id = win.id;
+      const cleared = await applyClearRules(ev);
+      if (cleared.length > 0) {
+        // la trap di clear viene registrata gia' non attiva
+        ev.active = 0;
+        console.log(`[CLEAR] ${ev.eventname} da ${ev.agentip}: disattivati eventi ${cleared.join(', ')}`);
+      }
+      const { id, duplicate } = await storeEvent(ev);
+      console.debug(`[TRAP] v${trap.version === 0 ? '1' : '2c'} ${trap.trapOid} da ${ev.agentip} → rcv_log id=${id}${duplicate ? ' (occorrenza ripetuta)' : ''} (${ev.eventname}, severity ${ev.severity})${win ? ` [manutenzione "${win.name}"]` : ''}`);
+    } catch (err) {
+      console.error('[TRAP] Errore inserimento trap in rcv_log:', err);
+    }
+  }
+
+  function start() {
+    return new Promise((resolve, reject) => {
+      socket = dgram.createSocket('udp4');
+      socket.on('message', (buf, rinfo) => { handleMessage(buf, rinfo); });
+      socket.once('error', reject);
+      socket.bind(port, host, () => {
+        socket.removeListener('error', reject);
+        socket.on('error', err => console.error('[TRAP] Errore socket UDP:', err));
+        console.log(`Trap receiver SNMP in ascolto su udp://${host}:${socket.address().port}`);
+        resolve(socket.address());
+      });
+    });
+  }
+
+  function stop() {
+    return new Promise(resolve => {
+      if (!socket) return resolve();
+      socket.close(() => resolve());
+      socket = null;
+    });
+  }
+
+  return {
+    start,
+    stop,
+    handleMessage,
+    buildEvent,
+    clearCache: () => { mibCache.clear(); clearRuleCache.clear(); nodeCache.clear(); }
+  };
+}
+
+module.exports = { createTrapReceiver, renderTemplate, compileClearRule, clearRuleMatches };
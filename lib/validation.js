@@ -0,0 +1,144 @@
+// lib/validation.js
+// Validazione comune delle API REST: ValidationError (risposta { detail } con lo status indicato),
+// sendError per i catch delle rotte, i parser dei campi ricorrenti (testi, id, date e ore) e il
+// controllo delle espressioni regolari fornite dagli utenti (ricerca, regole di clear).
+// Date e ore sono nel formato di traptime ('YYYY-MM-DD HH:MM:SS', ora locale del server).
+const MAX_TEXT = 255;
+const DATETIME_RE = /^(\d{4}-\d{2}-\d{2})(?:[ T](\d{2}:\d{2})(:\d{2})?)?$/;
+const CLOCK_RE = /^([01]\d|2[0-3]):([0-5]\d)(:[0-5]\d)?$/;
+const RELATIVE_RE = /^-(\d+)([mhd])$/;
+const RELATIVE_MS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+class ValidationError extends Error {
+  constructor(detail, status = 400) {
+    super(detail);
+    this.status = status;
+  }
+}
+
+function sendError(res, err, context) {
+  if (err instanceof ValidationError) {
+    return res.status(err.status).json({ detail: err.message });
+  }
+  if (err && err.code === 'ER_DUP_ENTRY') {
+    return res.status(409).json({ detail: 'Elemento gia\' presente (vincolo di unicita\')' });
+  }
+  console.error(`Errore ${context}:`, err);
+  return res.status(500).json({ detail: 'Errore interno del server' });
+}
+
+function parseId(value) {
+  const id = parseInt(value, 10);
+  if (isNaN(id) || id <= 0 || String(id) !== String(value).trim()) {
+    throw new ValidationError(`Id non valido: ${value}`);
+  }
+  return id;
+}
+
+// Testo opzionale: vuoto → null
+function optionalText(value, label, max = MAX_TEXT) {
+  if (value === undefined || value === null) return null;
+  const s = String(value).trim();
+  if (s === '') return null;
+  if (s.length > max) throw new ValidationError(`${label} troppo lungo (max ${max} caratteri)`);
+  return s;
+}
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+// Ora locale 'YYYY-MM-DD HH:MM:SS', come traptime
+function formatLocal(date) {
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+    `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+// 'YYYY-MM-DD[ HH:MM[:SS]]' (anche con T) → 'YYYY-MM-DD HH:MM:SS'; vuoto → null.
+// options:
+//   endOfDay  con la sola data: 23:59:59 invece di 00:00:00 (estremo "fino a")
+//   relative  ammette -30m, -2h, -7d rispetto ad adesso
+//   dateOnly  false: l'ora e' obbligatoria
+function parseDateTime(value, label, { endOfDay = false, relative = false, dateOnly = true } = {}) {
+  const s = optionalText(value, label);
+  if (s === null) return null;
+  const rel = relative ? s.match(RELATIVE_RE) : null;
+  if (rel) return formatLocal(new Date(Date.now() - parseInt(rel[1], 10) * RELATIVE_MS[rel[2]]));
+  const m = s.match(DATETIME_RE);
+  if (!m || (!m[2] && !dateOnly) || isNaN(new Date(`${m[1]}T${m[2] || '00:00'}${m[3] || ':00'}`).getTime())) {
+    throw new ValidationError(`${label}: valore non valido ${s} (formato YYYY-MM-DD HH:MM:SS${relative ? ' oppure -30m, -2h, -7d' : ''})`);
+  }
+  if (!m[2]) return `${m[1]} ${endOfDay ? '23:59:59' : '00:00:00'}`;
+  return `${m[1]} ${m[2]}${m[3] || ':00'}`;
+}
+
+// Ora del giorno 'HH:MM' → 'HH:MM:00'; vuoto → null
+function parseClockTime(value, label) {
+  const s = optionalText(value, label);
+  if (s === null) return null;
+  const m = s.match(CLOCK_RE);
+  if (!m) throw new ValidationError(`${label}: valore non valido ${s} (formato HH:MM)`);
+  return `${m[1]}:${m[2]}:00`;
+}
+
+// Rifiuta le espressioni con backtracking esponenziale (ReDoS): backreference e ripetizioni
+// (*, +, {n,m}) di un gruppo che contiene a sua volta ripetizioni o alternative, es. (a+)+ o (a|aa)*
+function assertSafeRegex(source) {
+  const fail = why => {
+    throw new ValidationError(`Espressione regolare non ammessa: /${source}/ (${why})`);
+  };
+  // per ogni gruppo aperto: contiene ripetizioni o alternative
+  const groups = [{ risky: false }];
+  let last = null; // ultimo atomo: { group } se era un gruppo chiuso
+  for (let i = 0; i < source.length; i++) {
+    const c = source[i];
+    const top = groups[groups.length - 1];
+    if (c === '\\') {
+      const n = source[i + 1];
+      if (/[1-9]/.test(n) || n === 'k') fail('backreference');
+      i++;
+      last = {};
+    } else if (c === '[') {
+      // classe di caratteri fino alla ] non in escape
+      i++;
+      if (source[i] === ']') i++;
+      while (i < source.length && source[i] !== ']') i += source[i] === '\\' ? 2 : 1;
+      last = {};
+    } else if (c === '(') {
+      groups.push({ risky: false });
+      last = null;
+    } else if (c === ')') {
+      const closed = groups.length > 1 ? groups.pop() : { risky: false };
+      if (closed.risky) groups[groups.length - 1].risky = true;
+      last = { group: closed };
+    } else if (c === '|') {
+      top.risky = true;
+      last = null;
+    } else if (c === '*' || c === '+' || c === '{') {
+      if (c === '{') {
+        const m = source.slice(i).match(/^\{\d*(,\d*)?\}/);
+        if (!m) {
+          last = {};
+          continue;
+        }
+        i += m[0].length - 1;
+      }
+      if (last && last.group && last.group.risky) fail('ripetizione annidata');
+      top.risky = true;
+      if (source[i + 1] === '?') i++;
+      last = null;
+    } else if (c !== '?') {
+      last = {};
+    }
+  }
+}
+
+module.exports = {
+  ValidationError,
+  sendError,
+  parseId,
+  optionalText,
+  parseDateTime,
+  parseClockTime,
+  assertSafeRegex
+};
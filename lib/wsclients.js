@@ -0,0 +1,158 @@
+// lib/wsclients.js
+// Client WebSocket lenti o morti.
+// Heartbeat: ping a intervalli, il client che non ha risposto con pong dal ping precedente viene
+// terminato (connessioni half-open che altrimenti restano in wss.clients per sempre).
+// Contropressione: tutti i messaggi push (update, node_state, node_update, history_entry) passano
+// dal sender. Finche' bufferedAmount del client supera highWaterBytes non vengono inviati ma
+// accumulati per client e per tipo, un elemento per chiave (l'ultima versione vince); quando il
+// buffer si svuota il client riceve un messaggio per tipo con gli elementi accumulati. Oltre
+// maxBacklogRows elementi l'accumulo viene scartato e il client riceve
+// { type: 'resync', seq, reason: 'lagging' }: deve ricaricare la vista come dopo un resume non possibile.
+const WebSocket = require('ws');
+
+// Messaggi push: campo con gli elementi, chiave per l'accumulo, campi aggiuntivi che separano gli
+// accumuli (history_entry di eventi diversi). single: un messaggio per elemento.
+const MESSAGE_KINDS = {
+  // in ordine di id: la console inserisce in cima le righe con id maggiore dell'ultimo visto
+  update: { field: 'rows', key: r => r.id, sort: (a, b) => a.id - b.id },
+  node_state: { field: 'nodes', key: n => n.node_id },
+  node_update: { field: 'node', key: n => n.id, single: true },
+  history_entry: { field: 'entries', key: e => e.id, group: extra => extra.rowId }
+};
+
+function buildMessages(type, items, extra) {
+  const kind = MESSAGE_KINDS[type];
+  if (kind.single) return items.map(item => ({ type, ...extra, [kind.field]: item }));
+  return [{ type, ...extra, [kind.field]: items }];
+}
+
+// options:
+//   highWaterBytes  byte in coda sul socket oltre i quali i messaggi vengono accumulati
+//   maxBacklogRows  elementi accumulati oltre i quali si chiede il resync
+//   currentSeq      () → seq corrente del change log, per il resync
+//   onEvent         (azione, elementi) → metriche: 'queued', 'collapsed', 'resync'
+function createUpdateSender({ highWaterBytes, maxBacklogRows, currentSeq, onEvent = () => {} }) {
+  function congested(client) {
+    return client.bufferedAmount >= highWaterBytes;
+  }
+
+  // Invia l'accumulo se il buffer del client si e' svuotato; true se non resta niente in coda
+  function flush(client) {
+    const backlog = client.backlog;
+    if (!backlog) return true;
+    if (client.readyState !== WebSocket.OPEN) {
+      client.backlog = null;
+      return true;
+    }
+    if (congested(client)) return false;
+    client.backlog = null;
+    if (backlog.resync) {
+      client.send(JSON.stringify({ type: 'resync', seq: currentSeq(), reason: 'lagging' }));
+      onEvent('resync', 0);
+      return true;
+    }
+    backlog.queues.forEach(queue => {
+      const kind = MESSAGE_KINDS[queue.type];
+      const items = Array.from(queue.items.values());
+      if (kind.sort) items.sort(kind.sort);
+      buildMessages(queue.type, items, queue.extra).forEach(msg => client.send(JSON.stringify(msg)));
+      onEvent('collapsed', items.length);
+    });
+    return true;
+  }
+
+  function enqueue(client, type, items, extra) {
+    if (!client.backlog) client.backlog = { queues: new Map(), size: 0, resync: false };
+    const backlog = client.backlog;
+    if (backlog.resync) return;
+    const kind = MESSAGE_KINDS[type];
+    const queueKey = `${type}:${kind.group ? kind.group(extra) : ''}`;
+    if (!backlog.queues.has(queueKey)) backlog.queues.set(queueKey, { type, extra, items: new Map() });
+    const queue = backlog.queues.get(queueKey);
+    // update: seq dell'ultimo blocco accumulato
+    queue.extra = extra;
+    items.forEach(item => {
+      const key = kind.key(item);
+      if (!queue.items.has(key)) backlog.size++;
+      queue.items.set(key, item);
+    });
+    onEvent('queued', items.length);
+    if (backlog.size > maxBacklogRows) {
+      backlog.queues.clear();
+      backlog.size = 0;
+      backlog.resync = true;
+    }
+  }
+
+  // Messaggio push per il client: items gia' filtrati per lui, extra gli altri campi del messaggio
+  // (seq, rowId), payload il JSON condiviso tra piu' client se c'e'.
+  // Ritorna true se e' stato inviato subito, false se e' stato accumulato.
+  function send(client, { type, items, extra = {}, payload = null }) {
+    if (!MESSAGE_KINDS[type]) throw new Error(`Tipo di messaggio non gestito: ${type}`);
+    // dopo un accumulo l'ordine va mantenuto: prima l'accumulo, poi il resto
+    if (flush(client) && !congested(client)) {
+      if (payload) client.send(payload);
+      else buildMessages(type, items, extra).forEach(msg => client.send(JSON.stringify(msg)));
+      return true;
+    }
+    enqueue(client, type, items, extra);
+    return false;
+  }
+
+  // Il client ricarica la vista (getPage, resume): gli update accumulati non servono piu'.
+  // Lo stato dei nodi e lo storico restano.
+  function reset(client) {
+    if (!client.backlog || client.backlog.resync) return;
+    const backlog = client.backlog;
+    const queue = backlog.queues.get('update:');
+    if (queue) {
+      backlog.size -= queue.items.size;
+      backlog.queues.delete('update:');
+    }
+    if (backlog.queues.size === 0) client.backlog = null;
+  }
+
+  function flushAll(clients) {
+    clients.forEach(client => {
+      if (client.backlog) flush(client);
+    });
+  }
+
+  function backlogged(clients) {
+    let n = 0;
+    clients.forEach(client => { if (client.backlog) n++; });
+    return n;
+  }
+
+  return { send, flush, flushAll, reset, backlogged };
+}
+
+// Ping ogni intervalMs; onEvict(client) per i client terminati. Ritorna la funzione di stop.
+function startHeartbeat(wss, { intervalMs, onEvict = () => {} }) {
+  wss.on('connection', ws => {
+    ws.isAlive = true;
+    ws.on('pong', () => { ws.isAlive = true; });
+  });
+  const timer = setInterval(() => {
+    wss.clients.forEach(ws => {
+      if (ws.isAlive === false) {
+        onEvict(ws);
+        ws.terminate();
+        return;
+      }
+      ws.isAlive = false;
+      try {
+        ws.ping();
+      } catch (err) {
+        // socket gia' chiuso: se ne accorge il giro successivo
+      }
+    });
+  }, intervalMs);
+  wss.on('close', () => clearInterval(timer));
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  createUpdateSender,
+  startHeartbeat
+};
@@ -0,0 +1,253 @@
+// lib/wsprotocol.js
+// Protocollo WebSocket di /ws, versione PROTOCOL_VERSION.
+//
+// Handshake: il client invia come primo messaggio
+//   { type: 'hello', version: 1, client: 'nome-integrazione' }
+// e riceve { type: 'welcome', version, serverVersion, user: { username, role } }; una versione non
+// supportata riceve l'errore UNSUPPORTED_VERSION e la connessione viene chiusa. Senza hello vale la
+// versione 1 (console e pagine esistenti).
+//
+// Ogni messaggio del client puo' avere requestId (stringa fino a 64 caratteri o intero): la risposta
+// lo ripete, compresi gli errori. Messaggi del client (i campi assenti valgono null):
+//   getPage        beforeId, pageSize, filtri          → page { rows, hasMore, nextBeforeId, total? }
+//   resume         lastSeq, filtri                     → replay { rows, seq } | resync { seq }
+//   acknowledge    rowIds, nodeIds, eventname, comment → acknowledge_done { rowIds, nodeIds }
+//   unacknowledge  rowIds, comment                     → unacknowledge_done { rowIds }
+//   addNote        rowId, text                         → addNote_done { rowId, entryId }
+//   getHistory     rowId                               → history { rowId, entries }
+//   closeHistory                                      → (nessuna risposta)
+// Filtri (getPage, resume): active, suppressed, archive (1 | null), severity (0-6 o lista),
+// hostname, agentip, q (ricerca, lib/search.js), timeFrom, timeTo ('YYYY-MM-DD HH:MM:SS').
+// Messaggi del server senza richiesta: init, update, node_update, node_state, history_entry, resync.
+// resync { seq, reason: 'lagging' }: il client non ha letto i messaggi push abbastanza in fretta e
+// quelli accumulati sono stati scartati (lib/wsclients.js); deve ricaricare la vista con getPage
+// (e lo stato dei nodi o lo storico aperto).
+// resync { seq, reason: 'resume_timeout' | 'resume_overflow' | 'invalid_resume' }: dopo /ws?resume=1 il
+// 'resume' non e' arrivato entro 10 secondi, era troppo in ritardo o non era valido.
+// Il server invia un ping WebSocket ogni WS_HEARTBEAT_MS: senza pong la connessione viene chiusa.
+//
+// Errori: { type: 'error', code, message, field?, requestId? } con code tra ERROR_CODES.
+const PROTOCOL_VERSION = 1;
+const SUPPORTED_VERSIONS = [1];
+
+const ERROR_CODES = {
+  BAD_JSON: 'BAD_JSON', // messaggio non JSON o non oggetto
+  UNSUPPORTED_VERSION: 'UNSUPPORTED_VERSION',
+  UNKNOWN_TYPE: 'UNKNOWN_TYPE',
+  INVALID_FIELD: 'INVALID_FIELD', // campo fuori schema (vedi field)
+  INVALID_REQUEST: 'INVALID_REQUEST', // richiesta ben formata ma non eseguibile (es. ricerca non valida)
+  FORBIDDEN: 'FORBIDDEN', // ruolo insufficiente
+  NOT_FOUND: 'NOT_FOUND',
+  UNAVAILABLE: 'UNAVAILABLE', // funzione non configurata sul server (es. archivio)
+  INTERNAL: 'INTERNAL' // errore del server (database)
+};
+
+const MAX_IDS = 5000;
+const MAX_TEXT = 2000;
+const TIME_RE = /^\d{4}-\d{2}-\d{2}( \d{2}:\d{2}(:\d{2})?)?$/;
+
+class ProtocolError extends Error {
+  constructor(code, message, field = null) {
+    super(message);
+    this.name = 'ProtocolError';
+    this.code = code;
+    this.field = field;
+  }
+}
+
+function invalid(field, message) {
+  return new ProtocolError(ERROR_CODES.INVALID_FIELD, `${field}: ${message}`, field);
+}
+
+function isAbsent(value) {
+  return value === undefined || value === null;
+}
+
+// Validatori: (valore, nome campo) → valore normalizzato, null se assente
+function integer({ min = 0, max = Number.MAX_SAFE_INTEGER, required = false } = {}) {
+  return (value, field) => {
+    if (isAbsent(value)) {
+      if (required) throw invalid(field, 'obbligatorio');
+      return null;
+    }
+    const n = typeof value === 'string' && /^-?\d+$/.test(value) ? Number(value) : value;
+    if (!Number.isSafeInteger(n)) throw invalid(field, 'intero atteso');
+    if (n < min || n > max) {
+      throw invalid(field, max === Number.MAX_SAFE_INTEGER ? `minimo ${min}` : `fuori intervallo (${min}-${max})`);
+    }
+    return n;
+  };
+}
+
+function string({ max = 255, required = false, pattern = null } = {}) {
+  return (value, field) => {
+    if (isAbsent(value) || value === '') {
+      if (required) throw invalid(field, 'obbligatorio');
+      return null;
+    }
+    if (typeof value !== 'string') throw invalid(field, 'stringa attesa');
+    if (value.length > max) throw invalid(field, `troppo lungo (max ${max} caratteri)`);
+    if (pattern && !pattern.test(value)) throw invalid(field, 'formato non valido');
+    return value;
+  };
+}
+
+// 1 / true → 1, 0 / false / assente → null (come i filtri della console)
+function flag() {
+  return (value, field) => {
+    if (isAbsent(value) || value === 0 || value === false) return null;
+    if (value === 1 || value === true) return 1;
+    throw invalid(field, '1 o null atteso');
+  };
+}
+
+function list(item, { maxItems = MAX_IDS } = {}) {
+  return (value, field) => {
+    if (isAbsent(value)) return [];
+    if (!Array.isArray(value)) throw invalid(field, 'array atteso');
+    if (value.length > maxItems) throw invalid(field, `troppi elementi (max ${maxItems})`);
+    return value.map((v, i) => {
+      const out = item(v, `${field}[${i}]`);
+      if (out === null) throw invalid(`${field}[${i}]`, 'valore mancante');
+      return out;
+    });
+  };
+}
+
+// Una severity o una lista (numeri 0-6)
+function severity() {
+  const one = integer({ min: 0, max: 6 });
+  const many = list(one, { maxItems: 7 });
+  return (value, field) => {
+    if (isAbsent(value)) return null;
+    if (Array.isArray(value)) return value.length > 0 ? many(value, field) : null;
+    if (typeof value === 'string' && value.includes(',')) return many(value.split(',').map(s => s.trim()), field);
+    return one(value, field);
+  };
+}
+
+function requestId() {
+  return (value, field) => {
+    if (isAbsent(value)) return undefined;
+    if (typeof value === 'string' && value.length > 0 && value.length <= 64) return value;
+    if (Number.isSafeInteger(value)) return value;
+    throw invalid(field, 'stringa (max 64 caratteri) o intero atteso');
+  };
+}
+
+const FILTERS = {
+  active: flag(),
+  suppressed: flag(),
+  archive: flag(),
+  severity: severity(),
+  hostname: string({ max: 255 }),
+  agentip: string({ max: 64 }),
+  q: string({ max: 500 }),
+  timeFrom: string({ max: 19, pattern: TIME_RE }),
+  timeTo: string({ max: 19, pattern: TIME_RE })
+};
+
+const rowId = integer({ min: 1 });
+
+const SCHEMAS = {
+  hello: {
+    version: integer({ min: 1, required: true }),
+    client: string({ max: 100 })
+  },
+  getPage: {
+    beforeId: integer({ min: 1 }),
+    // il massimo e' imposto dal server (MAX_PAGE_SIZE), oltre viene ridotto
+    pageSize: integer({ min: 1 }),
+    ...FILTERS
+  },
+  resume: {
+    lastSeq: integer({ min: 0 }),
+    ...FILTERS
+  },
+  acknowledge: {
+    rowIds: list(rowId),
+    nodeIds: list(rowId),
+    eventname: list(string({ max: 255 })),
+    comment: string({ max: MAX_TEXT })
+  },
+  unacknowledge: {
+    rowIds: list(rowId),
+    comment: string({ max: MAX_TEXT })
+  },
+  addNote: {
+    rowId: integer({ min: 1, required: true }),
+    text: string({ max: MAX_TEXT, required: true })
+  },
+  getHistory: {
+    rowId: integer({ min: 1, required: true })
+  },
+  closeHistory: {}
+};
+
+const readRequestId = requestId();
+
+// Testo del messaggio → { type, requestId, ...campi normalizzati }; campi non previsti ignorati
+function parseClientMessage(text) {
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch (err) {
+    throw new ProtocolError(ERROR_CODES.BAD_JSON, 'Messaggio non JSON');
+  }
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new ProtocolError(ERROR_CODES.BAD_JSON, 'Messaggio JSON non oggetto');
+  }
+  // requestId letto per primo: anche gli errori di validazione lo ripetono
+  const id = readRequestId(raw.requestId, 'requestId');
+  const schema = typeof raw.type === 'string' && Object.prototype.hasOwnProperty.call(SCHEMAS, raw.type)
+    ? SCHEMAS[raw.type]
+    : null;
+  if (!schema) {
+    const err = new ProtocolError(ERROR_CODES.UNKNOWN_TYPE, `Tipo messaggio non gestito: ${String(raw.type)}`, 'type');
+    err.requestId = id;
+    throw err;
+  }
+  const msg = { type: raw.type, requestId: id };
+  try {
+    Object.keys(schema).forEach(field => { msg[field] = schema[field](raw[field], field); });
+  } catch (err) {
+    err.requestId = id;
+    // il server deve sapere se e' stato rifiutato un resume (vedi server.js)
+    err.messageType = raw.type;
+    throw err;
+  }
+  return msg;
+}
+
+function checkVersion(version) {
+  if (!SUPPORTED_VERSIONS.includes(version)) {
+    throw new ProtocolError(
+      ERROR_CODES.UNSUPPORTED_VERSION,
+      `Versione del protocollo non supportata: ${version} (supportate: ${SUPPORTED_VERSIONS.join(', ')})`,
+      'version'
+    );
+  }
+  return version;
+}
+
+// Risposta a un messaggio del client, con il suo requestId
+function withRequestId(requestId, payload) {
+  return requestId === undefined ? payload : { ...payload, requestId };
+}
+
+function errorPayload(code, message, { field = null, requestId } = {}) {
+  const payload = { type: 'error', code, message };
+  if (field) payload.field = field;
+  return withRequestId(requestId, payload);
+}
+
+module.exports = {
+  PROTOCOL_VERSION,
+  SUPPORTED_VERSIONS,
+  ERROR_CODES,
+  ProtocolError,
+  parseClientMessage,
+  checkVersion,
+  withRequestId,
+  errorPayload
+};
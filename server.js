@@ -1,15 +1,105 @@
 // server.js
+// Server unico HTTP + WebSocket per rcv_log; l'inventario dei nodi (MySQL nodes, NetBox, file JSON)
+// si sceglie con INVENTORY (vedi lib/inventory.js).
 require('dotenv').config();
 const express = require('express');
 const http = require('http');
 const WebSocket = require('ws');
 const mysql = require('mysql2/promise');
-const { time } = require('console');
-
+const { parseSubscription, matchesSubscription, hasFilters, buildEventWhere } = require('./lib/subscription');
+const { createMibOidRouter } = require('./lib/miboid');
+const { ValidationError } = require('./lib/validation');
+const { createMibImportRouter } = require('./lib/mibimport');
+const { createTrapReceiver } = require('./lib/trapreceiver');
+const { createChangeLog } = require('./lib/changelog');
+const { createAuth, hasRole } = require('./lib/auth');
+const { createEventHistory, HistoryError } = require('./lib/history');
+const {
+  PROTOCOL_VERSION, ERROR_CODES, ProtocolError, parseClientMessage, checkVersion, withRequestId, errorPayload
+} = require('./lib/wsprotocol');
+const { createInventory } = require('./lib/inventory');
+const { createNodeCache } = require('./lib/nodecache');
+const { createExportRouter } = require('./lib/export');
+const { createActions } = require('./lib/notifyactions');
+const { createNotifier, createNotificationRouter } = require('./lib/notifications');
+const { createMaintenance, createMaintenanceRouter } = require('./lib/maintenance');
+const { createStatsRouter } = require('./lib/stats');
+const { createNodeStatus } = require('./lib/nodestatus');
+const { createRetention, createRetentionRouter, parseRetentionRules } = require('./lib/retention');
+const { createMetrics, createHealthRouter, instrumentPool } = require('./lib/metrics');
+const { createUpdateSender, startHeartbeat } = require('./lib/wsclients');
+const { createEventsRouter, createEventStream, timestampColumns } = require('./lib/events');
+const { createEscalation, createEscalationRouter } = require('./lib/escalation');
+
+const SERVER_VERSION = require('./package.json').version;
 const PORT = process.env.PORT || 3000;
 const POLL_INTERVAL_MS = parseInt(process.env.POLL_INTERVAL_MS || '2000', 10);
 const PAGE_SIZE = 50;
+// Massimo di righe per getPage, qualunque sia il pageSize richiesto dal client
+const MAX_PAGE_SIZE = parseInt(process.env.MAX_PAGE_SIZE || '500', 10);
+// Oltre questo numero di righe il conteggio dei risultati diventa una stima (EXPLAIN)
+const COUNT_LIMIT = parseInt(process.env.COUNT_LIMIT || '100000', 10);
+// Testo della ricerca con MATCH ... AGAINST (richiede l'indice di sql/011_rcv_log_fulltext.sql)
+const SEARCH_FULLTEXT = process.env.SEARCH_FULLTEXT === '1';
 const MAX_UPDATE_BATCH = 250;
+// Catch-up alla riconnessione: massimo di righe ripetibili, oltre si chiede un resync
+const MAX_REPLAY_ROWS = parseInt(process.env.MAX_REPLAY_ROWS || '2000', 10);
+// Client connesso con ?resume=1 che non invia 'resume' entro questo tempo: resync completo
+const RESUME_TIMEOUT_MS = 10 * 1000;
+// Heartbeat WebSocket: i client che non rispondono al ping entro l'intervallo successivo vengono chiusi
+const WS_HEARTBEAT_MS = parseInt(process.env.WS_HEARTBEAT_MS || '30000', 10);
+// Contropressione (lib/wsclients.js): byte in coda sul socket oltre i quali gli update di un client
+// vengono accumulati, e righe accumulate oltre le quali il client riceve un resync
+const WS_HIGH_WATER_BYTES = parseInt(process.env.WS_HIGH_WATER_BYTES || String(1024 * 1024), 10);
+const WS_MAX_BACKLOG_ROWS = parseInt(process.env.WS_MAX_BACKLOG_ROWS || '5000', 10);
+// Controllo dei client con update accumulati
+const WS_FLUSH_MS = 1000;
+// Ore di storia mantenute in rcv_log_change (pulizia ogni ora)
+const CHANGE_LOG_RETENTION_HOURS = parseInt(process.env.CHANGE_LOG_RETENTION_HOURS || '24', 10);
+const CHANGE_LOG_PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+// Trap receiver SNMP integrato: disattivo se TRAP_PORT non e' impostata
+const TRAP_PORT = process.env.TRAP_PORT ? parseInt(process.env.TRAP_PORT, 10) : null;
+const TRAP_HOST = process.env.TRAP_HOST || '0.0.0.0';
+const TRAP_COMMUNITIES = (process.env.TRAP_COMMUNITY || '').split(',').map(c => c.trim()).filter(Boolean);
+// Deduplica trap ripetute: off | eventname | formatline
+const DEDUP_MODE = process.env.DEDUP_MODE || 'off';
+// Autenticazione: utenti nella tabella users (db) o in un file JSON (file)
+const AUTH_SOURCE = process.env.AUTH_SOURCE || 'db';
+const USERS_FILE = process.env.USERS_FILE || null;
+const SESSION_TTL_HOURS = parseInt(process.env.SESSION_TTL_HOURS || '12', 10);
+// Origin ammessi per /ws oltre a quello del server, separati da virgola (es. https://noc.example.com)
+const WS_ALLOWED_ORIGINS = (process.env.WS_ALLOWED_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean);
+// Inventario nodi: mysql | netbox | file
+const INVENTORY = process.env.INVENTORY || 'mysql';
+// Ricarica completa della cache nodi (i webhook NetBox la aggiornano subito, nodo per nodo)
+const NODE_CACHE_REFRESH_MS = parseInt(process.env.NODE_CACHE_REFRESH_MS || '300000', 10);
+// Webhook dell'inventario: percorso e segreto condiviso per la firma (X-Hook-Signature di NetBox)
+const WEBHOOK_PATH = process.env.WEBHOOK_PATH || `/webhook/${INVENTORY}`;
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || null;
+// Ricalcolo completo dello stato dei nodi (tra un ricalcolo e l'altro si aggiornano i nodi toccati dal polling)
+const NODE_STATUS_RELOAD_MS = parseInt(process.env.NODE_STATUS_RELOAD_MS || '60000', 10);
+// Retention di rcv_log (vedi lib/retention.js): disattiva se RETENTION_RULES non e' impostata
+const RETENTION_RULES = parseRetentionRules(process.env.RETENTION_RULES);
+const RETENTION_MODE = process.env.RETENTION_MODE || 'table';
+const RETENTION_DIR = process.env.RETENTION_DIR || 'archive';
+const RETENTION_INTERVAL_MS = parseFloat(process.env.RETENTION_INTERVAL_HOURS || '6') * 60 * 60 * 1000;
+const RETENTION_BATCH = parseInt(process.env.RETENTION_BATCH || '1000', 10);
+// Escalation degli eventi attivi non acknowledged (policy in escalation_policy, lib/escalation.js)
+const ESCALATION_INTERVAL_MS = parseInt(process.env.ESCALATION_INTERVAL_MS || '60000', 10);
+// /healthz e /readyz falliscono se il polling non completa un ciclo da piu' di POLL_STALE_MS
+const POLL_STALE_MS = parseInt(process.env.POLL_STALE_MS || String(Math.max(30000, POLL_INTERVAL_MS * 10)), 10);
+// Token per /metrics ("Authorization: Bearer ..."); se non impostato /metrics e' pubblico
+const METRICS_TOKEN = process.env.METRICS_TOKEN || null;
+// Server SMTP per le regole di notifica con azione email
+const SMTP_CONFIG = {
+  host: process.env.SMTP_HOST || null,
+  port: parseInt(process.env.SMTP_PORT || '25', 10),
+  secure: process.env.SMTP_SECURE === 'true',
+  startTls: process.env.SMTP_STARTTLS !== 'false',
+  user: process.env.SMTP_USER || null,
+  password: process.env.SMTP_PASSWORD || null,
+  from: process.env.SMTP_FROM || null
+};
 
 const pool = mysql.createPool({
   host: process.env.DB_HOST || 'localhost',
@@ -23,330 +113,870 @@ const pool = mysql.createPool({
   dateStrings: true
 });
 
+// Metriche Prometheus (GET /metrics)
+const metrics = createMetrics();
+const metric = {
+  rowsPushed: metrics.counter('synack_ws_rows_pushed_total', 'Righe di rcv_log inviate ai client WebSocket, per tipo di messaggio', ['type']),
+  pollDuration: metrics.histogram('synack_poll_duration_seconds', 'Durata di un ciclo del polling di rcv_log_change'),
+  queryDuration: metrics.histogram('synack_db_query_duration_seconds', 'Durata delle query MySQL per statement', ['statement']),
+  acks: metrics.counter('synack_acks_total', 'Righe di rcv_log acknowledged o riattivate dagli operatori', ['action']),
+  errors: metrics.counter('synack_errors_total', 'Errori per componente', ['component']),
+  backpressure: metrics.counter('synack_ws_backpressure_rows_total',
+    'Righe di update accumulate per client lenti e poi inviate in un solo messaggio', ['action']),
+  resyncs: metrics.counter('synack_ws_resync_total', 'Resync inviati ai client, per motivo', ['reason']),
+  evictions: metrics.counter('synack_ws_evicted_total', 'Client WebSocket terminati, per motivo', ['reason']),
+  escalations: metrics.counter('synack_escalations_total', 'Eventi scalati dalle policy di escalation')
+};
+instrumentPool(pool, metric.queryDuration);
+// stato del polling per /healthz, /readyz e le metriche
+const pollState = { lastRunAt: null, lastSuccessAt: null };
+
+const inventory = createInventory({
+  type: INVENTORY,
+  pool,
+  // PostgreSQL di NetBox (INVENTORY=netbox)
+  pgConfig: {
+    host: process.env.PG_HOST || 'localhost',
+    port: parseInt(process.env.PG_PORT || '5432', 10),
+    user: process.env.PG_USER,
+    password: process.env.PG_PASSWORD,
+    database: process.env.PG_DATABASE
+  },
+  file: process.env.INVENTORY_FILE || null
+});
+
+// Nodi per id/IP: risoluzione trap, site sulle righe inviate alla console
+const nodeCache = createNodeCache(inventory);
+// Ricerca q di getPage/export: site e type risolti con l'inventario
+const SEARCH_OPTIONS = { nodeCache, fullText: SEARCH_FULLTEXT };
+
+// Stato dei nodi dagli eventi attivi (nodes.html)
+const nodeStatus = createNodeStatus({ pool });
+
+const auth = createAuth({
+  pool,
+  source: AUTH_SOURCE,
+  usersFile: USERS_FILE,
+  secret: process.env.SESSION_SECRET,
+  sessionTtlHours: SESSION_TTL_HOURS,
+  allowedOrigins: WS_ALLOWED_ORIGINS
+});
+
 const app = express();
-app.use(express.static('public'));
 
-// API per ottenere i dati della tabella mib_oid
-app.get('/miboid', async (req, res) => {
-  try {
-    const [rows] = await pool.query('SELECT * FROM mib_oid');
-    res.json(rows);
-  } catch (err) {
-    console.error('Errore /api/mibsobj:', err);
-    res.status(500).json({ error: 'Errore nel recupero dei dati' });
+// Webhook dell'inventario (solo NetBox), sulla porta principale. Con WEBHOOK_SECRET la richiesta
+// e' autenticata dalla firma, altrimenti serve un token API ("Authorization: Bearer", ruolo operator).
+if (inventory.parseWebhook) {
+  const webhookAuth = WEBHOOK_SECRET
+    ? [verifyWebhookSignature]
+    : [auth.requireAuth(), auth.requireRole('operator')];
+  if (!WEBHOOK_SECRET) console.warn(`[WEBHOOK] WEBHOOK_SECRET non impostata: ${WEBHOOK_PATH} richiede un token API`);
+
+  // rawBody: la firma e' calcolata sul corpo originale
+  const webhookJson = express.json({ verify: (req, res, buf) => { req.rawBody = buf; } });
+  app.post(WEBHOOK_PATH, webhookJson, ...webhookAuth, async (req, res) => {
+    const event = inventory.parseWebhook(req.body);
+    if (!event) return res.sendStatus(200);
+    try {
+      await handleInventoryEvent(event);
+      res.sendStatus(200);
+    } catch (err) {
+      // 5xx: NetBox ritenta la consegna
+      console.error(`[WEBHOOK] Errore gestione evento ${event.action} nodo ${event.nodeId}:`, err);
+      metric.errors.inc({ component: 'webhook' });
+      res.sendStatus(500);
+    }
+  });
+}
+
+function verifyWebhookSignature(req, res, next) {
+  if (!inventory.verifyWebhook(req, WEBHOOK_SECRET)) {
+    console.warn(`[WEBHOOK] Firma non valida da ${req.ip}`);
+    return res.status(401).json({ detail: 'Firma webhook non valida' });
   }
-});
-// API per ottenere i dati della tabella nodes (escludendo id)
+  next();
+}
+
+// Sonde di monitoraggio, senza sessione: /healthz, /readyz, /metrics
+app.use(createHealthRouter({
+  metrics,
+  checks: {
+    mysql: () => pool.query('SELECT 1'),
+    [`inventory_${inventory.name}`]: () => inventory.ping()
+  },
+  pollState: () => pollState,
+  staleMs: POLL_STALE_MS,
+  token: METRICS_TOKEN
+}));
+
+// login/logout pubblici, tutto il resto (pagine, API, WebSocket) richiede una sessione
+app.use(auth.router);
+app.use(auth.requireAuth());
+app.use(express.static('public'));
+
+// Import dei file MIB in mib_oid: modifiche solo per admin
+app.use(createMibImportRouter(pool, { canEdit: auth.requireRole('admin') }));
+// API CRUD della tabella mib_oid (usata da miboid.html): modifiche solo per admin
+app.use(createMibOidRouter(pool, { canEdit: auth.requireRole('admin') }));
+
+// Regole di notifica (webhook, email, syslog) sui nuovi eventi: modifiche e test solo per admin
+const actions = createActions({ smtp: SMTP_CONFIG });
+const notifier = createNotifier({ pool, actions });
+app.use(createNotificationRouter(notifier, { canEdit: auth.requireRole('admin') }));
+
+// Finestre di manutenzione: le trap dei nodi coperti sono salvate come soppresse
+const maintenance = createMaintenance({ pool, nodeCache });
+app.use(createMaintenanceRouter(maintenance, { nodeCache, canEdit: auth.requireRole('operator') }));
+
+// API per ottenere i nodi dell'inventario (escludendo id)
 app.get('/api/nodes', async (req, res) => {
   try {
-    const [rows] = await pool.query(`
-      SELECT 
-        node_name, 
-        target, 
-        site, 
-        node_type, 
-        node_model, 
-        poll_interval, 
-        poll_retry, 
-        poll_timeout
-      FROM nodes
-    `);
-    res.json(rows);
+    const nodes = await inventory.listNodes();
+    res.json(nodes.map(({ id, ...node }) => node));
   } catch (err) {
     console.error('Errore /api/nodes:', err);
     res.status(500).json({ error: 'Errore nel recupero dei dati' });
   }
 });
-const server = http.createServer(app);
-const wss = new WebSocket.Server({ server, path: '/ws' });
 
-let lastMaxId = 0;
-let lastUpdatetime = '1970-01-01 00:00:00';
+// Nodi dell'inventario con lo stato calcolato dagli eventi attivi (id incluso: lo usano i push 'node_state')
+app.get('/api/nodes/status', (req, res) => {
+  res.json(nodeCache.list().map(node => {
+    const { node_id, ...state } = nodeStatus.get(node.id);
+    return { ...node, state };
+  }));
+});
 
-async function initCheckpoints() {
-  try {
-    const [rows] = await pool.query(
-      `SELECT MAX(id) AS maxId, MAX(updatetime) AS maxUpdatetime FROM rcv_log`
-    );
-    if (rows && rows[0]) {
-      lastMaxId = rows[0].maxId || 0;
-      lastUpdatetime = rows[0].maxUpdatetime || lastUpdatetime;
-      console.log('Init checkpoints:', { lastMaxId, lastUpdatetime });
-    }
-  } catch (err) {
-    console.error('Errore initCheckpoints', err);
-  }
-}
+const server = http.createServer(app);
+const wss = new WebSocket.Server({ server, path: '/ws', verifyClient: auth.verifyClient });
 
-// Ottieni pagina con optional filtro severity (se severityFilter != null filtra anche active=1)
-// Ottieni pagina con optional filtri: severity, hostname (LIKE), agentip (LIKE)
-async function fetchPage(offset = 0, pageSize = PAGE_SIZE, activeOnly = null, severityFilter = null, hostnameFilter = null, ipFilter = null, timeFrom = null, timeTo = null ) {
-  let q = `
-    SELECT 
-      id, 
-      node_id, 
-      active, 
-      eventname, 
-      severity, 
-      utctime,
-      DATE_FORMAT(utctime, '%d-%m-%Y %H:%i:%s') AS utctime,
-      DATE_FORMAT(traptime, '%d-%m-%Y %H:%i:%s') AS traptime,
-      hostname, 
-      agentip, 
-      formatline
-    FROM rcv_log
-    WHERE 1=1
-  `;
-  const params = [];
-
-  // Filtro activeOnly
-  if (activeOnly === true) {
-    q += ' AND active = 1';
+startHeartbeat(wss, {
+  intervalMs: WS_HEARTBEAT_MS,
+  onEvict: ws => {
+    console.warn(`[WS] Client ${ws.user ? ws.user.username : '-'} non risponde al ping, connessione chiusa`);
+    metric.evictions.inc({ reason: 'heartbeat' });
   }
+});
 
-  // Filtro severity + active=1
-  if (severityFilter !== null && !isNaN(Number(severityFilter))) {
-    q += ' AND severity = ?';
-    params.push(severityFilter);
-    console.debug(`[DEBUG] Filtro severity attivo: ${severityFilter}`);
+// Messaggi push ai client con contropressione: i client lenti ricevono gli elementi accumulati o un resync
+const updateSender = createUpdateSender({
+  highWaterBytes: WS_HIGH_WATER_BYTES,
+  maxBacklogRows: WS_MAX_BACKLOG_ROWS,
+  currentSeq: () => changeLog.currentSeq(),
+  onEvent: (action, n) => {
+    if (action === 'resync') metric.resyncs.inc({ reason: 'lagging' });
+    else metric.backpressure.inc({ action }, n);
   }
+});
 
-  // Filtro hostname LIKE
-  if (hostnameFilter !== null && hostnameFilter !== undefined && hostnameFilter !== '') {
-    q += ' AND hostname LIKE ?';
-    params.push(`%${hostnameFilter}%`);
-    console.debug(`[DEBUG] Filtro hostname attivo: ${hostnameFilter}`);
-  }
+metrics.gauge('synack_ws_clients', 'Client WebSocket connessi', () => wss.clients.size);
+metrics.gauge('synack_ws_backlogged_clients', 'Client WebSocket con messaggi accumulati', () => updateSender.backlogged(wss.clients));
+metrics.gauge('synack_poll_last_success_timestamp_seconds', 'Ora dell\'ultimo ciclo di polling riuscito',
+  () => (pollState.lastSuccessAt ? pollState.lastSuccessAt / 1000 : null));
+metrics.gauge('synack_inventory_nodes', 'Nodi nella cache dell\'inventario', () => nodeCache.list().length);
+
+// Colonne rcv_log inviate ai client con gli update (alias r per il join con rcv_log_change)
+const CHANGE_COLUMNS = `
+  r.id,
+  r.node_id,
+  r.active,
+  r.eventname,
+  r.severity,
+  DATE_FORMAT(r.utctime, '%d-%m-%Y %H:%i:%s') AS utctime,
+  DATE_FORMAT(r.traptime, '%d-%m-%Y %H:%i:%s') AS traptime,
+  r.hostname,
+  r.agentip,
+  r.formatline,
+  r.occurrences,
+  DATE_FORMAT(r.first_seen, '%d-%m-%Y %H:%i:%s') AS first_seen,
+  DATE_FORMAT(r.last_seen, '%d-%m-%Y %H:%i:%s') AS last_seen,
+  r.suppressed,
+  r.maintenance_id,
+  r.escalated,
+  r.escalation_id,
+  DATE_FORMAT(r.escalated_at, '%d-%m-%Y %H:%i:%s') AS escalated_at,
+  r.severity_before,
+  ${timestampColumns('r.')}`;
+
+// Cursore di questa istanza sul change log di rcv_log
+const changeLog = createChangeLog({ pool, columns: CHANGE_COLUMNS });
+
+// Storico ack/unack/note degli operatori (rcv_log_history)
+const history = createEventHistory(pool);
+
+// site del nodo (dalla cache inventario) sulle righe inviate ai client
+// hostname e agentip restano quelli ricevuti con la trap; nome e IP attuali del nodo sono node_name e node_ip
+function withNodeInfo(rows) {
+  rows.forEach(r => {
+    const node = nodeCache.get(r.node_id);
+    r.site = node ? node.site : null;
+    r.node_name = node ? node.node_name : null;
+    r.node_ip = node ? node.target : null;
+  });
+  return rows;
+}
 
-  // Filtro agentip = (match esatto)
-  if (ipFilter !== null && ipFilter !== '') {
-    q += ' AND agentip = ?';
-    params.push(ipFilter);
-    console.debug(`[DEBUG] Filtro IP attivo: ${ipFilter}`);
-  }
+// Colonne rcv_log inviate ai client con init/page (stesso formato date di CHANGE_COLUMNS; le colonne
+// <campo>_ts sono per le date ISO dell'API REST, lib/events.js)
+const EVENT_COLUMNS = `
+  id,
+  node_id,
+  active,
+  eventname,
+  severity,
+  DATE_FORMAT(utctime, '%d-%m-%Y %H:%i:%s') AS utctime,
+  DATE_FORMAT(traptime, '%d-%m-%Y %H:%i:%s') AS traptime,
+  hostname,
+  agentip,
+  formatline,
+  occurrences,
+  DATE_FORMAT(first_seen, '%d-%m-%Y %H:%i:%s') AS first_seen,
+  DATE_FORMAT(last_seen, '%d-%m-%Y %H:%i:%s') AS last_seen,
+  suppressed,
+  maintenance_id,
+  escalated,
+  escalation_id,
+  DATE_FORMAT(escalated_at, '%d-%m-%Y %H:%i:%s') AS escalated_at,
+  severity_before,
+  ${timestampColumns()}`;
+
+// archive: stessa ricerca su rcv_log_archive (solo con RETENTION_MODE=table)
+function eventTable(sub) {
+  return sub.archive ? retention.archiveTable : 'rcv_log';
+}
 
-  // Filtro intervallo temporale traptime
-  if (timeFrom !== null && timeTo !== null) {
-    q += " AND traptime BETWEEN ? AND ?";
-    params.push(timeFrom, timeTo);
-    console.debug(`[DEBUG] Filtro traptime attivo: from ${timeFrom} to ${timeTo}`);
-  }
+// Ottieni pagina con i filtri della sottoscrizione: active, severity, hostname (LIKE), agentip, traptime.
+// Paginazione keyset: righe con id < beforeId (null = dalla piu' recente), cosi' gli inserimenti
+// arrivati nel frattempo non spostano le pagine successive (niente duplicati o buchi).
+async function fetchPage(beforeId = null, pageSize = PAGE_SIZE, sub = parseSubscription()) {
+  const { where, params } = buildEventWhere(sub);
+  const cursor = beforeId === null ? '' : ' AND id < ?';
+  const q = `SELECT ${EVENT_COLUMNS} FROM ${eventTable(sub)} ${where}${cursor} ORDER BY id DESC LIMIT ?`;
+  // una riga in piu' per sapere se esiste la pagina successiva
+  const [rows] = await pool.query(q, [...params, ...(beforeId === null ? [] : [beforeId]), pageSize + 1]);
+  const hasMore = rows.length > pageSize;
+  if (hasMore) rows.pop();
+  return {
+    rows: withNodeInfo(rows),
+    hasMore,
+    nextBeforeId: rows.length > 0 ? rows[rows.length - 1].id : beforeId
+  };
+}
+
+// Numero di righe per i filtri: esatto fino a COUNT_LIMIT, oltre stimato dal piano di esecuzione
+async function countEvents(sub = parseSubscription()) {
+  const { where, params } = buildEventWhere(sub);
+  const table = eventTable(sub);
+  const [rows] = await pool.query(
+    `SELECT COUNT(*) AS n FROM (SELECT 1 FROM ${table} ${where} LIMIT ?) t`,
+    [...params, COUNT_LIMIT + 1]
+  );
+  const n = Number(rows[0].n);
+  if (n <= COUNT_LIMIT) return { total: n, totalEstimated: false };
+  const [plan] = await pool.query(`EXPLAIN SELECT id FROM ${table} ${where}`, params);
+  const estimate = plan.reduce((max, r) => Math.max(max, Number(r.rows) || 0), 0);
+  return { total: Math.max(estimate, n), totalEstimated: true };
+}
 
+// Prima pagina con conteggio (init e getPage senza cursore)
+async function fetchFirstPage(pageSize, sub) {
+  const [page, count] = await Promise.all([fetchPage(null, pageSize, sub), countEvents(sub)]);
+  return { ...page, ...count };
+}
 
-  q += ' ORDER BY id DESC LIMIT ? OFFSET ?';
-  params.push(pageSize, offset);
-  // console.debug(`[DEBUG] fetchPage query: ${q} con params:`, params); 
-  const [rows] = await pool.query(q, params);
-  return rows;
+function parsePageSize(value) {
+  const n = parseInt(value, 10);
+  if (isNaN(n) || n < 1) return PAGE_SIZE;
+  return Math.min(n, MAX_PAGE_SIZE);
 }
 
-// Ottieni nuove righe e aggiornamenti
-async function fetchChanges() {
-  // Recupera tutte le righe nuove (id > lastMaxId)
-  const newRowsQuery = `
-    SELECT 
-      id, 
-      node_id, 
-      active, 
-      eventname, 
-      severity, 
-      DATE_FORMAT(utctime, '%d-%m-%Y %H:%i:%s') AS utctime,
-      DATE_FORMAT(traptime, '%d-%m-%Y %H:%i:%s') AS traptime,
-      hostname, 
-      agentip, 
-      formatline, 
-      updated
-    FROM rcv_log
-    WHERE id > ?
-    ORDER BY id ASC`;
-  const [newRows] = await pool.query(newRowsQuery, [lastMaxId]);
-
-  // Recupera tutte le righe aggiornate (updated = 1)
-  const updatedRowsQuery = `
-    SELECT 
-      id, 
-      node_id, 
-      active, 
-      eventname, 
-      severity, 
-      DATE_FORMAT(utctime, '%d-%m-%Y %H:%i:%s') AS utctime,
-      DATE_FORMAT(traptime, '%d-%m-%Y %H:%i:%s') AS traptime,
-      hostname, 
-      agentip, 
-      formatline, 
-      updated
-    FROM rcv_log
-    WHERE updated = 1
-    ORDER BY id ASC`;
-  const [updatedRows] = await pool.query(updatedRowsQuery);
-
-  if (newRows.length > 0 || updatedRows.length > 0) {
-    console.debug(`[DEBUG] FetchChanges: nuove=${newRows.length}, aggiornate=${updatedRows.length}`);
+// Retention: stato per tutti, esecuzione manuale solo per admin
+const retention = createRetention({
+  pool,
+  rules: RETENTION_RULES,
+  mode: RETENTION_MODE,
+  dir: RETENTION_DIR,
+  batchSize: RETENTION_BATCH
+});
+app.use(createRetentionRouter(retention, { canRun: auth.requireRole('admin') }));
+
+// Export CSV/JSON/NDJSON con gli stessi filtri di fetchPage
+app.use(createExportRouter({ pool, nodeCache, columns: EVENT_COLUMNS, archiveTable: () => retention.archiveTable, fullText: SEARCH_FULLTEXT }));
+
+// Statistiche aggregate (dashboard.html)
+app.use(createStatsRouter({ pool, nodeCache }));
+
+// Escalation: policy per tutti in lettura, modifiche ed esecuzione manuale solo per admin.
+// Gli eventi scalati arrivano alla console con il change log; qui solo storico live e metriche.
+const escalation = createEscalation({
+  pool,
+  nodeCache,
+  actions,
+  onEscalated: rowIds => {
+    metric.escalations.inc({}, rowIds.length);
+    sendHistoryToWatchers(rowIds, 'escalate').catch(err => console.error('[ESCALATION] Errore invio storico:', err));
   }
+});
+app.use(createEscalationRouter(escalation, { canEdit: auth.requireRole('admin') }));
+
+// Stream SSE del flusso 'update' per chi non usa il WebSocket (GET /api/events/stream)
+const eventStream = createEventStream({
+  replay: lastSeq => changeLog.since(lastSeq, MAX_REPLAY_ROWS).then(missed => (missed ? { ...missed, rows: withNodeInfo(missed.rows) } : null)),
+  currentSeq: () => changeLog.currentSeq(),
+  heartbeatMs: WS_HEARTBEAT_MS,
+  highWaterBytes: WS_HIGH_WATER_BYTES,
+  onEvict: reason => metric.evictions.inc({ reason })
+});
+metrics.gauge('synack_sse_clients', 'Client connessi allo stream SSE', () => eventStream.size());
+
+// Evento per id, da rcv_log o dall'archivio della retention
+async function getEvent(id) {
+  const [rows] = await pool.query(`SELECT ${EVENT_COLUMNS} FROM rcv_log WHERE id = ?`, [id]);
+  if (rows.length > 0) return withNodeInfo(rows)[0];
+  if (!retention.archiveTable) return null;
+  const [archived] = await pool.query(`SELECT ${EVENT_COLUMNS} FROM ${retention.archiveTable} WHERE id = ?`, [id]);
+  return archived.length > 0 ? { ...withNodeInfo(archived)[0], archived: true } : null;
+}
 
-  return { newRows, updatedRows };
+// API REST degli eventi (lib/events.js): stessi filtri e paginazione di getPage, ack come da /ws
+app.use(createEventsRouter({
+  fetchPage,
+  fetchFirstPage,
+  parsePageSize,
+  getEvent,
+  listHistory: id => history.list(id),
+  acknowledge: ({ rowIds, nodeIds, comment }, username) => acknowledgeEvents(rowIds, nodeIds, username, comment),
+  stream: eventStream,
+  searchOptions: SEARCH_OPTIONS,
+  archiveTable: () => retention.archiveTable,
+  canAck: auth.requireRole('operator')
+}));
+
+// Catch-up annullato (resume mai arrivato o troppi update in attesa): la console ricarica la vista.
+// Un 'resume' arrivato dopo riceve a sua volta resync.
+function abortResume(ws, reason) {
+  console.warn(`[RESUME] ${ws.user ? ws.user.username : '-'}: catch-up annullato (${reason}), resync completo`);
+  clearTimeout(ws.resumeTimer);
+  ws.resuming = false;
+  ws.resumeAborted = true;
+  ws.pendingRows = [];
+  ws.send(JSON.stringify({ type: 'resync', seq: changeLog.currentSeq(), reason }));
+  metric.resyncs.inc({ reason });
 }
 
-function sendChunksToAllClients(wsServer, rows, type = 'update') {
+// Invia le righe a tutti i client, applicando la sottoscrizione (filtri getPage) di ciascuno.
+// newIds: id delle righe inserite, le altre sono aggiornamenti di righe esistenti
+// seq: posizione nel change log dopo questo batch, usata dal client per il resume
+function sendChunksToAllClients(wsServer, rows, type = 'update', newIds = new Set(), seq = changeLog.currentSeq()) {
   if (!rows || rows.length === 0) return;
   let totalSent = 0;
+  let totalQueued = 0;
   let totalClients = 0;
 
   let start = 0;
   while (start < rows.length) {
     const chunk = rows.slice(start, start + MAX_UPDATE_BATCH);
-    const payload = JSON.stringify({ type, rows: chunk });
+    // senza filtri: stesso payload per tutti, con o senza le righe soppresse (manutenzione)
+    let payload = null;
+    let visiblePayload = null;
+    let visible = null;
     wsServer.clients.forEach(client => {
-      if (client.readyState === WebSocket.OPEN) {
+      // i client in attesa del replay li ricevono insieme al replay (vedi 'resume')
+      // oltre WS_MAX_BACKLOG_ROWS righe in attesa si rinuncia al replay, come per i client lenti
+      if (client.readyState === WebSocket.OPEN && client.resuming) {
+        if (client.pendingRows.length + chunk.length > WS_MAX_BACKLOG_ROWS) {
+          abortResume(client, 'resume_overflow');
+        } else {
+          chunk.forEach(r => client.pendingRows.push({ row: r, isNew: newIds.has(r.id) }));
+        }
+      } else if (client.readyState === WebSocket.OPEN) {
         totalClients++;
-        // Se il client ha un filtro attivo, invia tutte le righe con quella severity (indipendentemente da active)
-        if (client.severityFilter === null || client.severityFilter === undefined) {
-          client.send(payload);
-          totalSent += chunk.length;
+        let clientRows;
+        let shared = null;
+        if (!hasFilters(client.subscription) && client.subscription.showSuppressed) {
+          payload = payload || JSON.stringify({ type, rows: chunk, seq });
+          clientRows = chunk;
+          shared = payload;
+        } else if (!hasFilters(client.subscription)) {
+          visible = visible || chunk.filter(r => Number(r.suppressed) !== 1);
+          if (visible.length > 0) visiblePayload = visiblePayload || JSON.stringify({ type, rows: visible, seq });
+          clientRows = visible;
+          shared = visiblePayload;
         } else {
-          const filtered = chunk.filter(r => Number(r.severity) === Number(client.severityFilter));
-          if (filtered.length > 0) {
-            client.send(JSON.stringify({ type, rows: filtered }));
-            totalSent += filtered.length;
-          }
+          clientRows = chunk.filter(r => matchesSubscription(r, client.subscription, newIds.has(r.id)));
+        }
+        if (clientRows.length > 0) {
+          // il JSON condiviso viene serializzato una volta sola per tutti i client senza filtri
+          if (updateSender.send(client, { type, items: clientRows, extra: { seq }, payload: shared })) totalSent += clientRows.length;
+          else totalQueued += clientRows.length;
         }
       }
     });
     start += MAX_UPDATE_BATCH;
   }
 
-  console.debug(`[DEBUG] Inviate ${totalSent} righe (${type}) a ${totalClients} client connessi`);
+  metric.rowsPushed.inc({ type }, totalSent);
+  console.debug(`[DEBUG] Inviate ${totalSent} righe (${type}) a ${totalClients} client connessi` +
+    (totalQueued > 0 ? `, ${totalQueued} accumulate per client lenti` : ''));
 }
 
 async function pollingLoop() {
+  const done = metric.pollDuration.startTimer();
   try {
-    const { newRows, updatedRows } = await fetchChanges();
-    const combined = [...newRows, ...updatedRows];
+    const { rows, newIds, seq } = await changeLog.poll();
+    withNodeInfo(rows);
+    // righe nuove inserite fuori dal trap receiver e coperte da una finestra di manutenzione
+    const newRows = rows.filter(r => newIds.has(r.id));
+    if (newRows.length > 0) {
+      try {
+        const flagged = await maintenance.flagRows(newRows);
+        if (flagged > 0) console.log(`[MAINT] ${flagged} nuove righe soppresse (manutenzione)`);
+      } catch (err) {
+        // il cursore e' gia' avanzato: le righe vanno comunque inviate
+        console.error('[MAINT] Errore verifica finestre di manutenzione:', err);
+        metric.errors.inc({ component: 'maintenance' });
+      }
+    }
 
-    if (combined.length > 0) {
-      const map = new Map();
-      combined.forEach(r => map.set(String(r.id), r));
-      const uniqueRows = Array.from(map.values());
+    if (rows.length > 0) {
+      console.debug(`[DEBUG] FetchChanges: nuove=${newIds.size}, aggiornate=${rows.length - newIds.size}`);
 
       // Invia ai client
-      sendChunksToAllClients(wss, uniqueRows, 'update');
-
-      // Aggiorna lastMaxId
-      const maxIdInCombined = Math.max(...uniqueRows.map(r => r.id || 0), lastMaxId);
-      lastMaxId = Math.max(lastMaxId, maxIdInCombined);
+      sendChunksToAllClients(wss, rows, 'update', newIds, seq);
+      eventStream.publish(rows, newIds, seq);
+
+      // Notifiche sulle sole righe nuove non soppresse, senza rallentare il polling
+      const toNotify = newRows.filter(r => Number(r.suppressed) !== 1);
+      if (toNotify.length > 0) {
+        notifier.handleEvents(toNotify)
+          .catch(err => {
+            console.error('[NOTIFY] Errore valutazione regole:', err);
+            metric.errors.inc({ component: 'notify' });
+          });
+      }
 
-      console.debug(`[DEBUG] Polling completato: totali unici=${uniqueRows.length}, lastMaxId=${lastMaxId}`);
+      // Stato dei nodi toccati: nuovi eventi, clear, acknowledge
+      await refreshNodeStatus(rows.map(r => r.node_id));
 
-      // Reset del flag updated sulle righe inviate
-      const idsToReset = uniqueRows.map(r => r.id);
-      if (idsToReset.length > 0) {
-        const placeholders = idsToReset.map(() => '?').join(',');
-        await pool.query(`UPDATE rcv_log SET updated = 0 WHERE id IN (${placeholders})`, idsToReset);
-      }
+      console.debug(`[DEBUG] Polling completato: totali unici=${rows.length}, seq=${seq}`);
     }
+    pollState.lastSuccessAt = Date.now();
   } catch (err) {
     console.error('Errore nel pollingLoop:', err);
+    metric.errors.inc({ component: 'poll' });
   } finally {
+    done();
+    pollState.lastRunAt = Date.now();
     setTimeout(pollingLoop, POLL_INTERVAL_MS);
   }
 }
 
-wss.on('connection', async function connection(ws, req) {
-  console.log('Client connesso');
-
-  // salva filtro severity sul client, default null (nessun filtro)
-  ws.severityFilter = null;
-
+async function pruneChangeLog() {
   try {
-    console.log('Fetching initial page for new client');
-    const rows = await fetchPage(0, PAGE_SIZE, ws.severityFilter);
-    ws.send(JSON.stringify({ type: 'init', rows }));
+    const deleted = await changeLog.prune(CHANGE_LOG_RETENTION_HOURS);
+    if (deleted > 0) console.log(`[CHANGELOG] Eliminati ${deleted} change piu' vecchi di ${CHANGE_LOG_RETENTION_HOURS} ore`);
   } catch (err) {
-    console.error('Errore fetching initial page:', err);
-    ws.send(JSON.stringify({ type: 'error', message: 'Errore caricamento iniziale' }));
+    console.error('Errore pulizia rcv_log_change:', err);
+    metric.errors.inc({ component: 'changelog' });
+  }
+}
+
+// Acknowledge dalla console (/ws) o dall'API REST: rcv_log → active = 0 con utente/commento nello
+// storico, stato dei nodi nell'inventario → node_state = 0. Ritorna gli id effettivamente acknowledged.
+async function acknowledgeEvents(rowIds, nodeIds, username, comment) {
+  const acked = await history.acknowledge(rowIds, username, comment);
+  await sendHistoryToWatchers(acked, 'ack');
+  metric.acks.inc({ action: 'ack' }, acked.length);
+  await inventory.acknowledgeNodes(nodeIds);
+  return acked;
+}
+
+// Nuove voci di storico ai client con il pannello dettaglio aperto sull'evento
+function broadcastHistory(entries) {
+  if (entries.length === 0) return;
+  wss.clients.forEach(client => {
+    if (client.readyState !== WebSocket.OPEN || !client.historyRowId) return;
+    const mine = entries.filter(e => Number(e.rcv_id) === client.historyRowId);
+    if (mine.length > 0) updateSender.send(client, { type: 'history_entry', items: mine, extra: { rowId: client.historyRowId } });
+  });
+}
+
+async function sendHistoryToWatchers(rowIds, action) {
+  let watched = false;
+  wss.clients.forEach(client => {
+    if (client.historyRowId && rowIds.includes(client.historyRowId)) watched = true;
+  });
+  if (watched) broadcastHistory(await history.latest(rowIds, action));
+}
+
+wss.on('connection', async function connection(ws, req) {
+  // utente autenticato in verifyClient
+  ws.user = req.user;
+  console.log(`Client connesso: ${ws.user.username} (${ws.user.role})`);
+
+  // sottoscrizione del client: filtri dell'ultimo getPage, default nessun filtro
+  ws.subscription = parseSubscription();
+  // versione del protocollo (lib/wsprotocol.js): quella corrente finche' il client non invia hello
+  ws.protocolVersion = PROTOCOL_VERSION;
+
+  // /ws?resume=1: il client si sta riconnettendo e inviera' 'resume' al posto della pagina iniziale
+  const params = new URL(req.url, 'http://localhost').searchParams;
+  ws.resuming = params.get('resume') === '1';
+  ws.resumeAborted = false;
+  ws.pendingRows = [];
+  if (ws.resuming) {
+    ws.resumeTimer = setTimeout(() => {
+      if (ws.resuming && ws.readyState === WebSocket.OPEN) abortResume(ws, 'resume_timeout');
+    }, RESUME_TIMEOUT_MS);
+  }
+
+  if (!ws.resuming) {
+    try {
+      console.log('Fetching initial page for new client');
+      const seq = changeLog.currentSeq();
+      const page = await fetchFirstPage(PAGE_SIZE, ws.subscription);
+      ws.send(JSON.stringify({ type: 'init', ...page, seq }));
+      metric.rowsPushed.inc({ type: 'init' }, page.rows.length);
+    } catch (err) {
+      console.error('Errore fetching initial page:', err);
+      metric.errors.inc({ component: 'ws' });
+      ws.send(JSON.stringify(errorPayload(ERROR_CODES.INTERNAL, 'Errore caricamento iniziale')));
+    }
   }
 
   ws.on('message', async function incoming(message) {
+    // messaggio validato (lib/wsprotocol.js); requestId viene ripetuto in ogni risposta
+    let msg = {};
+    const reply = payload => ws.send(JSON.stringify(withRequestId(msg.requestId, payload)));
+    const replyError = (code, message, field = null) =>
+      ws.send(JSON.stringify(errorPayload(code, message, { field, requestId: msg.requestId })));
+
     try {
-      const msg = JSON.parse(message.toString());
-      if (msg.type === 'getPage') {
-        const offset = parseInt(msg.offset || 0, 10);
-        const pageSize = parseInt(msg.pageSize || PAGE_SIZE, 10);
-
-        // ===== nuova logica robusta per interpretare severity
-        if ('severity' in msg) {
-          if (msg.severity === null) {
-            ws.severityFilter = null; // reset esplicito
+      msg = parseClientMessage(message.toString());
+      if (msg.type === 'hello') {
+        ws.protocolVersion = checkVersion(msg.version);
+        ws.clientName = msg.client;
+        console.log(`[WS] ${ws.user.username}: protocollo v${ws.protocolVersion}${msg.client ? ` (${msg.client})` : ''}`);
+        reply({
+          type: 'welcome',
+          version: ws.protocolVersion,
+          serverVersion: SERVER_VERSION,
+          user: { username: ws.user.username, role: ws.user.role }
+        });
+
+      } else if (msg.type === 'getPage') {
+        // beforeId: id dell'ultima riga gia' ricevuta (null = prima pagina, con il conteggio)
+        const beforeId = msg.beforeId;
+        const pageSize = parsePageSize(msg.pageSize);
+
+        // Il set completo di filtri diventa la sottoscrizione per i push 'update'
+        let sub;
+        try {
+          sub = parseSubscription(msg, SEARCH_OPTIONS);
+        } catch (err) {
+          if (!(err instanceof ValidationError)) throw err;
+          // ricerca non valida: resta la sottoscrizione precedente
+          replyError(ERROR_CODES.INVALID_REQUEST, err.message, 'q');
+          return;
+        }
+        if (sub.archive && !retention.archiveTable) {
+          replyError(ERROR_CODES.UNAVAILABLE, 'Archivio non consultabile (RETENTION_MODE=table richiesto)', 'archive');
+          return;
+        }
+        ws.subscription = sub;
+        // la prima pagina ricarica la vista: gli update accumulati con i filtri precedenti non servono piu'
+        if (beforeId === null) updateSender.reset(ws);
+
+        const page = beforeId === null ? await fetchFirstPage(pageSize, sub) : await fetchPage(beforeId, pageSize, sub);
+
+        console.debug(`[DEBUG] getPage: beforeId=${beforeId}, pageSize=${pageSize}, activeOnly=${sub.activeOnly}, severityFilter=${sub.severities}, hostnameFilter=${sub.hostname}, ipFilter=${sub.agentip}, timeFrom=${sub.timeFrom}, timeTo=${sub.timeTo}, q=${sub.search ? sub.search.query : null} → righe=${page.rows.length}, hasMore=${page.hasMore}` +
+          (page.total === undefined ? '' : `, totale=${page.totalEstimated ? '~' : ''}${page.total}`));
+
+        reply({ type: 'page', beforeId, ...page });
+        metric.rowsPushed.inc({ type: 'page' }, page.rows.length);
+
+      } else if (msg.type === 'resume') {
+        // Riconnessione: ripristina i filtri e ripete gli update persi dopo lastSeq
+        let sub;
+        try {
+          sub = parseSubscription(msg, SEARCH_OPTIONS);
+        } catch (err) {
+          if (!(err instanceof ValidationError)) throw err;
+          // la ricerca non e' piu' valida (es. site rimosso): si riprende senza, il replay va comunque fatto
+          replyError(ERROR_CODES.INVALID_REQUEST, err.message, 'q');
+          sub = parseSubscription({ ...msg, q: null }, SEARCH_OPTIONS);
+        }
+        ws.subscription = sub;
+        let missed = null;
+        try {
+          missed = await changeLog.since(msg.lastSeq, MAX_REPLAY_ROWS);
+        } finally {
+          // update arrivati durante la query: si accodano al replay (ordine per seq)
+          const pending = ws.pendingRows;
+          const aborted = ws.resumeAborted;
+          clearTimeout(ws.resumeTimer);
+          ws.pendingRows = [];
+          ws.resuming = false;
+          ws.resumeAborted = false;
+
+          if (aborted) {
+            // resync gia' inviato da abortResume: gli update in attesa sono stati scartati
+            reply({ type: 'resync', seq: changeLog.currentSeq() });
+          } else if (missed === null) {
+            console.log(`[RESUME] Gap non recuperabile (lastSeq=${msg.lastSeq}): resync completo`);
+            reply({ type: 'resync', seq: changeLog.currentSeq() });
           } else {
-            const s = parseInt(msg.severity, 10);
-            ws.severityFilter = isNaN(s) ? null : s;
+            const byId = new Map();
+            withNodeInfo(missed.rows);
+            missed.rows.forEach(r => byId.set(r.id, { row: r, isNew: missed.newIds.has(r.id) }));
+            pending.forEach(p => {
+              const prev = byId.get(p.row.id);
+              byId.delete(p.row.id);
+              byId.set(p.row.id, { row: p.row, isNew: p.isNew || (prev ? prev.isNew : false) });
+            });
+            const rows = Array.from(byId.values()).filter(e => matchesSubscription(e.row, sub, e.isNew)).map(e => e.row);
+            console.log(`[RESUME] Replay di ${rows.length} righe da seq ${msg.lastSeq} a ${changeLog.currentSeq()}`);
+            reply({ type: 'replay', rows, seq: changeLog.currentSeq() });
+            metric.rowsPushed.inc({ type: 'replay' }, rows.length);
           }
         }
-        // ===== fine parsing
-
-        const hostnameFilter = msg.hostname !== undefined ? msg.hostname : null;
-        const ipFilter = msg.agentip !== undefined ? msg.agentip : null;
-        const activeOnly = msg.active === 1;
-        const timeTo = msg.timeTo !== undefined ? msg.timeTo : null;
-        const timeFrom = msg.timeFrom !== undefined ? msg.timeFrom : null;
-        const totalrows = await fetchPage(offset, pageSize, activeOnly, ws.severityFilter, hostnameFilter, ipFilter,timeFrom,timeTo);
-        let rows = totalrows;
-        if (rows.length > 50) {
-          rows = rows.slice(0, 50);
-          console.debug(`[DEBUG] getPage: richieste ${totalrows.length} righe, invio solo prime 50`);
-        }
-
-        console.debug(`[DEBUG] getPage: offset=${offset}, pageSize=${pageSize}, activeOnly=${activeOnly}, severityFilter=${ws.severityFilter}, hostnameFilter=${hostnameFilter}, ipFilter=${ipFilter}, timeFrom=${timeFrom}, timeTo=${timeTo} → righe trovate=${totalrows.length}, inviate=${rows.length}`);  
 
-        ws.send(JSON.stringify({ type: 'page', offset, rows }));
-
-        } else if (msg.type === 'acknowledge') {
-          const rowIds = Array.isArray(msg.rowIds) ? msg.rowIds : [];
-          const nodeIds = Array.isArray(msg.nodeIds) ? msg.nodeIds : [];
-          const eventnames = Array.isArray(msg.eventname) ? msg.eventname : [];
+      } else if (msg.type === 'acknowledge') {
+        if (!hasRole(ws.user, 'operator')) {
+          console.warn(`[ACK] Acknowledge negato a ${ws.user.username} (${ws.user.role})`);
+          replyError(ERROR_CODES.FORBIDDEN, 'Permesso negato: acknowledge richiede ruolo operator');
+          return;
+        }
+        const rowIds = msg.rowIds;
+        const nodeIds = msg.nodeIds;
+        const eventnames = msg.eventname;
 
-          console.log('[ACK] Richiesta acknowledge per righe:', rowIds, 'e nodi:', nodeIds, 'e eventname:', eventnames);
+        console.log(`[ACK] ${ws.user.username}: richiesta acknowledge per righe:`, rowIds, 'e nodi:', nodeIds, 'e eventname:', eventnames);
 
-          // Aggiorna rcv_log → active = 1 + updated = 0
-          if (rowIds.length > 0) {
-            const placeholders = rowIds.map(() => '?').join(',');
-            await pool.query(
-              `UPDATE rcv_log SET active = 0, updated = 1 WHERE id IN (${placeholders})`,
-              rowIds
-            );
-          }
-
-          // Aggiorna nodes → node_state = 0
-          if (nodeIds.length > 0) {
-            const placeholdersNodes = nodeIds.map(() => '?').join(',');
-            await pool.query(
-              `UPDATE nodes SET node_state = 0 WHERE id IN (${placeholdersNodes})`,
-              nodeIds
-            );
-          }
+        await acknowledgeEvents(rowIds, nodeIds, ws.user.username, msg.comment);
 
-          // Risposta al client
-          ws.send(JSON.stringify({ type: 'acknowledge_done', rowIds, nodeIds }));
-          console.debug('[ACK] Completato per', rowIds.length, 'righe e', nodeIds.length, 'nodi');
+        // Risposta al client
+        reply({ type: 'acknowledge_done', rowIds, nodeIds });
+        console.debug('[ACK] Completato per', rowIds.length, 'righe e', nodeIds.length, 'nodi');
 
-      } else {
-        ws.send(JSON.stringify({ type: 'error', message: 'Tipo messaggio non gestito' }));
+      } else if (msg.type === 'unacknowledge') {
+        if (!hasRole(ws.user, 'operator')) {
+          replyError(ERROR_CODES.FORBIDDEN, 'Permesso negato: unacknowledge richiede ruolo operator');
+          return;
+        }
+        // Annulla un ack: active = 1 (lo stato del nodo non viene ripristinato)
+        const unacked = await history.unacknowledge(msg.rowIds, ws.user.username, msg.comment);
+        await sendHistoryToWatchers(unacked, 'unack');
+        metric.acks.inc({ action: 'unack' }, unacked.length);
+        reply({ type: 'unacknowledge_done', rowIds: unacked });
+        console.log(`[ACK] ${ws.user.username}: unacknowledge di ${unacked.length} righe`, unacked);
+
+      } else if (msg.type === 'addNote') {
+        if (!hasRole(ws.user, 'operator')) {
+          replyError(ERROR_CODES.FORBIDDEN, 'Permesso negato: le note richiedono ruolo operator');
+          return;
+        }
+        const entry = await history.addNote(msg.rowId, ws.user.username, msg.text);
+        broadcastHistory([entry]);
+        reply({ type: 'addNote_done', rowId: entry.rcv_id, entryId: entry.id });
+        console.log(`[NOTE] ${ws.user.username}: nota su evento ${entry.rcv_id}`);
+
+      } else if (msg.type === 'getHistory') {
+        // Apre il pannello dettaglio: le nuove voci dell'evento arrivano come 'history_entry'
+        const entries = await history.list(msg.rowId);
+        ws.historyRowId = msg.rowId;
+        reply({ type: 'history', rowId: ws.historyRowId, entries });
+
+      } else if (msg.type === 'closeHistory') {
+        ws.historyRowId = null;
       }
     } catch (err) {
-      console.error('Errore processing message from client:', err);
-      ws.send(JSON.stringify({ type: 'error', message: 'Formato messaggio non valido' }));
+      // gli errori di validazione portano il requestId anche se il messaggio non e' stato accettato
+      if (err.requestId !== undefined) msg.requestId = err.requestId;
+      if (err instanceof ProtocolError) {
+        replyError(err.code, err.message, err.field);
+        if (err.messageType === 'resume' && ws.resuming) {
+          // resume rifiutato: senza catch-up la console deve ricaricare la vista
+          abortResume(ws, 'invalid_resume');
+        }
+        if (err.code === ERROR_CODES.UNSUPPORTED_VERSION) ws.close(1002, 'Versione del protocollo non supportata');
+        return;
+      }
+      if (err instanceof HistoryError) {
+        replyError(err.notFound ? ERROR_CODES.NOT_FOUND : ERROR_CODES.INVALID_REQUEST, err.message);
+        return;
+      }
+      if (err instanceof ValidationError) {
+        replyError(ERROR_CODES.INVALID_REQUEST, err.message);
+        return;
+      }
+      console.error(`Errore messaggio ${msg.type || '-'} dal client ${ws.user.username}:`, err);
+      metric.errors.inc({ component: 'ws' });
+      replyError(ERROR_CODES.INTERNAL, 'Errore interno del server');
     }
   });
 
   ws.on('close', () => {
+    clearTimeout(ws.resumeTimer);
     console.log('Client disconnesso');
   });
 });
 
+// Evento dall'inventario (webhook): aggiorna la cache nodi e gli eventi del nodo in rcv_log
+async function handleInventoryEvent(event) {
+  if (event.action === 'deleted') {
+    console.log(`[WEBHOOK] Nodo eliminato in ${inventory.name}: ID=${event.nodeId}`);
+    nodeCache.remove(event.nodeId);
+    const [result] = await pool.query('UPDATE rcv_log SET active = 0 WHERE node_id = ? AND active = 1', [event.nodeId]);
+    console.log(`[WEBHOOK] Disattivati ${result.affectedRows} eventi del nodo ${event.nodeId}`);
+  } else if (event.action === 'created' || event.action === 'updated') {
+    const { previous, node } = await nodeCache.refresh(event.nodeId);
+    if (!node) {
+      console.warn(`[WEBHOOK] Nodo ${event.nodeId} (${event.action}) non trovato in ${inventory.name}`);
+      return;
+    }
+    console.log(`[WEBHOOK] Nodo ${event.action === 'created' ? 'creato' : 'modificato'} in ${inventory.name}: ID=${node.id} ${node.node_name} ${node.target || '-'} site=${node.site || '-'}`);
+    await syncNodeEvents(node, previous);
+    broadcastNodeUpdate(node);
+  } else {
+    return;
+  }
+  // la cache IP → nodo del trap receiver non deve servire il nodo vecchio
+  if (trapReceiver) trapReceiver.clearCache();
+}
+
+// Un nodo nuovo si prende gli eventi attivi arrivati dal suo IP quando non era ancora in inventario.
+// Lo storico non si riscrive: nome e IP aggiornati arrivano alle console con node_update (withNodeInfo).
+async function syncNodeEvents(node, previous) {
+  if (previous || !node.target) return;
+  const [linked] = await pool.query(
+    'UPDATE rcv_log SET node_id = ? WHERE node_id IS NULL AND agentip = ? AND active = 1',
+    [node.id, node.target]
+  );
+  if (linked.affectedRows > 0) console.log(`[WEBHOOK] Collegati ${linked.affectedRows} eventi attivi al nodo ${node.id}`);
+}
+
+// Site, nome e IP attuali non sono in rcv_log: i client aggiornano le righe caricate del nodo
+function broadcastNodeUpdate(node) {
+  const item = { id: node.id, node_name: node.node_name, target: node.target, site: node.site, node_type: node.node_type };
+  const payload = JSON.stringify({ type: 'node_update', node: item });
+  wss.clients.forEach(client => {
+    if (client.readyState === WebSocket.OPEN) updateSender.send(client, { type: 'node_update', items: [item], payload });
+  });
+}
+
+// Cambi di stato dei nodi a tutti i client (nodes.html)
+function broadcastNodeStates(changes) {
+  if (changes.length === 0) return;
+  const payload = JSON.stringify({ type: 'node_state', nodes: changes });
+  wss.clients.forEach(client => {
+    if (client.readyState === WebSocket.OPEN) updateSender.send(client, { type: 'node_state', items: changes, payload });
+  });
+  console.debug(`[DEBUG] Stato cambiato per ${changes.length} nodi`);
+}
+
+async function refreshNodeStatus(nodeIds) {
+  try {
+    broadcastNodeStates(await nodeStatus.refresh(nodeIds));
+  } catch (err) {
+    console.error('Errore aggiornamento stato nodi:', err);
+    metric.errors.inc({ component: 'nodestatus' });
+  }
+}
+
+async function reloadNodeStatus() {
+  try {
+    broadcastNodeStates(await nodeStatus.reload());
+  } catch (err) {
+    console.error('Errore calcolo stato nodi:', err);
+    metric.errors.inc({ component: 'nodestatus' });
+  }
+}
+
+async function runRetention() {
+  retention.setNextRun(new Date(Date.now() + RETENTION_INTERVAL_MS));
+  try {
+    const result = await retention.run();
+    if (result.error) metric.errors.inc({ component: 'retention' });
+  } catch (err) {
+    console.error('Errore retention:', err);
+    metric.errors.inc({ component: 'retention' });
+  }
+}
+
+async function runEscalation() {
+  if (escalation.status().running) return;
+  try {
+    const result = await escalation.run();
+    if (result.error) metric.errors.inc({ component: 'escalation' });
+  } catch (err) {
+    console.error('Errore escalation:', err);
+    metric.errors.inc({ component: 'escalation' });
+  }
+}
+
+async function reloadNodeCache() {
+  try {
+    const count = await nodeCache.reload();
+    console.debug(`[DEBUG] Cache nodi ricaricata: ${count} nodi (${inventory.name})`);
+  } catch (err) {
+    console.error('Errore caricamento nodi inventario:', err);
+    metric.errors.inc({ component: 'inventory' });
+  }
+}
+
+const trapReceiver = TRAP_PORT ? createTrapReceiver({
+  pool,
+  port: TRAP_PORT,
+  host: TRAP_HOST,
+  communities: TRAP_COMMUNITIES,
+  // Risoluzione IP agent → nodo dell'inventario
+  resolveNode: nodeCache.resolveByIp,
+  // Trap dei nodi in manutenzione salvate come soppresse
+  maintenance: ev => maintenance.find(ev),
+  dedupMode: DEDUP_MODE
+}) : null;
+
 (async () => {
-  await initCheckpoints();
+  try {
+    await changeLog.init();
+  } catch (err) {
+    // il polling riprova l'inizializzazione a ogni ciclo
+    console.error('Errore init change log:', err);
+    metric.errors.inc({ component: 'changelog' });
+  }
+  await reloadNodeCache();
+  await reloadNodeStatus();
+  if (trapReceiver) {
+    try {
+      await trapReceiver.start();
+    } catch (err) {
+      console.error('Errore avvio trap receiver:', err);
+    }
+  }
   server.listen(PORT, () => {
-    console.log(`HTTP server + WS in ascolto su http://localhost:${PORT}`);
+    console.log(`HTTP server + WS in ascolto su http://localhost:${PORT} (inventario ${inventory.name})`);
   });
   setTimeout(pollingLoop, POLL_INTERVAL_MS);
+  setInterval(pruneChangeLog, CHANGE_LOG_PRUNE_INTERVAL_MS);
+  setInterval(reloadNodeCache, NODE_CACHE_REFRESH_MS);
+  setInterval(reloadNodeStatus, NODE_STATUS_RELOAD_MS);
+  setInterval(() => updateSender.flushAll(wss.clients), WS_FLUSH_MS);
+  try {
+    await escalation.init();
+    setInterval(runEscalation, ESCALATION_INTERVAL_MS);
+  } catch (err) {
+    console.error('[ESCALATION] Escalation disattivata, errore di inizializzazione:', err.message);
+  }
+  if (RETENTION_RULES.length > 0) {
+    try {
+      await retention.init();
+      console.log(`[RETENTION] Regole: ${RETENTION_RULES.map(r => r.label).join(', ')} (${RETENTION_MODE}, ogni ${RETENTION_INTERVAL_MS / 3600000} ore)`);
+      setTimeout(runRetention, 60 * 1000);
+      setInterval(runRetention, RETENTION_INTERVAL_MS);
+      retention.setNextRun(new Date(Date.now() + 60 * 1000));
+    } catch (err) {
+      console.error('[RETENTION] Retention disattivata, errore di inizializzazione:', err.message);
+    }
+  }
 })();
@@ -0,0 +1,6 @@
+-- 001_mib_oid_unique.sql
+-- Una sola definizione per coppia trapoid + enterprise (duplicati rifiutati anche da /addmiboid).
+-- Prima di applicarla verificare eventuali duplicati esistenti:
+--   SELECT trapoid, enterprise, COUNT(*) FROM mib_oid GROUP BY trapoid, enterprise HAVING COUNT(*) > 1;
+ALTER TABLE mib_oid
+  ADD UNIQUE KEY uq_mib_oid_trapoid_enterprise (trapoid, enterprise);
@@ -0,0 +1,11 @@
+-- 002_rcv_log_occurrences.sql
+-- Deduplica eventi (DEDUP_MODE): contatore occorrenze e prima/ultima ricezione.
+ALTER TABLE rcv_log
+  ADD COLUMN occurrences INT UNSIGNED NOT NULL DEFAULT 1,
+  ADD COLUMN first_seen DATETIME NULL,
+  ADD COLUMN last_seen DATETIME NULL;
+
+UPDATE rcv_log SET first_seen = traptime, last_seen = traptime WHERE first_seen IS NULL;
+
+-- ricerca dell'evento attivo da incrementare
+CREATE INDEX idx_rcv_log_dedup ON rcv_log (node_id, eventname, active);
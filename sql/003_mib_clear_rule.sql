@@ -0,0 +1,19 @@
+-- 003_mib_clear_rule.sql
+-- Regole di clear automatico: una trap clear_eventname disattiva gli eventi attivi
+-- problem_eventname dello stesso nodo, con confronto opzionale su un varbind o sul formatline.
+CREATE TABLE IF NOT EXISTS mib_clear_rule (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  problem_eventname VARCHAR(255) NOT NULL,
+  clear_eventname VARCHAR(255) NOT NULL,
+  -- prefisso OID del varbind da confrontare (es. ifIndex 1.3.6.1.2.1.2.2.1.1)
+  varbind_oid VARCHAR(255) NULL,
+  -- regex applicata a entrambi i formatline; si confronta il primo gruppo (o l'intero match)
+  formatline_regex VARCHAR(255) NULL,
+  enabled TINYINT(1) NOT NULL DEFAULT 1,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_mib_clear_rule (problem_eventname, clear_eventname),
+  KEY idx_mib_clear_rule_clear (clear_eventname)
+);
+
+-- varbind della trap (JSON) per il confronto delle regole di clear
+ALTER TABLE rcv_log ADD COLUMN varbinds TEXT NULL;
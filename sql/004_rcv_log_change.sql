@@ -0,0 +1,21 @@
+-- 004_rcv_log_change.sql
+-- Change log di rcv_log: ogni INSERT/UPDATE (anche da processi esterni) aggiunge una riga
+-- con una sequenza crescente. Ogni istanza del server tiene il proprio cursore sulla sequenza,
+-- quindi piu' istanze (server.js + netserver.js, repliche dietro load balancer) vedono tutti i cambiamenti.
+-- Sostituisce il flag rcv_log.updated, che non viene piu' letto ne' azzerato.
+CREATE TABLE IF NOT EXISTS rcv_log_change (
+  seq BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  rcv_id BIGINT UNSIGNED NOT NULL,
+  change_type ENUM('insert', 'update') NOT NULL,
+  changed_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (seq),
+  KEY idx_rcv_log_change_changed_at (changed_at)
+);
+
+DROP TRIGGER IF EXISTS trg_rcv_log_change_insert;
+CREATE TRIGGER trg_rcv_log_change_insert AFTER INSERT ON rcv_log
+  FOR EACH ROW INSERT INTO rcv_log_change (rcv_id, change_type) VALUES (NEW.id, 'insert');
+
+DROP TRIGGER IF EXISTS trg_rcv_log_change_update;
+CREATE TRIGGER trg_rcv_log_change_update AFTER UPDATE ON rcv_log
+  FOR EACH ROW INSERT INTO rcv_log_change (rcv_id, change_type) VALUES (NEW.id, 'update');
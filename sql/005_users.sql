@@ -0,0 +1,13 @@
+-- Utenti della console (AUTH_SOURCE=db).
+-- role: viewer (sola lettura) | operator (acknowledge) | admin (modifica MIB OID e regole, token API)
+-- password_hash: formato scrypt$<salt>$<hash>, generabile con: npm run hashpassword -- <password>
+CREATE TABLE IF NOT EXISTS users (
+  id INT NOT NULL AUTO_INCREMENT,
+  username VARCHAR(64) NOT NULL,
+  password_hash VARCHAR(255) NOT NULL,
+  role ENUM('viewer', 'operator', 'admin') NOT NULL DEFAULT 'viewer',
+  enabled TINYINT(1) NOT NULL DEFAULT 1,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_users_username (username)
+);
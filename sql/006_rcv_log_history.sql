@@ -0,0 +1,13 @@
+-- 006_rcv_log_history.sql
+-- Storico delle azioni degli operatori sugli eventi: acknowledge, unacknowledge e note.
+-- Le voci restano anche dopo la cancellazione dell'evento da rcv_log (nessuna foreign key).
+CREATE TABLE IF NOT EXISTS rcv_log_history (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  rcv_id BIGINT UNSIGNED NOT NULL,
+  action ENUM('ack', 'unack', 'note') NOT NULL,
+  username VARCHAR(64) NOT NULL,
+  comment TEXT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_rcv_log_history_rcv (rcv_id, id)
+);
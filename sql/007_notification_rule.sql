@@ -0,0 +1,25 @@
+-- 007_notification_rule.sql
+-- Regole di notifica per i nuovi eventi di rcv_log. Condizioni NULL = nessun filtro:
+-- severities "1,2", host_pattern glob su hostname o agentip (rtr*), eventname_pattern glob,
+-- site del nodo, fascia oraria time_from-time_to (anche a cavallo della mezzanotte).
+-- action_target: URL (webhook), indirizzi separati da virgola (email), host[:porta] (syslog).
+-- throttle_seconds: un invio per nodo+eventname nella finestra; aggregate_seconds: eventi raccolti
+-- in un unico messaggio per regola (0 = invio immediato).
+CREATE TABLE IF NOT EXISTS notification_rule (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  name VARCHAR(255) NOT NULL,
+  enabled TINYINT(1) NOT NULL DEFAULT 1,
+  severities VARCHAR(32) NULL,
+  host_pattern VARCHAR(255) NULL,
+  eventname_pattern VARCHAR(255) NULL,
+  site VARCHAR(255) NULL,
+  time_from TIME NULL,
+  time_to TIME NULL,
+  action_type ENUM('webhook', 'email', 'syslog') NOT NULL,
+  action_target VARCHAR(512) NOT NULL,
+  throttle_seconds INT UNSIGNED NOT NULL DEFAULT 0,
+  aggregate_seconds INT UNSIGNED NOT NULL DEFAULT 0,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (id)
+);
@@ -0,0 +1,29 @@
+-- 008_maintenance_window.sql
+-- Finestre di manutenzione: le trap dei nodi coperti vengono salvate con rcv_log.suppressed = 1
+-- e maintenance_id della finestra. Condizioni NULL = nessun filtro, quelle indicate valgono tutte:
+-- node_id (id del nodo nell'inventario: nodes o device NetBox), site, host_pattern (glob su hostname o IP).
+-- recurrence: once (starts_at-ends_at), daily/weekly (fascia time_from-time_to, anche oltre la mezzanotte,
+-- valida da starts_at a ends_at se presente). weekdays: giorni per weekly, 1 = lunedi' ... 7 = domenica.
+CREATE TABLE IF NOT EXISTS maintenance_window (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  name VARCHAR(255) NOT NULL,
+  node_id INT UNSIGNED NULL,
+  site VARCHAR(255) NULL,
+  host_pattern VARCHAR(255) NULL,
+  recurrence ENUM('once', 'daily', 'weekly') NOT NULL DEFAULT 'once',
+  starts_at DATETIME NOT NULL,
+  ends_at DATETIME NULL,
+  time_from TIME NULL,
+  time_to TIME NULL,
+  weekdays VARCHAR(16) NULL,
+  comment TEXT NULL,
+  created_by VARCHAR(64) NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_maintenance_window_ends (ends_at)
+);
+
+ALTER TABLE rcv_log
+  ADD COLUMN suppressed TINYINT(1) NOT NULL DEFAULT 0,
+  ADD COLUMN maintenance_id INT UNSIGNED NULL;
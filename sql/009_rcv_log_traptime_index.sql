@@ -0,0 +1,3 @@
+-- 009_rcv_log_traptime_index.sql
+-- Statistiche (/api/stats) e filtri per intervallo di traptime.
+CREATE INDEX idx_rcv_log_traptime ON rcv_log (traptime, severity);
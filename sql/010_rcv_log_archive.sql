@@ -0,0 +1,8 @@
+-- 010_rcv_log_archive.sql
+-- Archivio della retention (RETENTION_MODE=table): stesse colonne e indici di rcv_log, senza trigger.
+-- Le colonne aggiunte in futuro a rcv_log vanno aggiunte anche qui (la retention copia per nome).
+CREATE TABLE IF NOT EXISTS rcv_log_archive LIKE rcv_log;
+
+ALTER TABLE rcv_log_archive
+  ADD COLUMN archived_at DATETIME NULL,
+  ADD KEY idx_rcv_log_archive_archived_at (archived_at);
@@ -0,0 +1,10 @@
+-- 011_rcv_log_fulltext.sql
+-- Opzionale: indice FULLTEXT per il testo della ricerca della console con SEARCH_FULLTEXT=1
+-- (parole intere con MATCH ... AGAINST invece di LIKE '%...%' su formatline ed eventname).
+-- Su rcv_log grandi la creazione richiede tempo: eseguire fuori dall'orario di punta.
+ALTER TABLE rcv_log
+  ADD FULLTEXT KEY ft_rcv_log_text (formatline, eventname);
+
+-- la ricerca nell'archivio della retention usa la stessa sintassi
+ALTER TABLE rcv_log_archive
+  ADD FULLTEXT KEY ft_rcv_log_archive_text (formatline, eventname);
@@ -0,0 +1,42 @@
+-- 012_escalation.sql
+-- Escalation degli eventi attivi non acknowledged (lib/escalation.js). Una policy si applica agli
+-- eventi attivi e non soppressi da piu' di after_minutes (da first_seen). Condizioni NULL = nessun
+-- filtro: severities "1,2", site e node_type del nodo nell'inventario.
+-- raise_to: severity assegnata all'evento se quella attuale e' meno grave (NULL = solo il marcatore).
+-- action_type/action_target: notifica opzionale al secondo livello, come in notification_rule.
+-- Le policy sono valutate in ordine di after_minutes: ogni evento viene scalato una volta sola.
+CREATE TABLE IF NOT EXISTS escalation_policy (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  name VARCHAR(255) NOT NULL,
+  enabled TINYINT(1) NOT NULL DEFAULT 1,
+  severities VARCHAR(32) NULL,
+  site VARCHAR(255) NULL,
+  node_type VARCHAR(255) NULL,
+  after_minutes INT UNSIGNED NOT NULL,
+  raise_to TINYINT UNSIGNED NULL,
+  action_type ENUM('webhook', 'email', 'syslog') NULL,
+  action_target VARCHAR(512) NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (id)
+);
+
+-- escalation_id: policy applicata; severity_before: severity prima dell'escalation
+ALTER TABLE rcv_log
+  ADD COLUMN escalated TINYINT(1) NOT NULL DEFAULT 0,
+  ADD COLUMN escalation_id INT UNSIGNED NULL,
+  ADD COLUMN escalated_at DATETIME NULL,
+  ADD COLUMN severity_before TINYINT UNSIGNED NULL;
+
+-- candidati all'escalation: eventi attivi non ancora scalati
+CREATE INDEX idx_rcv_log_escalation ON rcv_log (active, escalated, first_seen);
+
+-- la retention copia le colonne per nome (vedi 010_rcv_log_archive.sql)
+ALTER TABLE rcv_log_archive
+  ADD COLUMN escalated TINYINT(1) NOT NULL DEFAULT 0,
+  ADD COLUMN escalation_id INT UNSIGNED NULL,
+  ADD COLUMN escalated_at DATETIME NULL,
+  ADD COLUMN severity_before TINYINT UNSIGNED NULL;
+
+ALTER TABLE rcv_log_history
+  MODIFY COLUMN action ENUM('ack', 'unack', 'note', 'escalate') NOT NULL;
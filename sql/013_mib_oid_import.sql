@@ -0,0 +1,7 @@
+-- 013_mib_oid_import.sql
+-- Definizioni create dall'import dei file MIB (lib/mibimport.js): source = "mib:<modulo>", NULL per
+-- quelle inserite a mano. import_hash e' l'impronta dei valori scritti dall'import: se i valori
+-- attuali non corrispondono piu' la definizione e' stata modificata a mano e un nuovo import la salta.
+ALTER TABLE mib_oid
+  ADD COLUMN source VARCHAR(255) NULL,
+  ADD COLUMN import_hash CHAR(40) NULL;
@@ -0,0 +1,26 @@
+// test/auth.test.js
+// Password scrypt e limite dei tentativi di login di lib/auth.js (node --test)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { hashPassword, verifyPassword, createLoginThrottle } = require('../lib/auth');
+
+test('verifyPassword: password corretta, errata e hash non valido', async () => {
+  const stored = hashPassword('segreta');
+  assert.equal(await verifyPassword('segreta', stored), true);
+  assert.equal(await verifyPassword('sbagliata', stored), false);
+  assert.equal(await verifyPassword('segreta', 'bcrypt$xx$yy'), false);
+  assert.equal(await verifyPassword('segreta', 'scrypt$00$'), false);
+});
+
+test('login throttle: limite per username e per IP, azzerato dal login riuscito', () => {
+  const throttle = createLoginThrottle({ windowMs: 60 * 1000, maxPerIp: 5, maxPerUser: 3 });
+  const now = 1000000;
+  for (let i = 0; i < 3; i++) assert.equal(throttle.take('10.0.0.1', 'mario', now), 0);
+  assert.equal(throttle.take('10.0.0.2', 'mario', now + 1000), 59);
+  assert.equal(throttle.take('10.0.0.1', 'luigi', now), 0);
+  assert.equal(throttle.take('10.0.0.1', 'anna', now), 0);
+  assert.ok(throttle.take('10.0.0.1', 'paolo', now) > 0);
+  assert.equal(throttle.take('10.0.0.2', 'mario', now + 60 * 1000), 0);
+  throttle.reset('10.0.0.1', 'luigi');
+  assert.equal(throttle.take('10.0.0.1', 'luigi', now + 1000), 0);
+});
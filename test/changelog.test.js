@@ -0,0 +1,98 @@
+// test/changelog.test.js
+// Cursore, buchi di sequenza e resume di lib/changelog.js su un change log in memoria (node --test)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createChangeLog } = require('../lib/changelog');
+
+// Pool finto sulle query di changelog.js: changes = [{ seq, change_type, id, ... }] (id null = riga cancellata)
+function fakePool(changes) {
+  return {
+    failing: false,
+    async query(sql, params) {
+      if (this.failing) throw new Error('database non raggiungibile');
+      const seqs = changes.map(c => c.seq);
+      if (sql.includes('MAX(seq)')) return [[{ maxSeq: seqs.length ? Math.max(...seqs) : null }]];
+      if (sql.includes('MIN(seq)')) return [[{ minSeq: seqs.length ? Math.min(...seqs) : null }]];
+      const [fromSeq, limit] = params;
+      return [changes.filter(c => c.seq > fromSeq).sort((a, b) => a.seq - b.seq).slice(0, limit)];
+    }
+  };
+}
+
+function change(seq, id, type = 'update', extra = {}) {
+  return { seq, change_type: type, id, ...extra };
+}
+
+test('poll: righe ridotte alla versione piu\' recente, newIds solo per gli insert', async t => {
+  t.mock.method(console, 'log', () => {});
+  const changes = [change(1, 10, 'insert')];
+  const log = createChangeLog({ pool: fakePool(changes), columns: 'r.id' });
+  assert.equal(await log.init(), 1);
+  changes.push(change(2, 11, 'insert', { v: 'a' }), change(3, 12), change(4, 11, 'update', { v: 'b' }), change(5, null));
+  const result = await log.poll();
+  assert.equal(result.seq, 5);
+  assert.deepEqual(result.rows, [{ id: 12 }, { id: 11, v: 'b' }]);
+  assert.deepEqual(Array.from(result.newIds), [11]);
+  assert.equal((await log.poll()).rows.length, 0);
+});
+
+test('poll: un buco ferma il cursore finche\' non arriva o scade il timeout', async t => {
+  t.mock.method(console, 'log', () => {});
+  const warn = t.mock.method(console, 'warn', () => {});
+  let now = 1000000;
+  t.mock.method(Date, 'now', () => now);
+  const changes = [];
+  const log = createChangeLog({ pool: fakePool(changes), columns: 'r.id' });
+  await log.init();
+  changes.push(change(1, 1), change(3, 3));
+  assert.deepEqual((await log.poll()).rows, [{ id: 1 }]);
+  assert.equal(log.currentSeq(), 1);
+
+  // transazione committata in ritardo: la sequenza 2 arriva prima del timeout
+  changes.push(change(2, 2));
+  assert.deepEqual((await log.poll()).rows, [{ id: 2 }, { id: 3 }]);
+  assert.equal(log.currentSeq(), 3);
+
+  // rollback: la 4 non arriva mai, dopo GAP_TIMEOUT_MS il cursore la supera
+  changes.push(change(5, 5));
+  assert.equal((await log.poll()).rows.length, 0);
+  now += 9000;
+  assert.equal((await log.poll()).rows.length, 0);
+  now += 2000;
+  assert.deepEqual((await log.poll()).rows, [{ id: 5 }]);
+  assert.equal(log.currentSeq(), 5);
+  assert.equal(warn.mock.callCount(), 1);
+});
+
+test('init fallito: poll lo riprova senza ripetere il change log', async t => {
+  t.mock.method(console, 'log', () => {});
+  const changes = [change(1, 1), change(2, 2)];
+  const pool = fakePool(changes);
+  const log = createChangeLog({ pool, columns: 'r.id' });
+  pool.failing = true;
+  await assert.rejects(log.init());
+  assert.equal(await log.since(0, 100), null);
+  await assert.rejects(log.poll());
+  pool.failing = false;
+  assert.deepEqual(await log.poll(), { rows: [], newIds: new Set(), seq: 2 });
+  changes.push(change(3, 3));
+  assert.deepEqual((await log.poll()).rows, [{ id: 3 }]);
+});
+
+test('since: change gia\' letti dopo lastSeq, null se potati o troppi', async t => {
+  t.mock.method(console, 'log', () => {});
+  const changes = [change(5, 1), change(6, 2), change(7, 1, 'update', { v: 'x' }), change(8, 3)];
+  const log = createChangeLog({ pool: fakePool(changes), columns: 'r.id' });
+  await log.init();
+  // cursore a 8: la 9 non e' ancora stata letta e non va restituita
+  changes.push(change(9, 4));
+  const replay = await log.since(5, 10);
+  assert.equal(replay.seq, 8);
+  assert.deepEqual(replay.rows, [{ id: 2 }, { id: 1, v: 'x' }, { id: 3 }]);
+  assert.equal(await log.since(6, 1), null);
+  assert.equal(await log.since(3, 10), null);
+  assert.equal((await log.since(4, 10)).rows.length, 3);
+  assert.deepEqual(await log.since(20, 10), { rows: [], newIds: new Set(), seq: 8 });
+  assert.equal(await log.since(-1, 10), null);
+  assert.equal(await log.since('abc', 10), null);
+});
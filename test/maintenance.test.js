@@ -0,0 +1,72 @@
+// test/maintenance.test.js
+// Calendario e validazione delle finestre di manutenzione di lib/maintenance.js (node --test).
+// Le date sono costruite nell'ora locale, come le usa isOpen.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isOpen, validateWindow } = require('../lib/maintenance');
+const { ValidationError } = require('../lib/validation');
+
+// 6 maggio 2024 = lunedi'
+const at = (day, hour, minute = 0) => new Date(2024, 4, day, hour, minute);
+
+const sundayNight = {
+  recurrence: 'weekly',
+  starts_at: '2024-01-01 00:00:00',
+  ends_at: null,
+  time_from: '22:00:00',
+  time_to: '04:00:00',
+  weekdays: '7'
+};
+
+test('isOpen: fascia notturna della domenica aperta fino al lunedi\' 04:00', () => {
+  assert.equal(isOpen(sundayNight, at(5, 23)), true);
+  assert.equal(isOpen(sundayNight, at(6, 2)), true);
+  assert.equal(isOpen(sundayNight, at(6, 3, 59)), true);
+  assert.equal(isOpen(sundayNight, at(6, 4)), false);
+  assert.equal(isOpen(sundayNight, at(6, 22)), false);
+});
+
+test('isOpen: le ore dopo mezzanotte di domenica appartengono al sabato', () => {
+  assert.equal(isOpen(sundayNight, at(5, 2)), false);
+  assert.equal(isOpen(sundayNight, at(5, 21, 59)), false);
+  assert.equal(isOpen({ ...sundayNight, weekdays: '6' }, at(5, 2)), true);
+});
+
+test('isOpen: fascia giornaliera nello stesso giorno, estremo finale escluso', () => {
+  const win = { recurrence: 'daily', starts_at: '2024-01-01 00:00:00', ends_at: null, time_from: '01:00:00', time_to: '03:00:00' };
+  assert.equal(isOpen(win, at(8, 0, 59)), false);
+  assert.equal(isOpen(win, at(8, 1)), true);
+  assert.equal(isOpen(win, at(8, 3)), false);
+});
+
+test('isOpen: validita\' tra starts_at ed ends_at', () => {
+  const once = { recurrence: 'once', starts_at: '2024-05-06 10:00:00', ends_at: '2024-05-06 12:00:00' };
+  assert.equal(isOpen(once, at(6, 9, 59)), false);
+  assert.equal(isOpen(once, at(6, 10)), true);
+  assert.equal(isOpen(once, at(6, 12)), false);
+  assert.equal(isOpen({ ...sundayNight, ends_at: '2024-05-06 01:00:00' }, at(6, 2)), false);
+  assert.equal(isOpen({ ...sundayNight, starts_at: '2024-05-06 00:00:00' }, at(5, 23)), false);
+});
+
+test('validateWindow: ricorrenza settimanale normalizzata', () => {
+  const win = validateWindow({
+    name: 'Backup', site: 'milano', recurrence: 'weekly', starts_at: '2024-05-01 00:00',
+    time_from: '22:00', time_to: '04:00', weekdays: [7, '1', 7]
+  });
+  assert.equal(win.starts_at, '2024-05-01 00:00:00');
+  assert.equal(win.time_from, '22:00:00');
+  assert.equal(win.weekdays, '1,7');
+  assert.equal(win.ends_at, null);
+});
+
+test('validateWindow: errori di validazione', () => {
+  const base = { name: 'X', site: 'milano', starts_at: '2024-05-01 10:00', ends_at: '2024-05-01 12:00' };
+  const invalid = [
+    { ...base, site: null },
+    { ...base, ends_at: '2024-05-01 09:00' },
+    { ...base, ends_at: null },
+    { ...base, recurrence: 'daily', time_from: '10:00', time_to: '10:00' },
+    { ...base, recurrence: 'weekly', time_from: '10:00', time_to: '11:00', weekdays: '8' }
+  ];
+  invalid.forEach(body => assert.throws(() => validateWindow(body), ValidationError, JSON.stringify(body)));
+});
@@ -0,0 +1,68 @@
+// test/mibimport.test.js
+// Risoluzione delle trap di lib/mibimport.js sui file MIB di test/fixtures (node --test)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { parseMibFiles, importMibs } = require('../lib/mibimport');
+
+function fixture(name) {
+  return { name, content: fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8') };
+}
+
+function trapsByName(result) {
+  return new Map(result.traps.map(t => [t.name, t]));
+}
+
+// Nessuna riga in mib_oid: tutte le definizioni risultano 'insert'
+const emptyPool = { query: async () => [[]] };
+
+test('IF-MIB: linkDown e linkUp (NOTIFICATION-TYPE) sotto snmpTraps', () => {
+  const result = parseMibFiles([fixture('IF-MIB.txt')]);
+  const traps = trapsByName(result);
+  assert.deepEqual(result.modules, ['IF-MIB']);
+  assert.deepEqual(result.warnings, []);
+  assert.equal(traps.get('linkDown').kind, 'NOTIFICATION-TYPE');
+  assert.equal(traps.get('linkDown').trapoid, '1.3.6.1.6.3.1.1.5.3');
+  assert.equal(traps.get('linkUp').trapoid, '1.3.6.1.6.3.1.1.5.4');
+  assert.deepEqual(traps.get('linkDown').objects, ['ifIndex', 'ifAdminStatus', 'ifOperStatus']);
+});
+
+test('TRAP-TYPE v1: enterprise.0.specific, ENTERPRISE snmp sulle trap generiche', () => {
+  const result = parseMibFiles([fixture('ACME-TRAP-MIB.txt')]);
+  const traps = trapsByName(result);
+  assert.deepEqual(result.warnings, []);
+  assert.equal(traps.get('acmeFanFailure').kind, 'TRAP-TYPE');
+  assert.equal(traps.get('acmeFanFailure').trapoid, '1.3.6.1.4.1.99999.2.0.3');
+  assert.equal(traps.get('acmeFanOk').trapoid, '1.3.6.1.4.1.99999.2.0.4');
+  assert.equal(traps.get('acmeColdStart').trapoid, '1.3.6.1.6.3.1.1.5.1');
+  assert.equal(traps.get('acmeFanFailure').hints.SEVERITY, 'MAJOR');
+});
+
+test('OID importato da un modulo non caricato: avviso e trap ignorata', () => {
+  const content = `VENDOR-MIB DEFINITIONS ::= BEGIN
+IMPORTS NOTIFICATION-TYPE FROM SNMPv2-SMI vendorTraps FROM VENDOR-SMI;
+vendorAlarm NOTIFICATION-TYPE
+    STATUS current
+    DESCRIPTION "Allarme."
+    ::= { vendorTraps 1 }
+END`;
+  const result = parseMibFiles([{ name: 'VENDOR-MIB.txt', content }]);
+  assert.equal(result.traps.length, 0);
+  assert.equal(result.warnings.length, 1);
+  assert.match(result.warnings[0], /vendorAlarm: OID non risolto \(moduli mancanti: VENDOR-SMI\)/);
+});
+
+test('definizioni mib_oid: severity da hint e nome di clear, msg con i varbind', async () => {
+  const result = await importMibs(emptyPool, [fixture('IF-MIB.txt'), fixture('ACME-TRAP-MIB.txt')], { dryRun: true });
+  const defs = new Map(result.definitions.map(d => [d.category, d]));
+  assert.equal(result.dryRun, true);
+  assert.equal(result.counts.insert, 5);
+  assert.equal(defs.get('linkDown').enterprise, 'IF-MIB');
+  assert.equal(defs.get('linkDown').severity, 5);
+  assert.equal(defs.get('linkUp').severity, 6);
+  assert.equal(defs.get('acmeFanFailure').severity, 3);
+  assert.equal(defs.get('acmeFanOk').severity, 6);
+  assert.equal(defs.get('acmeFanFailure').msg, 'A fan has failed: acmeFanIndex=$1');
+  assert.equal(defs.get('linkDown').msg.endsWith(': ifIndex=$1 ifAdminStatus=$2 ifOperStatus=$3'), true);
+});
@@ -0,0 +1,21 @@
+// test/miboid.test.js
+// Validazione delle regole di clear di lib/miboid.js (node --test)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateClearRule } = require('../lib/miboid');
+const { ValidationError } = require('../lib/validation');
+
+const base = { problem_eventname: 'linkDown', clear_eventname: 'linkUp' };
+
+test('validateClearRule: regex del formatline sicura accettata', () => {
+  const rule = validateClearRule({ ...base, varbind_oid: '.1.3.6.1.2.1.2.2.1.1', formatline_regex: 'interfaccia (\\S+)' });
+  assert.equal(rule.varbind_oid, '1.3.6.1.2.1.2.2.1.1');
+  assert.equal(rule.formatline_regex, 'interfaccia (\\S+)');
+  assert.equal(rule.enabled, 1);
+});
+
+test('validateClearRule: regex non valida o con ripetizioni annidate → 400', () => {
+  for (const formatline_regex of ['(a+)+$', '(x|xx)*y', '(\\w)\\1', '([']) {
+    assert.throws(() => validateClearRule({ ...base, formatline_regex }), err => err instanceof ValidationError && err.status === 400);
+  }
+});
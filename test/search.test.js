@@ -0,0 +1,57 @@
+// test/search.test.js
+// Sintassi di ricerca di lib/search.js e controllo delle regex (assertSafeRegex, lib/validation.js)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { compileSearch, searchConditions, matchesSearch } = require('../lib/search');
+const { assertSafeRegex, ValidationError } = require('../lib/validation');
+
+test('assertSafeRegex: ripetizioni annidate e backreference rifiutate', () => {
+  ['(a+)+', '(a*)*b', '(a|aa)*', '((ab)*c)+', '(x{2,})+', '(?:a+){2,5}', '(\\w)\\1', '(?<n>a)\\k<n>'].forEach(source => {
+    assert.throws(() => assertSafeRegex(source), ValidationError, source);
+  });
+});
+
+test('assertSafeRegex: espressioni lineari accettate', () => {
+  ['lnk(up|down)', 'if\\d+', '^Gi\\d+/\\d+$', '(ab)+', '[(+*]+', 'a{2,3}b*', '\\(a+\\)+', '(a)?(b)?'].forEach(source => {
+    assert.doesNotThrow(() => assertSafeRegex(source), source);
+  });
+});
+
+test('compileSearch: campi, testo e regex', () => {
+  const search = compileSearch('sev:critical,2 host:rtr* ip:10.0.0.? "link down" /lnk(up|down)/ from:2024-05-01 to:"2024-05-02 12:00"');
+  assert.deepEqual(search.severities, [1, 2]);
+  assert.equal(search.globs[0].column, 'hostname');
+  assert.equal(search.globs[0].patterns[0].like, 'rtr%');
+  assert.equal(search.globs[1].patterns[0].like, '10.0.0._');
+  assert.deepEqual(search.text, ['link down']);
+  assert.equal(search.regex[0].source, 'lnk(up|down)');
+  assert.equal(search.timeFrom, '2024-05-01 00:00:00');
+  assert.equal(search.timeTo, '2024-05-02 12:00:00');
+  assert.equal(compileSearch('  '), null);
+});
+
+test('compileSearch: errori come ValidationError', () => {
+  ['/(a+)+$/', '/[/', 'sev:nessuna', 'node:abc', 'from:ieri', 'site:milano', 'x'.repeat(501)].forEach(q => {
+    assert.throws(() => compileSearch(q), ValidationError, q);
+  });
+});
+
+test('matchesSearch e searchConditions sugli stessi termini', () => {
+  const search = compileSearch('host:rtr-* link /gi0\\/[0-9]+/');
+  const row = { hostname: 'rtr-milano', eventname: 'linkDown', formatline: 'Interfaccia Gi0/3 down', node_id: 1 };
+  assert.equal(matchesSearch(row, search), true);
+  assert.equal(matchesSearch({ ...row, hostname: 'sw-milano' }, search), false);
+  assert.equal(matchesSearch({ ...row, formatline: 'Interfaccia Te1/1 down' }, search), false);
+  assert.deepEqual(searchConditions(search), {
+    conditions: ['(hostname LIKE ?)', '(formatline LIKE ? OR eventname LIKE ?)', '(formatline REGEXP ? OR eventname REGEXP ?)'],
+    params: ['rtr-%', '%link%', '%link%', 'gi0\\/[0-9]+', 'gi0\\/[0-9]+']
+  });
+});
+
+test('site: e type: dall\'inventario', () => {
+  const nodeCache = { list: () => [{ id: 1, site: 'Milano', node_type: 'cisco' }, { id: 2, site: 'Roma', node_type: 'juniper' }] };
+  const search = compileSearch('site:milano,roma type:cisco', { nodeCache });
+  assert.deepEqual(search.nodeSets, [[1, 2], [1]]);
+  assert.equal(matchesSearch({ node_id: 2 }, search), false);
+  assert.equal(matchesSearch({ node_id: 1 }, search), true);
+});
@@ -0,0 +1,82 @@
+// test/snmp.test.js
+// Codifica/decodifica BER delle trap di lib/snmp.js (node --test)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { encodeTrap, decodeTrap, encodeInformResponse, BerError, SNMP_VERSION } = require('../lib/snmp');
+
+const IF_INDEX = '1.3.6.1.2.1.2.2.1.1.3';
+
+test('v1 enterprise-specific: trapOid enterprise.0.specific, agent-addr e varbind', () => {
+  const trap = decodeTrap(encodeTrap({
+    version: SNMP_VERSION.V1,
+    community: 'rete',
+    enterprise: '1.3.6.1.4.1.9.9.13',
+    agentAddress: '10.0.0.1',
+    specificTrap: 3,
+    uptime: 12345,
+    varbinds: [{ oid: IF_INDEX, type: 'Integer', value: 3 }, { oid: '1.3.6.1.2.1.2.2.1.2.3', type: 'OctetString', value: 'Gi0/3' }]
+  }));
+  assert.equal(trap.version, SNMP_VERSION.V1);
+  assert.equal(trap.community, 'rete');
+  assert.equal(trap.pduType, 'trap');
+  assert.equal(trap.trapOid, '1.3.6.1.4.1.9.9.13.0.3');
+  assert.equal(trap.agentAddress, '10.0.0.1');
+  assert.equal(trap.uptime, 12345);
+  assert.deepEqual(trap.varbinds, [
+    { oid: IF_INDEX, type: 'Integer', value: 3 },
+    { oid: '1.3.6.1.2.1.2.2.1.2.3', type: 'OctetString', value: 'Gi0/3' }
+  ]);
+});
+
+test('v1 generica: linkDown (generic-trap 2) → snmpTraps.3', () => {
+  const trap = decodeTrap(encodeTrap({ version: SNMP_VERSION.V1, enterprise: '1.3.6.1.4.1.9', genericTrap: 2, agentAddress: '10.0.0.1' }));
+  assert.equal(trap.trapOid, '1.3.6.1.6.3.1.1.5.3');
+  assert.equal(trap.genericTrap, 2);
+});
+
+test('v2c: snmpTrapOID.0 e sysUpTime.0 tolti dai varbind, snmpTrapAddress come agentAddress', () => {
+  const trap = decodeTrap(encodeTrap({
+    trapOid: '1.3.6.1.6.3.1.1.5.3',
+    uptime: 500,
+    requestId: 42,
+    varbinds: [
+      { oid: IF_INDEX, type: 'Integer', value: 3 },
+      { oid: '1.3.6.1.6.3.18.1.3.0', type: 'IpAddress', value: '10.0.0.2' },
+      { oid: '1.3.6.1.2.1.31.1.1.1.6.3', type: 'Counter64', value: '18446744073709551615' }
+    ]
+  }));
+  assert.equal(trap.version, SNMP_VERSION.V2C);
+  assert.equal(trap.pduType, 'trap');
+  assert.equal(trap.requestId, 42);
+  assert.equal(trap.trapOid, '1.3.6.1.6.3.1.1.5.3');
+  assert.equal(trap.uptime, 500);
+  assert.equal(trap.agentAddress, '10.0.0.2');
+  assert.deepEqual(trap.varbinds.map(vb => vb.oid), [IF_INDEX, '1.3.6.1.6.3.18.1.3.0', '1.3.6.1.2.1.31.1.1.1.6.3']);
+  assert.equal(trap.varbinds[2].value, '18446744073709551615');
+});
+
+test('inform: pduType inform e risposta con lo stesso request-id', () => {
+  const buf = encodeTrap({ inform: true, requestId: 77, trapOid: '1.3.6.1.4.1.9.0.1' });
+  const trap = decodeTrap(buf);
+  assert.equal(trap.pduType, 'inform');
+  assert.equal(trap.requestId, 77);
+  // GetResponse-PDU (0xa2) con request-id e varbind dell'inform: rietichettata come SNMPv2-Trap si decodifica
+  const response = Buffer.from(encodeInformResponse(buf));
+  const pduAt = response.indexOf(0xa2, 2);
+  assert.ok(pduAt > 0);
+  response[pduAt] = 0xa7;
+  const echoed = decodeTrap(response);
+  assert.equal(echoed.requestId, 77);
+  assert.equal(echoed.trapOid, '1.3.6.1.4.1.9.0.1');
+});
+
+test('pacchetti troncati o alterati: sempre BerError', () => {
+  const buf = encodeTrap({ trapOid: '1.3.6.1.6.3.1.1.5.3', varbinds: [{ oid: IF_INDEX, type: 'Integer', value: 3 }] });
+  for (let n = 0; n < buf.length; n++) {
+    assert.throws(() => decodeTrap(buf.subarray(0, n)), BerError, `troncato a ${n} byte`);
+  }
+  assert.throws(() => decodeTrap(Buffer.from('GET / HTTP/1.1\r\n')), BerError);
+  const wrongVersion = Buffer.from(buf);
+  wrongVersion[4] = SNMP_VERSION.V1;
+  assert.throws(() => decodeTrap(wrongVersion), /PDU v2 con versione 0/);
+});
@@ -0,0 +1,93 @@
+// test/subscription.test.js
+// Filtri della sottoscrizione di lib/subscription.js: verifica in JS (update live) e WHERE SQL (pagine)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSubscription, matchesSubscription, buildEventWhere, hasFilters } = require('../lib/subscription');
+
+// MySQL confronta traptime (DATETIME) con la stringa convertita in DATETIME: parti mancanti a zero
+function mysqlDatetime(value) {
+  const [date, time = '00:00:00'] = value.split(' ');
+  return `${date} ${time.length === 5 ? `${time}:00` : time}`;
+}
+
+// Valuta la WHERE di buildEventWhere su una riga, per le sole condizioni su traptime
+function whereMatches({ where, params }, traptime) {
+  const values = [...params];
+  return where.replace(/^WHERE /, '').split(' AND ').every(cond => {
+    if (cond === '1=1') return true;
+    const m = cond.match(/^traptime (>=|<=) \?$/);
+    if (!m) throw new Error(`condizione non gestita dal test: ${cond}`);
+    const bound = mysqlDatetime(values.shift());
+    return m[1] === '>=' ? traptime >= bound : traptime <= bound;
+  });
+}
+
+// 'YYYY-MM-DD HH:MM:SS' → riga come la riceve matchesSubscription (DATE_FORMAT '%d-%m-%Y %H:%i:%s')
+function pushedRow(traptime) {
+  const [date, time] = traptime.split(' ');
+  const [y, m, d] = date.split('-');
+  return { traptime: `${d}-${m}-${y} ${time}`, active: 1, suppressed: 0, severity: 1 };
+}
+
+const TRAPTIMES = [
+  '2024-04-30 23:59:59', '2024-05-01 00:00:00', '2024-05-01 00:00:01', '2024-05-01 10:00:00',
+  '2024-05-01 10:00:30', '2024-05-01 23:59:59', '2024-05-02 00:00:00'
+];
+
+test('matchesSubscription e buildEventWhere concordano sugli estremi di traptime', () => {
+  const bounds = [
+    { timeFrom: '2024-05-01' },
+    { timeTo: '2024-05-01' },
+    { timeFrom: '2024-05-01 10:00', timeTo: '2024-05-01 10:00' },
+    { timeFrom: '2024-05-01 00:00:01', timeTo: '2024-05-01 23:59:59' },
+    { q: 'from:2024-05-01 to:2024-05-01' },
+    { timeFrom: '2024-05-01 10:00', q: 'from:2024-05-01' }
+  ];
+  bounds.forEach(msg => {
+    const sub = parseSubscription({ ...msg, suppressed: 1 });
+    const where = buildEventWhere({ ...sub, search: null });
+    TRAPTIMES.forEach(t => {
+      assert.equal(matchesSubscription(pushedRow(t), sub), whereMatches(where, t), `${JSON.stringify(msg)} con traptime ${t}`);
+    });
+  });
+});
+
+test('ricerca e filtri: vale l\'estremo piu\' restrittivo', () => {
+  const sub = parseSubscription({ timeFrom: '2024-05-01 10:00', timeTo: '2024-05-03', q: 'from:2024-05-02 to:2024-05-04' });
+  assert.equal(sub.timeFrom, '2024-05-02 00:00:00');
+  assert.equal(sub.timeTo, '2024-05-03 00:00:00');
+});
+
+test('severity, hostname, agentip e soppressi', () => {
+  const sub = parseSubscription({ severity: '1,2', hostname: 'RTR', agentip: '10.0.0.1' });
+  const row = { active: 1, suppressed: 0, severity: 2, hostname: 'rtr-milano', agentip: '10.0.0.1' };
+  assert.equal(matchesSubscription(row, sub), true);
+  assert.equal(matchesSubscription({ ...row, severity: 3 }, sub), false);
+  assert.equal(matchesSubscription({ ...row, hostname: 'sw-roma' }, sub), false);
+  assert.equal(matchesSubscription({ ...row, agentip: '10.0.0.10' }, sub), false);
+  assert.equal(matchesSubscription({ ...row, suppressed: 1 }, sub), false);
+  assert.equal(matchesSubscription({ ...row, suppressed: 1 }, parseSubscription({ suppressed: 1 })), true);
+  assert.deepEqual(buildEventWhere(sub), {
+    where: 'WHERE 1=1 AND suppressed = 0 AND severity IN (?,?) AND hostname LIKE ? AND agentip = ?',
+    params: [1, 2, '%RTR%', '10.0.0.1']
+  });
+});
+
+test('solo attivi: le righe aggiornate arrivano comunque', () => {
+  const sub = parseSubscription({ active: 1 });
+  assert.equal(matchesSubscription({ active: 0, suppressed: 0 }, sub, true), false);
+  assert.equal(matchesSubscription({ active: 0, suppressed: 0 }, sub, false), true);
+  assert.equal(hasFilters(sub), true);
+  assert.equal(hasFilters(parseSubscription({ suppressed: 1 })), false);
+});
+
+test('sev: della ricerca senza valori in comune con i pulsanti: nessuna riga', () => {
+  const sub = parseSubscription({ severity: [1], q: 'sev:major' });
+  assert.deepEqual(sub.severities, []);
+  assert.equal(matchesSubscription({ active: 1, suppressed: 0, severity: 1 }, sub), false);
+  assert.match(buildEventWhere(sub).where, /1=0/);
+});
+
+test('archivio: nessun update live', () => {
+  assert.equal(matchesSubscription({ active: 1, suppressed: 0 }, parseSubscription({ archive: 1 })), false);
+});
@@ -0,0 +1,61 @@
+// test/trapreceiver.test.js
+// Template msg, regole di clear e pacchetti non validi di lib/trapreceiver.js (node --test)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTrapReceiver, renderTemplate, compileClearRule, clearRuleMatches } = require('../lib/trapreceiver');
+
+const IF_INDEX = '1.3.6.1.2.1.2.2.1.1';
+
+const ctx = {
+  varbinds: [{ oid: `${IF_INDEX}.3`, value: 3 }, { oid: '1.3.6.1.2.1.2.2.1.2.3', value: 'Gi0/3' }],
+  agentip: '10.0.0.1',
+  hostname: 'rtr-milano',
+  trapOid: '1.3.6.1.6.3.1.1.5.3',
+  eventname: 'linkDown'
+};
+
+test('renderTemplate: varbind, variabili e $$', () => {
+  assert.equal(renderTemplate('$N su $H ($A): ifIndex=$1 ifDescr=$2', ctx), 'linkDown su rtr-milano (10.0.0.1): ifIndex=3 ifDescr=Gi0/3');
+  assert.equal(renderTemplate('tutti: $* oid $O', ctx), 'tutti: 3 Gi0/3 oid 1.3.6.1.6.3.1.1.5.3');
+  assert.equal(renderTemplate('costo $$1 e $$$1', ctx), 'costo $1 e $3');
+  assert.equal(renderTemplate('assente: [$3] [$0]', ctx), 'assente: [] []');
+  assert.equal(renderTemplate('', ctx), `${IF_INDEX}.3=3 1.3.6.1.2.1.2.2.1.2.3=Gi0/3`);
+});
+
+test('clearRuleMatches: stessa istanza del varbind', () => {
+  const rule = compileClearRule({ id: 1, varbind_oid: `.${IF_INDEX}`, formatline_regex: null });
+  const ev = { varbinds: [{ oid: `${IF_INDEX}.3`, value: 3 }], formatline: '' };
+  const row = oid => ({ varbinds: JSON.stringify([{ oid, value: 3 }]), formatline: '' });
+  assert.equal(clearRuleMatches(rule, ev, row(`${IF_INDEX}.3`)), true);
+  assert.equal(clearRuleMatches(rule, ev, row(`${IF_INDEX}.4`)), false);
+  assert.equal(clearRuleMatches(rule, ev, { varbinds: 'non json', formatline: '' }), false);
+  assert.equal(clearRuleMatches(rule, { varbinds: [], formatline: '' }, row(`${IF_INDEX}.3`)), false);
+});
+
+test('clearRuleMatches: primo gruppo della regex sul formatline', () => {
+  const rule = compileClearRule({ id: 2, varbind_oid: null, formatline_regex: 'interfaccia (\\S+)' });
+  const ev = { varbinds: [], formatline: 'Link up interfaccia Gi0/3' };
+  assert.equal(clearRuleMatches(rule, ev, { formatline: 'Link down interfaccia Gi0/3' }), true);
+  assert.equal(clearRuleMatches(rule, ev, { formatline: 'Link down interfaccia Gi0/4' }), false);
+  assert.equal(clearRuleMatches(rule, ev, { formatline: 'nessuna corrispondenza' }), false);
+  assert.equal(clearRuleMatches(compileClearRule({ id: 3, varbind_oid: null, formatline_regex: null }), ev, { formatline: 'altro' }), true);
+});
+
+test('compileClearRule: regex non valide o con backtracking esponenziale ignorate', t => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  assert.ok(compileClearRule({ id: 4, formatline_regex: 'if(\\d+)' }).re instanceof RegExp);
+  assert.equal(compileClearRule({ id: 5, formatline_regex: '(a+)+$' }), null);
+  assert.equal(compileClearRule({ id: 6, formatline_regex: '([' }), null);
+  assert.equal(warn.mock.callCount(), 2);
+});
+
+test('handleMessage: pacchetto non valido scartato senza errori', async t => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const pool = { query: t.mock.fn(async () => [[]]) };
+  const receiver = createTrapReceiver({ pool, port: 0 });
+  await receiver.handleMessage(Buffer.from([0x30, 0x82, 0xff]), { address: '10.0.0.9', port: 40000 });
+  await receiver.handleMessage(Buffer.from('non snmp'), { address: '10.0.0.9', port: 40000 });
+  assert.equal(pool.query.mock.callCount(), 0);
+  assert.equal(warn.mock.callCount(), 2);
+  assert.match(warn.mock.calls[0].arguments[0], /Pacchetto non valido da 10\.0\.0\.9:40000/);
+});
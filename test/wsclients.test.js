@@ -0,0 +1,127 @@
+// test/wsclients.test.js
+// Contropressione dei messaggi push di lib/wsclients.js (node --test)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const WebSocket = require('ws');
+const { createUpdateSender } = require('../lib/wsclients');
+
+// Client finto: bufferedAmount impostato dal test, messaggi inviati in sent
+function fakeClient() {
+  return {
+    readyState: WebSocket.OPEN,
+    bufferedAmount: 0,
+    sent: [],
+    send(text) { this.sent.push(JSON.parse(text)); }
+  };
+}
+
+function createSender(events = []) {
+  return createUpdateSender({
+    highWaterBytes: 1000,
+    maxBacklogRows: 5,
+    currentSeq: () => 42,
+    onEvent: (action, n) => events.push([action, n])
+  });
+}
+
+test('client libero: invio immediato, payload condiviso se presente', () => {
+  const sender = createSender();
+  const client = fakeClient();
+  assert.equal(sender.send(client, { type: 'update', items: [{ id: 1 }], extra: { seq: 7 } }), true);
+  assert.equal(sender.send(client, { type: 'update', items: [], payload: JSON.stringify({ type: 'update', rows: [{ id: 2 }] }) }), true);
+  assert.deepEqual(client.sent, [{ type: 'update', seq: 7, rows: [{ id: 1 }] }, { type: 'update', rows: [{ id: 2 }] }]);
+});
+
+test('client congestionato: accumulo per chiave, ultima versione, ordine per id', () => {
+  const events = [];
+  const sender = createSender(events);
+  const client = fakeClient();
+  client.bufferedAmount = 5000;
+  sender.send(client, { type: 'update', items: [{ id: 3, v: 'a' }, { id: 1 }], extra: { seq: 1 } });
+  sender.send(client, { type: 'update', items: [{ id: 3, v: 'b' }], extra: { seq: 2 } });
+  sender.send(client, { type: 'node_state', items: [{ node_id: 9, state: 'down' }] });
+  sender.send(client, { type: 'node_state', items: [{ node_id: 9, state: 'up' }] });
+  assert.deepEqual(client.sent, []);
+  assert.equal(sender.backlogged([client]), 1);
+  assert.equal(sender.flush(client), false);
+
+  client.bufferedAmount = 0;
+  assert.equal(sender.flush(client), true);
+  assert.deepEqual(client.sent, [
+    { type: 'update', seq: 2, rows: [{ id: 1 }, { id: 3, v: 'b' }] },
+    { type: 'node_state', nodes: [{ node_id: 9, state: 'up' }] }
+  ]);
+  assert.equal(client.backlog, null);
+  assert.deepEqual(events.filter(e => e[0] === 'collapsed'), [['collapsed', 2], ['collapsed', 1]]);
+});
+
+test('dopo un accumulo l\'ordine resta: prima l\'accumulo, poi il nuovo messaggio', () => {
+  const sender = createSender();
+  const client = fakeClient();
+  client.bufferedAmount = 5000;
+  sender.send(client, { type: 'update', items: [{ id: 1 }] });
+  client.bufferedAmount = 0;
+  sender.send(client, { type: 'update', items: [{ id: 2 }] });
+  assert.deepEqual(client.sent.map(m => m.rows[0].id), [1, 2]);
+});
+
+test('history_entry accumulate per evento, node_update un messaggio per nodo', () => {
+  const sender = createSender();
+  const client = fakeClient();
+  client.bufferedAmount = 5000;
+  sender.send(client, { type: 'history_entry', items: [{ id: 1 }], extra: { rowId: 10 } });
+  sender.send(client, { type: 'history_entry', items: [{ id: 2 }], extra: { rowId: 11 } });
+  sender.send(client, { type: 'node_update', items: [{ id: 5, node_name: 'a' }, { id: 6, node_name: 'b' }] });
+  client.bufferedAmount = 0;
+  sender.flush(client);
+  assert.deepEqual(client.sent, [
+    { type: 'history_entry', rowId: 10, entries: [{ id: 1 }] },
+    { type: 'history_entry', rowId: 11, entries: [{ id: 2 }] },
+    { type: 'node_update', node: { id: 5, node_name: 'a' } },
+    { type: 'node_update', node: { id: 6, node_name: 'b' } }
+  ]);
+});
+
+test('oltre maxBacklogRows: accumulo scartato e un solo resync', () => {
+  const events = [];
+  const sender = createSender(events);
+  const client = fakeClient();
+  client.bufferedAmount = 5000;
+  sender.send(client, { type: 'update', items: [1, 2, 3, 4, 5, 6].map(id => ({ id })) });
+  sender.send(client, { type: 'node_state', items: [{ node_id: 1 }] });
+  assert.equal(client.backlog.resync, true);
+  assert.equal(client.backlog.queues.size, 0);
+  client.bufferedAmount = 0;
+  sender.flush(client);
+  assert.deepEqual(client.sent, [{ type: 'resync', seq: 42, reason: 'lagging' }]);
+  assert.deepEqual(events.filter(e => e[0] === 'resync'), [['resync', 0]]);
+});
+
+test('reset: scarta solo gli update accumulati', () => {
+  const sender = createSender();
+  const client = fakeClient();
+  client.bufferedAmount = 5000;
+  sender.send(client, { type: 'update', items: [{ id: 1 }, { id: 2 }] });
+  sender.send(client, { type: 'node_state', items: [{ node_id: 1 }] });
+  sender.reset(client);
+  assert.equal(client.backlog.size, 1);
+  client.bufferedAmount = 0;
+  sender.flush(client);
+  assert.deepEqual(client.sent, [{ type: 'node_state', nodes: [{ node_id: 1 }] }]);
+
+  client.bufferedAmount = 5000;
+  sender.send(client, { type: 'update', items: [{ id: 3 }] });
+  sender.reset(client);
+  assert.equal(client.backlog, null);
+});
+
+test('client chiuso: accumulo scartato, tipo sconosciuto rifiutato', () => {
+  const sender = createSender();
+  const client = fakeClient();
+  client.bufferedAmount = 5000;
+  sender.send(client, { type: 'update', items: [{ id: 1 }] });
+  client.readyState = WebSocket.CLOSED;
+  assert.equal(sender.flush(client), true);
+  assert.equal(client.backlog, null);
+  assert.throws(() => sender.send(fakeClient(), { type: 'page', items: [] }), /Tipo di messaggio non gestito/);
+});
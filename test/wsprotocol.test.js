@@ -0,0 +1,81 @@
+// test/wsprotocol.test.js
+// Validazione dei messaggi del client di lib/wsprotocol.js (node --test)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  ERROR_CODES, ProtocolError, parseClientMessage, checkVersion, withRequestId, errorPayload
+} = require('../lib/wsprotocol');
+
+// Errore lanciato da parseClientMessage (assert.throws non lo restituisce)
+function parseError(text) {
+  try {
+    parseClientMessage(text);
+  } catch (err) {
+    assert.ok(err instanceof ProtocolError, `ProtocolError atteso per ${text}`);
+    return err;
+  }
+  assert.fail(`errore atteso per ${text}`);
+}
+
+test('getPage: campi normalizzati, assenti a null, non previsti ignorati', () => {
+  const msg = parseClientMessage(JSON.stringify({
+    type: 'getPage', requestId: 'p1', beforeId: '120', pageSize: 50, active: true, severity: '1, 2',
+    timeFrom: '2024-05-01 10:00', extra: 'ignorato'
+  }));
+  assert.equal(msg.requestId, 'p1');
+  assert.equal(msg.beforeId, 120);
+  assert.equal(msg.active, 1);
+  assert.deepEqual(msg.severity, [1, 2]);
+  assert.equal(msg.timeFrom, '2024-05-01 10:00');
+  assert.equal(msg.timeTo, null);
+  assert.equal(msg.hostname, null);
+  assert.equal('extra' in msg, false);
+});
+
+test('acknowledge: liste di id validate', () => {
+  const msg = parseClientMessage(JSON.stringify({ type: 'acknowledge', rowIds: [1, '2'], nodeIds: [7] }));
+  assert.deepEqual(msg.rowIds, [1, 2]);
+  assert.deepEqual(msg.nodeIds, [7]);
+  assert.deepEqual(msg.eventname, []);
+  const err = parseError(JSON.stringify({ type: 'acknowledge', requestId: 9, nodeIds: [1, 0] }));
+  assert.equal(err.code, ERROR_CODES.INVALID_FIELD);
+  assert.equal(err.field, 'nodeIds[1]');
+  assert.equal(err.requestId, 9);
+});
+
+test('codici di errore e requestId ripetuto', () => {
+  assert.equal(parseError('{non json').code, ERROR_CODES.BAD_JSON);
+  assert.equal(parseError('[1, 2]').code, ERROR_CODES.BAD_JSON);
+  assert.equal(parseError('null').code, ERROR_CODES.BAD_JSON);
+
+  const unknown = parseError(JSON.stringify({ type: 'drop', requestId: 'x-1' }));
+  assert.equal(unknown.code, ERROR_CODES.UNKNOWN_TYPE);
+  assert.equal(unknown.field, 'type');
+  assert.equal(unknown.requestId, 'x-1');
+  assert.equal(parseError(JSON.stringify({ type: 'toString' })).code, ERROR_CODES.UNKNOWN_TYPE);
+
+  const badTime = parseError(JSON.stringify({ type: 'resume', requestId: 4, lastSeq: 10, timeTo: '01-05-2024' }));
+  assert.equal(badTime.code, ERROR_CODES.INVALID_FIELD);
+  assert.equal(badTime.field, 'timeTo');
+  assert.equal(badTime.requestId, 4);
+  assert.equal(badTime.messageType, 'resume');
+
+  assert.equal(parseError(JSON.stringify({ type: 'addNote', rowId: 1 })).field, 'text');
+  assert.equal(parseError(JSON.stringify({ type: 'getPage', severity: 7 })).field, 'severity');
+  assert.equal(parseError(JSON.stringify({ type: 'getPage', active: 'si' })).field, 'active');
+  assert.equal(parseError(JSON.stringify({ type: 'getPage', requestId: 'x'.repeat(65) })).field, 'requestId');
+});
+
+test('errorPayload e withRequestId', () => {
+  assert.deepEqual(errorPayload(ERROR_CODES.FORBIDDEN, 'no', { requestId: 3 }),
+    { type: 'error', code: 'FORBIDDEN', message: 'no', requestId: 3 });
+  assert.deepEqual(errorPayload(ERROR_CODES.INVALID_FIELD, 'x', { field: 'q' }),
+    { type: 'error', code: 'INVALID_FIELD', message: 'x', field: 'q' });
+  assert.deepEqual(withRequestId(undefined, { type: 'page' }), { type: 'page' });
+  assert.deepEqual(withRequestId(0, { type: 'page' }), { type: 'page', requestId: 0 });
+});
+
+test('checkVersion', () => {
+  assert.equal(checkVersion(1), 1);
+  assert.throws(() => checkVersion(2), err => err.code === ERROR_CODES.UNSUPPORTED_VERSION);
+});
@@ -0,0 +1,13 @@
+// tools/hashpassword.js
+// Genera l'hash di una password per la tabella users o per il file USERS_FILE, es.:
+//   node tools/hashpassword.js 'segreta'
+//   INSERT INTO users (username, password_hash, role) VALUES ('mario', '<hash>', 'operator');
+const { hashPassword } = require('../lib/auth');
+
+const password = process.argv[2];
+if (!password) {
+  console.error('Uso: node tools/hashpassword.js <password>');
+  process.exitCode = 1;
+} else {
+  console.log(hashPassword(password));
+}
@@ -0,0 +1,61 @@
+// tools/mibimport.js
+// Importa le trap (TRAP-TYPE / NOTIFICATION-TYPE) dei file MIB nella tabella mib_oid, come
+// POST /api/miboid/import. Usa le variabili DB_* di server.js (anche da .env), es.:
+//   node tools/mibimport.js --dry-run IF-MIB.txt SNMPv2-MIB.txt
+//   node tools/mibimport.js --enterprise cisco --severity MAJOR CISCO-SMI.my CISCO-ENVMON-MIB.my
+// Senza --enterprise la tipologia e' il nome del modulo. Le definizioni inserite o modificate a
+// mano non vengono sovrascritte.
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const mysql = require('mysql2/promise');
+const { importMibs } = require('../lib/mibimport');
+
+function parseArgs(argv) {
+  const opts = { dryRun: false, enterprise: null, severity: null, files: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => argv[++i];
+    if (arg === '--dry-run') opts.dryRun = true;
+    else if (arg === '--enterprise') opts.enterprise = next();
+    else if (arg === '--severity') opts.severity = next();
+    else if (arg.startsWith('--')) throw new Error(`Opzione non valida: ${arg}`);
+    else opts.files.push(arg);
+  }
+  if (opts.files.length === 0) {
+    throw new Error('Uso: node tools/mibimport.js [--dry-run] [--enterprise TIPOLOGIA] [--severity SEVERITY] FILE...');
+  }
+  return opts;
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  const files = opts.files.map(f => ({ name: path.basename(f), content: fs.readFileSync(f, 'utf8') }));
+  const pool = mysql.createPool({
+    host: process.env.DB_HOST || 'localhost',
+    port: parseInt(process.env.DB_PORT || '3306', 10),
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    database: process.env.DB_DATABASE,
+    connectionLimit: 1,
+    dateStrings: true
+  });
+  try {
+    const result = await importMibs(pool, files, opts);
+    result.definitions.forEach(d => {
+      const reason = d.reason ? ` (${d.reason})` : '';
+      console.log(`${d.action.padEnd(9)} ${d.module}::${d.category} ${d.trapoid || ''}${reason}`);
+    });
+    result.warnings.forEach(w => console.warn(`ATTENZIONE: ${w}`));
+    const c = result.counts;
+    console.log(`${result.dryRun ? 'Anteprima' : 'Import'} ${result.modules.join(', ')}: ` +
+      `${c.insert} nuove, ${c.update} aggiornate, ${c.unchanged} invariate, ${c.skip} saltate`);
+  } finally {
+    await pool.end();
+  }
+}
+
+main().catch(err => {
+  console.error(err.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,101 @@
+// tools/notifysink.js
+// Destinazioni locali per provare le regole di notifica senza Slack/Teams, SMTP o syslog reali:
+// stampa i webhook HTTP ricevuti, le email (server SMTP minimale, senza TLS ne' AUTH) e i messaggi syslog.
+//   node tools/notifysink.js --http 8025 --smtp 2525 --syslog 5514
+// poi: regola webhook http://127.0.0.1:8025/hook, SMTP_HOST=127.0.0.1 SMTP_PORT=2525, syslog 127.0.0.1:5514
+const http = require('http');
+const net = require('net');
+const dgram = require('dgram');
+
+function parseArgs(argv) {
+  const opts = { host: '127.0.0.1', http: 8025, smtp: 2525, syslog: 5514 };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => argv[++i];
+    if (arg === '--host') opts.host = next();
+    else if (arg === '--http') opts.http = parseInt(next(), 10);
+    else if (arg === '--smtp') opts.smtp = parseInt(next(), 10);
+    else if (arg === '--syslog') opts.syslog = parseInt(next(), 10);
+    else throw new Error(`Argomento non valido: ${arg}`);
+  }
+  return opts;
+}
+
+function startHttp(host, port) {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      let text = body;
+      try {
+        text = JSON.stringify(JSON.parse(body), null, 2);
+      } catch (err) {
+        // non JSON: stampato cosi' com'e'
+      }
+      console.log(`[HTTP] ${req.method} ${req.url}\n${text}\n`);
+      res.writeHead(200, { 'Content-Type': 'text/plain' });
+      res.end('ok');
+    });
+  });
+  server.listen(port, host, () => console.log(`Webhook su http://${host}:${port}/`));
+}
+
+// Dialogo SMTP essenziale: accetta qualsiasi mittente/destinatario e stampa il messaggio
+function startSmtp(host, port) {
+  const server = net.createServer(socket => {
+    let buffer = '';
+    let inData = false;
+    let envelope = { from: null, to: [] };
+    let data = [];
+    const reply = line => socket.write(line + '\r\n');
+
+    reply('220 notifysink ESMTP');
+    socket.on('data', chunk => {
+      buffer += chunk.toString('utf8');
+      let i;
+      while ((i = buffer.indexOf('\n')) >= 0) {
+        const line = buffer.slice(0, i).replace(/\r$/, '');
+        buffer = buffer.slice(i + 1);
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            console.log(`[SMTP] Da ${envelope.from} a ${envelope.to.join(', ')}\n${data.join('\n')}\n`);
+            envelope = { from: null, to: [] };
+            data = [];
+            reply('250 OK');
+          } else {
+            data.push(line.startsWith('..') ? line.slice(1) : line);
+          }
+          continue;
+        }
+        const cmd = line.slice(0, 4).toUpperCase();
+        if (cmd === 'EHLO' || cmd === 'HELO') reply('250 notifysink');
+        else if (cmd === 'MAIL') { envelope.from = line.slice(10).trim(); reply('250 OK'); }
+        else if (cmd === 'RCPT') { envelope.to.push(line.slice(8).trim()); reply('250 OK'); }
+        else if (cmd === 'DATA') { inData = true; reply('354 Fine con <CRLF>.<CRLF>'); }
+        else if (cmd === 'RSET') { envelope = { from: null, to: [] }; reply('250 OK'); }
+        else if (cmd === 'NOOP') reply('250 OK');
+        else if (cmd === 'QUIT') { reply('221 Bye'); socket.end(); }
+        else reply('502 Comando non supportato');
+      }
+    });
+    socket.on('error', () => {});
+  });
+  server.listen(port, host, () => console.log(`SMTP su ${host}:${port}`));
+}
+
+function startSyslog(host, port) {
+  const socket = dgram.createSocket(net.isIPv6(host) ? 'udp6' : 'udp4');
+  socket.on('message', (msg, rinfo) => console.log(`[SYSLOG] ${rinfo.address}: ${msg.toString('utf8')}`));
+  socket.bind(port, host, () => console.log(`Syslog UDP su ${host}:${port}`));
+}
+
+try {
+  const opts = parseArgs(process.argv.slice(2));
+  if (opts.http) startHttp(opts.host, opts.http);
+  if (opts.smtp) startSmtp(opts.host, opts.smtp);
+  if (opts.syslog) startSyslog(opts.host, opts.syslog);
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
@@ -0,0 +1,68 @@
+// tools/sendtrap.js
+// Invia una trap SNMP di prova al trap receiver, es.:
+//   node tools/sendtrap.js --port 1162 --oid 1.3.6.1.6.3.1.1.5.3 1.3.6.1.2.1.2.2.1.1.3=i:3 1.3.6.1.2.1.2.2.1.2.3=s:Gi0/3
+//   node tools/sendtrap.js --v1 --enterprise 1.3.6.1.4.1.9 --specific 1 --agent 10.0.0.5
+// Varbind: oid=tipo:valore con tipo i (Integer), s (OctetString), o (OID), a (IpAddress),
+// c (Counter32), g (Gauge32), t (TimeTicks), C (Counter64)
+const dgram = require('dgram');
+const { encodeTrap } = require('../lib/snmp');
+
+const TYPES = { i: 'Integer', s: 'OctetString', o: 'OID', a: 'IpAddress', c: 'Counter32', g: 'Gauge32', t: 'TimeTicks', C: 'Counter64' };
+
+function parseArgs(argv) {
+  const opts = {
+    host: '127.0.0.1',
+    port: parseInt(process.env.TRAP_PORT || '162', 10),
+    community: 'public',
+    version: 1,
+    trapOid: '1.3.6.1.6.3.1.1.5.3',
+    enterprise: '1.3.6.1.4.1.8072',
+    genericTrap: 6,
+    specificTrap: 1,
+    agentAddress: '127.0.0.1',
+    varbinds: []
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => argv[++i];
+    if (arg === '--host') opts.host = next();
+    else if (arg === '--port') opts.port = parseInt(next(), 10);
+    else if (arg === '--community') opts.community = next();
+    else if (arg === '--v1') opts.version = 0;
+    else if (arg === '--oid') opts.trapOid = next();
+    else if (arg === '--enterprise') opts.enterprise = next();
+    else if (arg === '--generic') opts.genericTrap = parseInt(next(), 10);
+    else if (arg === '--specific') opts.specificTrap = parseInt(next(), 10);
+    else if (arg === '--agent') opts.agentAddress = next();
+    else if (arg === '--inform') opts.inform = true;
+    else {
+      const m = arg.match(/^([\d.]+)=([a-zA-Z]):(.*)$/);
+      if (!m || !TYPES[m[2]]) throw new Error(`Argomento non valido: ${arg}`);
+      opts.varbinds.push({ oid: m[1], type: TYPES[m[2]], value: m[3] });
+    }
+  }
+  return opts;
+}
+
+function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  const buf = encodeTrap({ ...opts, uptime: Math.floor(process.uptime() * 100) });
+  const socket = dgram.createSocket('udp4');
+  socket.send(buf, opts.port, opts.host, err => {
+    if (err) {
+      console.error('Errore invio trap:', err.message);
+      process.exitCode = 1;
+    } else {
+      const what = opts.version === 0 ? `v1 ${opts.enterprise} generic=${opts.genericTrap} specific=${opts.specificTrap}` : `v2c ${opts.trapOid}`;
+      console.log(`Trap ${what} inviata a ${opts.host}:${opts.port} (${buf.length} byte)`);
+    }
+    socket.close();
+  });
+}
+
+try {
+  main();
+} catch (err) {
+  console.error(err.message);
+  process.exitCode = 1;
+}